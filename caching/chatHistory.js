@@ -85,6 +85,30 @@ export class ChatHistory {
     return [...arr].reverse();
   }
 
+  // Ends every session in this namespace
+  async clearAll() {
+    if (this.backend === 'memory') {
+      this.lru.clear();
+      return;
+    }
+    let deleted = 0;
+    const stream = this.redis.scanStream({ match: `${this.namespace}:s:*`, count: 500 });
+    for await (const keys of stream) {
+      if (keys.length) deleted += await this.redis.unlink(...keys);
+    }
+    console.log(`[ChatHistory] cleared ${deleted} sessions under ${this.namespace}`);
+  }
+
+  getStats() {
+    return {
+      backend: this.backend,
+      namespace: this.namespace,
+      perSessionLimit: this.perSessionLimit,
+      sessionTtlSeconds: this.sessionTtlSeconds,
+      sessions: this.backend === 'memory' ? this.lru.size : undefined,
+    };
+  }
+
   async clear(sessionId) {
     if (!sessionId) return;
     if (this.backend === 'redis') {
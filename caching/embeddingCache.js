@@ -2,6 +2,7 @@ import crypto from 'crypto';
 import Redis from 'ioredis';
 import { LRUCache } from 'lru-cache';
 import { normalizeQuery } from './normalization.js';
+import { recordUsage } from '../usage/usageMeter.js';
 
 function floatArrayToBase64(arr) {
   const float32 = new Float32Array(arr);
@@ -26,10 +27,12 @@ export class EmbeddingCache {
       redisOptions = undefined,
       ttlSeconds = Number(process.env.EMBEDDING_CACHE_TTL_SECONDS || 30 * 24 * 3600), // 30 days
       namespace = 'emb:v1',
+      modelKey = 'default',
       memoryMax = 1000,
     } = opts;
 
     this.namespace = namespace;
+    this.modelKey = modelKey;
     this.ttlSeconds = ttlSeconds;
     this.hits = 0;
     this.misses = 0;
@@ -50,7 +53,15 @@ export class EmbeddingCache {
   keyForQuery(qNorm) {
     // Exact mapping for normalized query, but keyed by a stable hash to keep keys short
     const h = stableHash(qNorm);
-    return `${this.namespace}:q:${h}`;
+    return `${this.namespace}:${this.modelKey}:q:${h}`;
+  }
+
+  // Query vectors from another model are useless; moving to a new key space
+  // lets the old entries expire on their own.
+  setModelKey(modelKey) {
+    if (!modelKey || modelKey === this.modelKey) return;
+    this.modelKey = modelKey;
+    if (this.backend === 'memory') this.lru.clear();
   }
 
   async getQueryEmbedding(query, embedFn) {
@@ -64,6 +75,7 @@ export class EmbeddingCache {
         if (raw) {
           const obj = JSON.parse(raw);
           this.hits++;
+          recordUsage({ embedCacheHits: 1 });
           console.log(`[EmbeddingCache] HIT backend=redis key=${key} created_at=${obj.created_at}`);
           return base64ToFloatArray(obj.vector_b64);
         }
@@ -75,6 +87,7 @@ export class EmbeddingCache {
       const obj = this.lru.get(key);
       if (obj) {
         this.hits++;
+        recordUsage({ embedCacheHits: 1 });
         console.log(`[EmbeddingCache] HIT backend=memory key=${key} created_at=${obj.created_at}`);
         return base64ToFloatArray(obj.vector_b64);
       }
@@ -83,6 +96,7 @@ export class EmbeddingCache {
 
     // Miss: compute
     this.misses++;
+    recordUsage({ embedCacheMisses: 1 });
     const vector = await embedFn(query);
     const payload = {
       q_norm: qNorm,
@@ -110,6 +124,20 @@ export class EmbeddingCache {
     return vector;
   }
 
+  // Drops every cached query vector, for all model keys
+  async clear() {
+    if (this.backend === 'memory') {
+      this.lru.clear();
+      return;
+    }
+    let deleted = 0;
+    const stream = this.redis.scanStream({ match: `${this.namespace}:*`, count: 500 });
+    for await (const keys of stream) {
+      if (keys.length) deleted += await this.redis.unlink(...keys);
+    }
+    console.log(`[EmbeddingCache] cleared ${deleted} keys under ${this.namespace}`);
+  }
+
   getStats() {
     return {
       backend: this.backend,
@@ -117,6 +145,8 @@ export class EmbeddingCache {
       hits: this.hits,
       misses: this.misses,
       namespace: this.namespace,
+      modelKey: this.modelKey,
+      items: this.backend === 'memory' ? this.lru.size : undefined,
     };
   }
 }
@@ -49,10 +49,41 @@ function norm(a) {
   return Math.sqrt(s) || 1e-12;
 }
 
-function cosineSimilarity(a, b) {
+export function cosineSimilarity(a, b) {
   return dot(a, b) / (norm(a) * norm(b));
 }
 
+// Ledger pages and cached sources can differ by a fragment or trailing slash
+export function normalizeSourceUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+  return url.trim().replace(/#.*$/, '').replace(/\/+$/, '');
+}
+
+function sourceUrls(metadata) {
+  const urls = new Set();
+  for (const entry of [...(metadata?.sources || []), ...(metadata?.relevantLinks || [])]) {
+    const url = normalizeSourceUrl(entry?.url);
+    if (url) urls.add(url);
+  }
+  return [...urls];
+}
+
+/**
+ * Hash of the recent turns a follow-up may refer to (the window the query
+ * rewriter reads). Answers cached under it are only reused in the same
+ * conversation state, e.g. after the same cached first answer.
+ */
+export function conversationContextHash(history = [], maxTurns = 3) {
+  const recent = Array.isArray(history) ? history.slice(-maxTurns * 2) : [];
+  if (recent.length === 0) return null;
+  const text = recent
+    .map((msg) => `${msg.role === 'user' ? 'user' : 'assistant'}:${String(msg.content || '').trim().replace(/\s+/g, ' ').toLowerCase()}`)
+    .join('\n');
+  return stableHash(text).slice(0, 16);
+}
+
+const TURN_KINDS = ['firstTurn', 'followUp'];
+
 function toFloat32(arr) {
   if (Array.isArray(arr)) return Array.from(arr, Number);
   if (arr instanceof Float32Array) return Array.from(arr);
@@ -60,7 +91,7 @@ function toFloat32(arr) {
 }
 
 // Locality-Sensitive Hashing using random hyperplanes
-class RandomHyperplaneLSH {
+export class RandomHyperplaneLSH {
   constructor({ bits = 16, seed = 'default', modelKey = 'default' } = {}) {
     this.bits = bits;
     this.seed = seed;
@@ -134,6 +165,7 @@ export class ResponseCache {
     this.ttlSeconds = ttlSeconds;
     this.hits = 0;
     this.misses = 0;
+    this.turnStats = Object.fromEntries(TURN_KINDS.map((kind) => [kind, { hits: 0, misses: 0 }]));
     this.modelKey = modelKey;
     this.threshold = threshold;
     this.hammingRadius = hammingRadius;
@@ -154,40 +186,126 @@ export class ResponseCache {
       this.items = new LRUCache({
         max: memoryMaxItems,
         ttl: ttlSeconds > 0 ? ttlSeconds * 1000 : 0,
-        // When evicted/expired, clean bucket index
+        // When evicted/expired, clean bucket and source indexes
         dispose: (val, key) => {
           try {
-            if (val && val.bucketKeys) {
-              for (const bk of val.bucketKeys) {
-                const s = this.bucketMap.get(bk);
-                if (s) {
-                  s.delete(key);
-                  if (s.size === 0) this.bucketMap.delete(bk);
-                }
-              }
-            }
+            this._unindexMemory(key, val);
           } catch {}
         },
       });
+      // Pinned and curated answers live outside the LRU so neither TTL nor eviction drops them
+      this.pinnedItems = new Map();
       // bucketKey -> Set<id>
       this.bucketMap = new Map();
+      // source url -> Set<id> of answers citing it
+      this.sourceMap = new Map();
       console.warn('[ResponseCache] REDIS_URL not set. Using in-memory LRU response cache.');
     }
   }
 
+  // Answers were found with the old model's vectors; item and bucket keys both
+  // carry the model key so they fall out of reach and expire by TTL. Pinned
+  // answers cannot be matched either, so they get their TTL back.
+  setModelKey(modelKey) {
+    if (!modelKey || modelKey === this.modelKey) return;
+    const previousKey = this.modelKey;
+    this.modelKey = modelKey;
+    this.lsh = new RandomHyperplaneLSH({ bits: this.bits, seed: this.namespace, modelKey });
+    if (this.backend === 'memory') {
+      if (this.pinnedItems.size) {
+        console.warn(`[ResponseCache] dropping ${this.pinnedItems.size} pinned answers from embedding space ${previousKey}`);
+      }
+      this.items.clear();
+      this.pinnedItems.clear();
+      this.bucketMap.clear();
+      this.sourceMap.clear();
+    } else {
+      this._releasePinned(previousKey).catch((e) => {
+        console.warn('[ResponseCache] releasing pinned answers failed:', e?.message || e);
+      });
+    }
+  }
+
+  async _releasePinned(modelKey) {
+    const pinnedKey = `${this.namespace}:pinned:${modelKey}`;
+    const ids = await this.redis.smembers(pinnedKey);
+    if (this.ttlSeconds > 0 && ids.length) {
+      const pipeline = this.redis.pipeline();
+      for (const id of ids) {
+        pipeline.expire(`${this.namespace}:item:${modelKey}:${id}`, this.ttlSeconds);
+        pipeline.expire(`${this.namespace}:hits:${modelKey}:${id}`, this.ttlSeconds);
+      }
+      await pipeline.exec();
+    }
+    await this.redis.del(pinnedKey);
+  }
+
   itemKey(id) {
-    return `${this.namespace}:item:${id}`;
+    return `${this.namespace}:item:${this.modelKey}:${id}`;
+  }
+
+  // Answers are only compared within one partition: the answer language, plus
+  // the conversation context hash for follow-ups that are not standalone
+  partition({ language = null, context = null } = {}) {
+    return `${language || 'any'}${context ? `:ctx:${context}` : ''}`;
+  }
+
+  _partitionOf(item) {
+    return item.partition || this.partition({ language: item.metadata?.language, context: item.context });
+  }
+
+  bucketKey(sig, partition) {
+    // isolate per modelKey, bit-length and partition
+    return `${this.namespace}:b:${this.modelKey}:${this.bits}:${partition}:${sig.toString(16)}`;
+  }
+
+  // Pinned ids per bucket; unlike bucketKey sets these never expire
+  pinnedBucketKey(sig, partition) {
+    return `${this.namespace}:pb:${this.modelKey}:${this.bits}:${partition}:${sig.toString(16)}`;
+  }
+
+  pinnedKey() {
+    return `${this.namespace}:pinned:${this.modelKey}`;
+  }
+
+  // Hash of { count, lastAt } per item, expiring with it
+  hitsKey(id) {
+    return `${this.namespace}:hits:${this.modelKey}:${id}`;
+  }
+
+  // Reverse index: ids of the answers that cite a source url
+  sourceKey(url) {
+    return `${this.namespace}:src:${this.modelKey}:${stableHash(url)}`;
+  }
+
+  _indexMemory(id, rec) {
+    for (const [map, k] of [...rec.bucketKeys.map((bk) => [this.bucketMap, bk]), ...rec.sourceUrls.map((url) => [this.sourceMap, url])]) {
+      let set = map.get(k);
+      if (!set) {
+        set = new Set();
+        map.set(k, set);
+      }
+      set.add(id);
+    }
   }
 
-  bucketKey(sig) {
-    // isolate per modelKey and bit-length
-    return `${this.namespace}:b:${this.modelKey}:${this.bits}:${sig.toString(16)}`;
+  _unindexMemory(id, rec) {
+    for (const [keys, map] of [[rec?.bucketKeys, this.bucketMap], [rec?.sourceUrls, this.sourceMap]]) {
+      for (const k of keys || []) {
+        const s = map.get(k);
+        if (s) {
+          s.delete(id);
+          if (s.size === 0) map.delete(k);
+        }
+      }
+    }
   }
 
-  makeId(vector, payload) {
+  // The same answer text in another language or conversation is a separate entry
+  makeId(vector, payload, partition = '') {
     const b64 = floatArrayToBase64(vector);
     const txt = typeof payload?.responseText === 'string' ? payload.responseText : '';
-    return stableHash(`${b64}:${txt}`);
+    return stableHash(`${b64}:${txt}:${partition}`);
   }
 
   isUsableHit(item) {
@@ -233,7 +351,6 @@ export class ResponseCache {
     const dim = vector.length;
     // Always use trimmed responseText for ID and storage
     const trimmedPayload = { ...payload, responseText };
-    const id = this.makeId(vector, trimmedPayload);
     const metadata = {
       ...metadataRaw,
       sources,
@@ -241,6 +358,9 @@ export class ResponseCache {
       confidence,
       success: true,
     };
+    const context = typeof payload.context === 'string' && payload.context ? payload.context : null;
+    const partition = this.partition({ language: metadata.language, context });
+    const id = this.makeId(vector, trimmedPayload, partition);
     const item = {
       id,
       modelKey: this.modelKey,
@@ -250,15 +370,26 @@ export class ResponseCache {
       responseText,
       metadata,
       question: payload.question ?? null,
+      context,
+      partition,
       ttlSeconds: this.ttlSeconds,
+      threshold: this.threshold,
+      pinned: false,
+      curated: false,
     };
 
     const sig = this.lsh.signature(vector, dim);
-    const bKey = this.bucketKey(sig);
+    const bKey = this.bucketKey(sig, partition);
+    const urls = sourceUrls(metadata);
 
     if (this.backend === 'redis') {
       const itKey = this.itemKey(id);
       try {
+        if (await this.redis.sismember(this.pinnedKey(), id)) {
+          // Same question and answer as a pinned entry: keep the pinned one
+          console.log(`[ResponseCache] SET skipped, id=${id} is pinned`);
+          return id;
+        }
         // Store item with TTL
         if (this.ttlSeconds > 0) {
           await this.redis.set(itKey, JSON.stringify(item), 'EX', this.ttlSeconds);
@@ -275,6 +406,15 @@ export class ResponseCache {
             await this.redis.spop(bKey, sz - maxBucketSize);
           }
         } catch {}
+        if (urls.length) {
+          const pipeline = this.redis.pipeline();
+          for (const url of urls) {
+            const srcKey = this.sourceKey(url);
+            pipeline.sadd(srcKey, id);
+            if (this.ttlSeconds > 0) pipeline.expire(srcKey, this.ttlSeconds);
+          }
+          await pipeline.exec();
+        }
         console.log(`[ResponseCache] SET backend=redis id=${id} bucket=${bKey}`);
       } catch (e) {
         console.warn('[ResponseCache] Redis put failed:', e?.message || e);
@@ -285,23 +425,32 @@ export class ResponseCache {
       // Track bucket membership for cleanup
       const bk = bKey;
       it.bucketKeys = [bk];
-      this.items.set(id, it);
-      let set = this.bucketMap.get(bk);
-      if (!set) {
-        set = new Set();
-        this.bucketMap.set(bk, set);
+      it.sourceUrls = urls;
+      it.hits = this.items.peek(id)?.hits || 0;
+      if (this.pinnedItems.has(id)) {
+        // Same question and answer as a pinned entry: keep the pinned one
+        console.log(`[ResponseCache] SET skipped, id=${id} is pinned`);
+        return id;
       }
-      set.add(id);
+      this.items.set(id, it);
+      this._indexMemory(id, it);
       console.log(`[ResponseCache] SET backend=memory id=${id} bucket=${bKey}`);
     }
 
     return id;
   }
 
+  /**
+   * Closest usable answer in the partition of `opts.language` and
+   * `opts.context`. `opts.turn` ('firstTurn' or 'followUp') files the lookup
+   * under that kind in the hit-rate stats.
+   */
   async getSimilar(vectorInput, opts = {}) {
     const vector = toFloat32(vectorInput);
     const dim = vector.length;
     const sig = this.lsh.signature(vector, dim);
+    const partition = this.partition(opts);
+    const turnStats = this.turnStats[opts.turn] || null;
     const radius = Number(opts.radius ?? this.hammingRadius);
     const threshold = Number(opts.threshold ?? this.threshold);
     const maxCandidates = Number(opts.maxCandidates ?? this.maxCandidates);
@@ -311,7 +460,7 @@ export class ResponseCache {
     if (this.backend === 'redis') {
       try {
         const codes = this.lsh.neighbors(sig, radius);
-        const bucketKeys = codes.map((c) => this.bucketKey(c));
+        const bucketKeys = codes.flatMap((c) => [this.bucketKey(c, partition), this.pinnedBucketKey(c, partition)]);
         // Use SUNION to get a unique set of candidate IDs
         candidateIds = await this.redis.sunion(bucketKeys);
       } catch (e) {
@@ -339,6 +488,8 @@ export class ResponseCache {
               toCleanup.push(ids[i]);
               continue;
             }
+            // Stale pinned answers wait for an admin to curate or unpin them
+            if (obj.stale) continue;
             const vec = base64ToFloatArray(obj.vector_b64);
             const sim = cosineSimilarity(vector, vec);
             if (!best || sim > best.similarity) best = { id: obj.id, similarity: sim, item: obj };
@@ -347,7 +498,7 @@ export class ResponseCache {
         // Lazy-clean stale ids from each bucket we touched
         if (toCleanup.length) {
           const codes = this.lsh.neighbors(sig, radius);
-          const bucketKeys = codes.map((c) => this.bucketKey(c));
+          const bucketKeys = codes.map((c) => this.bucketKey(c, partition));
           try {
             // Best-effort cleanup: remove stale ids from all relevant buckets
             for (const bk of bucketKeys) {
@@ -360,10 +511,13 @@ export class ResponseCache {
 
       if (best && best.similarity >= threshold && this.isUsableHit(best.item)) {
         this.hits++;
+        if (turnStats) turnStats.hits++;
+        this._countHit(best.id, best.item).catch(() => {});
         console.log(`[ResponseCache] HIT backend=redis id=${best.id} sim=${best.similarity.toFixed(4)}`);
         return { hit: true, similarity: best.similarity, item: best.item };
       }
       this.misses++;
+      if (turnStats) turnStats.misses++;
       console.log(`[ResponseCache] MISS backend=redis candidates=${candidateIds.length}`);
       return { hit: false, similarity: best ? best.similarity : 0, item: best ? best.item : null };
 
@@ -372,27 +526,32 @@ export class ResponseCache {
       const codes = this.lsh.neighbors(sig, radius);
       const idSet = new Set();
       for (const c of codes) {
-        const bk = this.bucketKey(c);
+        const bk = this.bucketKey(c, partition);
         const s = this.bucketMap.get(bk);
         if (s) for (const id of s) idSet.add(id);
       }
       const ids = Array.from(idSet).slice(0, maxCandidates);
       let best = null;
       for (const id of ids) {
-        const rec = this.items.get(id);
+        const rec = this.items.get(id) || this.pinnedItems.get(id);
         if (!rec || !rec.vector || !this.isUsableHit(rec)) {
           if (rec) this.items.delete(id);
           continue;
         }
+        if (rec.stale) continue;
         const sim = cosineSimilarity(vector, rec.vector);
         if (!best || sim > best.similarity) best = { id, similarity: sim, item: rec };
       }
       if (best && best.similarity >= threshold && this.isUsableHit(best.item)) {
         this.hits++;
+        if (turnStats) turnStats.hits++;
+        best.item.hits = (best.item.hits || 0) + 1;
+        best.item.lastHitAt = new Date().toISOString();
         console.log(`[ResponseCache] HIT backend=memory id=${best.id} sim=${best.similarity.toFixed(4)}`);
         return { hit: true, similarity: best.similarity, item: this.stripMemoryItem(best.item) };
       }
       this.misses++;
+      if (turnStats) turnStats.misses++;
       console.log(`[ResponseCache] MISS backend=memory candidates=${ids.length}`);
       return { hit: false, similarity: best ? best.similarity : 0, item: best ? this.stripMemoryItem(best.item) : null };
     }
@@ -401,10 +560,317 @@ export class ResponseCache {
   stripMemoryItem(it) {
     // Return a plain object similar to Redis-stored item
     if (!it) return null;
-    const { vector, bucketKeys, ...rest } = it;
+    const { vector, bucketKeys, sourceUrls, ...rest } = it;
     return rest;
   }
 
+  async _countHit(id, item) {
+    const key = this.hitsKey(id);
+    const pipeline = this.redis.pipeline();
+    pipeline.hincrby(key, 'count', 1);
+    pipeline.hset(key, 'lastAt', new Date().toISOString());
+    if (this.ttlSeconds > 0 && !item.pinned) pipeline.expire(key, this.ttlSeconds);
+    await pipeline.exec();
+  }
+
+  /**
+   * Drops every cached answer that cites one of `urls` (pages whose content
+   * changed or that were deleted). Pinned answers are kept but flagged
+   * `stale` for an admin to review. Bucket entries of dropped items are
+   * cleaned lazily by getSimilar. Resolves to the number of answers removed.
+   */
+  async invalidateUrls(urlsInput = []) {
+    const urls = [...new Set([...urlsInput].map(normalizeSourceUrl).filter(Boolean))];
+    if (urls.length === 0) return 0;
+
+    let removed = 0;
+    let flagged = 0;
+    const staleSince = new Date().toISOString();
+    if (this.backend === 'redis') {
+      try {
+        const srcKeys = urls.map((url) => this.sourceKey(url));
+        const pinned = new Set(await this.redis.smembers(this.pinnedKey()));
+        const ids = (await this.redis.sunion(srcKeys)).filter((id) => !pinned.has(id));
+        if (ids.length) {
+          removed = await this.redis.del(...ids.map((id) => this.itemKey(id)));
+          await this.redis.del(...ids.map((id) => this.hitsKey(id)));
+        }
+        await this.redis.del(...srcKeys);
+
+        const changed = new Set(urls);
+        for (const id of pinned) {
+          const item = await this._readItem(id);
+          if (!item || item.stale || !sourceUrls(item.metadata).some((url) => changed.has(url))) continue;
+          await this.redis.set(this.itemKey(id), JSON.stringify({ ...item, stale: true, staleSince }));
+          flagged++;
+        }
+      } catch (e) {
+        console.warn('[ResponseCache] Redis invalidation failed:', e?.message || e);
+      }
+    } else {
+      const ids = new Set();
+      for (const url of urls) {
+        for (const id of this.sourceMap.get(url) || []) ids.add(id);
+      }
+      for (const id of ids) {
+        const pinned = this.pinnedItems.get(id);
+        if (pinned) {
+          if (!pinned.stale) flagged++;
+          Object.assign(pinned, { stale: true, staleSince: pinned.staleSince || staleSince });
+        } else if (this.items.delete(id)) {
+          removed++;
+        }
+      }
+    }
+    if (removed || flagged) {
+      console.log(
+        `[ResponseCache] invalidated ${removed} answers citing ${urls.length} changed urls; ${flagged} pinned answers flagged stale`
+      );
+    }
+    return removed;
+  }
+
+  // Removes every item and index key under this namespace, for all model
+  // keys; `keepPinned` spares the current model's pinned answers.
+  async clear({ keepPinned = false } = {}) {
+    if (this.backend === 'memory') {
+      this.items.clear();
+      this.bucketMap.clear();
+      this.sourceMap.clear();
+      if (keepPinned) {
+        for (const [id, rec] of this.pinnedItems) this._indexMemory(id, rec);
+      } else {
+        this.pinnedItems.clear();
+      }
+      return;
+    }
+    const pinned = keepPinned ? new Set(await this.redis.smembers(this.pinnedKey())) : new Set();
+    const kinds = keepPinned ? ['item', 'hits', 'b', 'src'] : ['item', 'hits', 'b', 'src', 'pb', 'pinned'];
+    let deleted = 0;
+    for (const kind of kinds) {
+      const stream = this.redis.scanStream({ match: `${this.namespace}:${kind}:*`, count: 500 });
+      for await (const keys of stream) {
+        const spared = (key) =>
+          (kind === 'item' || kind === 'hits') &&
+          key.startsWith(`${this.namespace}:${kind}:${this.modelKey}:`) &&
+          pinned.has(key.split(':').pop());
+        const doomed = keys.filter((key) => !spared(key));
+        if (doomed.length) deleted += await this.redis.unlink(...doomed);
+      }
+    }
+    console.log(`[ResponseCache] cleared ${deleted} keys under ${this.namespace}${keepPinned ? ' (pinned kept)' : ''}`);
+  }
+
+  async _readItem(id) {
+    const raw = await this.redis.get(this.itemKey(id));
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  // Admin view of an entry: no vectors, plus hit count and time left
+  _describe(item, { hits = item.hits || 0, lastHitAt = item.lastHitAt || null, expiresInSeconds = null } = {}) {
+    const { vector, vector_b64, bucketKeys, sourceUrls: _urls, ...rest } = item;
+    return {
+      ...rest,
+      language: item.metadata?.language || null,
+      cachedAt: item.metadata?.cachedAt || item.created_at,
+      sources: sourceUrls(item.metadata),
+      hits,
+      lastHitAt,
+      expiresInSeconds: item.pinned ? null : expiresInSeconds,
+    };
+  }
+
+  async _describeRedis(items) {
+    const pipeline = this.redis.pipeline();
+    for (const item of items) {
+      pipeline.hgetall(this.hitsKey(item.id));
+      pipeline.ttl(this.itemKey(item.id));
+    }
+    const replies = await pipeline.exec();
+    return items.map((item, i) => {
+      const hits = replies[i * 2]?.[1] || {};
+      const ttl = Number(replies[i * 2 + 1]?.[1]);
+      return this._describe(item, {
+        hits: Number(hits.count) || 0,
+        lastHitAt: hits.lastAt || null,
+        expiresInSeconds: ttl >= 0 ? ttl : null,
+      });
+    });
+  }
+
+  /**
+   * Cached answers of the current embedding space, newest first. `search`
+   * matches the question or answer text; `pinned: true` lists only pinned ones.
+   */
+  async listItems({ search = '', pinned = null, limit = 50, offset = 0 } = {}) {
+    const needle = String(search || '').trim().toLowerCase();
+    const matches = (item) =>
+      (pinned === null || Boolean(item.pinned) === pinned) &&
+      (!needle ||
+        String(item.question || '').toLowerCase().includes(needle) ||
+        String(item.responseText || '').toLowerCase().includes(needle));
+
+    let items = [];
+    if (this.backend === 'redis') {
+      const keys = [];
+      const stream = this.redis.scanStream({ match: `${this.namespace}:item:${this.modelKey}:*`, count: 500 });
+      for await (const batch of stream) keys.push(...batch);
+      for (let i = 0; i < keys.length; i += 200) {
+        const raws = await this.redis.mget(keys.slice(i, i + 200));
+        for (const raw of raws) {
+          try {
+            const item = raw ? JSON.parse(raw) : null;
+            if (item && matches(item)) items.push(item);
+          } catch {}
+        }
+      }
+    } else {
+      items = [...this.pinnedItems.values(), ...this.items.values()].filter(matches);
+    }
+
+    items.sort((a, b) => String(b.metadata?.cachedAt || b.created_at).localeCompare(String(a.metadata?.cachedAt || a.created_at)));
+    const page = items.slice(offset, offset + limit);
+    return {
+      total: items.length,
+      items:
+        this.backend === 'redis'
+          ? await this._describeRedis(page)
+          : page.map((item) => this._describe(item, { expiresInSeconds: Math.round(this.items.getRemainingTTL(item.id) / 1000) })),
+    };
+  }
+
+  async getItem(id) {
+    if (this.backend === 'redis') {
+      const item = await this._readItem(id);
+      return item ? (await this._describeRedis([item]))[0] : null;
+    }
+    const item = this.pinnedItems.get(id) || this.items.peek(id);
+    return item ? this._describe(item, { expiresInSeconds: Math.round(this.items.getRemainingTTL(id) / 1000) }) : null;
+  }
+
+  async deleteItem(id) {
+    if (this.backend === 'redis') {
+      const item = await this._readItem(id);
+      if (!item) return false;
+      const sig = this.lsh.signature(base64ToFloatArray(item.vector_b64), item.dim);
+      const partition = this._partitionOf(item);
+      const pipeline = this.redis.pipeline();
+      pipeline.del(this.itemKey(id), this.hitsKey(id));
+      pipeline.srem(this.bucketKey(sig, partition), id);
+      pipeline.srem(this.pinnedBucketKey(sig, partition), id);
+      pipeline.srem(this.pinnedKey(), id);
+      await pipeline.exec();
+      return true;
+    }
+    const pinned = this.pinnedItems.get(id);
+    if (pinned) {
+      this.pinnedItems.delete(id);
+      this._unindexMemory(id, pinned);
+      return true;
+    }
+    return this.items.delete(id);
+  }
+
+  // Rewrites an item in place; `pinned` decides whether it keeps a TTL
+  async _saveRedis(item) {
+    const sig = this.lsh.signature(base64ToFloatArray(item.vector_b64), item.dim);
+    const partition = this._partitionOf(item);
+    const bucketKey = this.bucketKey(sig, partition);
+    const pinnedBucketKey = this.pinnedBucketKey(sig, partition);
+    const pipeline = this.redis.pipeline();
+    if (item.pinned) {
+      pipeline.set(this.itemKey(item.id), JSON.stringify(item));
+      pipeline.persist(this.hitsKey(item.id));
+      pipeline.sadd(pinnedBucketKey, item.id);
+      pipeline.sadd(this.pinnedKey(), item.id);
+    } else {
+      if (this.ttlSeconds > 0) {
+        pipeline.set(this.itemKey(item.id), JSON.stringify(item), 'EX', this.ttlSeconds);
+        pipeline.expire(this.hitsKey(item.id), this.ttlSeconds);
+      } else {
+        pipeline.set(this.itemKey(item.id), JSON.stringify(item));
+      }
+      pipeline.sadd(bucketKey, item.id);
+      if (this.ttlSeconds > 0) pipeline.expire(bucketKey, this.ttlSeconds);
+      pipeline.srem(pinnedBucketKey, item.id);
+      pipeline.srem(this.pinnedKey(), item.id);
+    }
+    await pipeline.exec();
+  }
+
+  // Applies `change(item)` to an entry and re-files it as pinned or not
+  async _updateItem(id, change) {
+    if (this.backend === 'redis') {
+      const item = await this._readItem(id);
+      if (!item) return null;
+      change(item);
+      await this._saveRedis(item);
+      return this.getItem(id);
+    }
+    let rec = this.pinnedItems.get(id) || this.items.peek(id);
+    if (!rec) return null;
+    const wasPinned = this.pinnedItems.has(id);
+    rec = { ...rec };
+    change(rec);
+    if (rec.pinned) {
+      if (!wasPinned) this.items.delete(id);
+      this.pinnedItems.set(id, rec);
+      this._indexMemory(id, rec);
+    } else {
+      this.pinnedItems.delete(id);
+      // A fresh TTL from now; `set` replaces any LRU copy
+      this.items.set(id, rec);
+      this._indexMemory(id, rec);
+    }
+    return this.getItem(id);
+  }
+
+  // Pinned answers survive TTL expiry and eviction until unpinned. Unpinning a
+  // stale answer drops it, as invalidation would have.
+  async setPinned(id, pinned, by = null) {
+    if (!pinned) {
+      const item = await this.getItem(id);
+      if (item?.stale) {
+        await this.deleteItem(id);
+        return { ...item, pinned: false, dropped: true };
+      }
+    }
+    return this._updateItem(id, (item) => {
+      item.pinned = Boolean(pinned);
+      item.pinnedBy = pinned ? by : null;
+      item.pinnedAt = pinned ? new Date().toISOString() : null;
+    });
+  }
+
+  /**
+   * Replaces the cached answer with a curated one. Curated answers are pinned
+   * and clear the `stale` flag; the original text is kept for reference.
+   */
+  async curate(id, responseText, by = null) {
+    const text = typeof responseText === 'string' ? responseText.trim() : '';
+    if (!text) throw new Error('answer text is required');
+    const now = new Date().toISOString();
+    return this._updateItem(id, (item) => {
+      if (!item.curated) item.originalResponseText = item.responseText;
+      Object.assign(item, {
+        responseText: text,
+        curated: true,
+        curatedBy: by,
+        curatedAt: now,
+        pinned: true,
+        pinnedBy: item.pinnedBy || by,
+        pinnedAt: item.pinnedAt || now,
+        stale: false,
+        staleSince: null,
+      });
+    });
+  }
+
   getStats() {
     const items = this.backend === 'memory' ? this.items.size : undefined;
     return {
@@ -418,6 +884,14 @@ export class ResponseCache {
       threshold: this.threshold,
       modelKey: this.modelKey,
       items,
+      pinned: this.backend === 'memory' ? this.pinnedItems.size : undefined,
+      // This process's lookups, first turns vs follow-ups
+      byTurn: Object.fromEntries(
+        TURN_KINDS.map((kind) => {
+          const { hits, misses } = this.turnStats[kind];
+          return [kind, { hits, misses, hitRate: hits + misses > 0 ? hits / (hits + misses) : null }];
+        })
+      ),
     };
   }
 }
@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { MongoCollection, ServiceError } from '../utils/mongoStore.js';
+
+// Admin accounts, stored in Mongo. Each account has one role; a role grants
+// everything the roles before it in ROLES grant:
+//   viewer -- read-only admin routes (stats, jobs, ledger, runs, usage)
+//   editor -- also ingestion that adds to the index (embed, re-embed, migrate, job cancel/resume)
+//   owner  -- also destructive routes (scrape, reset storage, rollback) and user management
+
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 10;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,64}$/;
+
+// Compared against when the username is unknown, so both paths cost one bcrypt round
+const DUMMY_HASH = bcrypt.hashSync('not-a-password', BCRYPT_ROUNDS);
+
+export class AdminUserError extends ServiceError {}
+
+export function hasRole(user, required) {
+    const have = ROLES.indexOf(user?.role);
+    return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+export function normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+function assertRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new AdminUserError(`role must be one of ${ROLES.join(', ')}`, 'INVALID_ROLE', 400);
+    }
+}
+
+function assertPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AdminUserError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'WEAK_PASSWORD', 400);
+    }
+    // bcrypt only looks at the first 72 bytes
+    if (Buffer.byteLength(password) > 72) {
+        throw new AdminUserError('Password must be at most 72 bytes', 'WEAK_PASSWORD', 400);
+    }
+}
+
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toPublicUser(doc) {
+    if (!doc) return null;
+    const { _id, passwordHash, reset, tokenVersion, ...rest } = doc;
+    return { ...rest, resetPending: Boolean(reset && new Date(reset.expiresAt) > new Date()) };
+}
+
+/**
+ * The admin from ADMIN_PASSWORD_HASH (and ADMIN_USERNAME, default admin). It
+ * acts as an owner, but only while Mongo is reachable and holds no accounts --
+ * enough to sign in once and create real accounts. An outage does not count as
+ * "no accounts" unless ADMIN_ENV_WITHOUT_MONGO=true opts into that.
+ */
+export function readEnvAdmin(env = process.env) {
+    const username = normalizeUsername(env.ADMIN_USERNAME || 'admin');
+    const passwordHash = env.ADMIN_PASSWORD_HASH?.trim();
+    const withoutMongo = (env.ADMIN_ENV_WITHOUT_MONGO || '').trim().toLowerCase() === 'true';
+    return username && passwordHash ? { username, passwordHash, withoutMongo } : null;
+}
+
+
+export class AdminUserStore {
+    constructor({ dbManager, collectionName = process.env.MONGO_ADMIN_USERS_COLL || 'admin_users', envAdmin = readEnvAdmin() } = {}) {
+        this.dbManager = dbManager;
+        this.collectionName = collectionName.trim();
+        this.envAdmin = envAdmin;
+        this.collection = new MongoCollection({
+            dbManager,
+            name: this.collectionName,
+            label: 'admin-users',
+            createIndexes: (coll) => coll.createIndex({ role: 1 }),
+            unavailable: () => new AdminUserError('MongoDB not connected; admin accounts unavailable', 'MONGO_UNAVAILABLE', 503),
+        });
+    }
+
+
+    async _requireUser(coll, username) {
+        const doc = await coll.findOne({ _id: normalizeUsername(username) });
+        if (!doc) {
+            throw new AdminUserError('User not found', 'NOT_FOUND', 404);
+        }
+        return doc;
+    }
+
+
+    // Whether the env admin may sign in: set, and Mongo reachable with no accounts
+    // to take precedence. Fails closed when Mongo is down (see readEnvAdmin).
+    async envAdminActive() {
+        if (!this.envAdmin) return false;
+        const coll = await this.collection.get();
+        if (!coll) return Boolean(this.envAdmin.withoutMongo);
+        return (await coll.estimatedDocumentCount()) === 0;
+    }
+
+
+    async list() {
+        const coll = await this.collection.require();
+        const docs = await coll.find({}).sort({ username: 1 }).toArray();
+        return docs.map(toPublicUser);
+    }
+
+
+    async get(username) {
+        const coll = await this.collection.require();
+        return toPublicUser(await coll.findOne({ _id: normalizeUsername(username) }));
+    }
+
+
+    async create({ username, password, role = 'viewer' }, actor = null) {
+        const name = normalizeUsername(username);
+        if (!USERNAME_PATTERN.test(name)) {
+            throw new AdminUserError('Username must be 3-64 characters of a-z, 0-9, ".", "_" or "-"', 'INVALID_USERNAME', 400);
+        }
+        assertRole(role);
+        assertPassword(password);
+        const coll = await this.collection.require();
+
+        const now = new Date().toISOString();
+        const doc = {
+            _id: name,
+            username: name,
+            role,
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            tokenVersion: 0,
+            disabled: false,
+            createdBy: actor,
+            createdAt: now,
+            updatedAt: now,
+            passwordChangedAt: now,
+            lastLoginAt: null,
+        };
+        try {
+            await coll.insertOne(doc);
+        } catch (error) {
+            if (error?.code === 11000) {
+                throw new AdminUserError(`User "${name}" already exists`, 'USER_EXISTS', 409);
+            }
+            throw error;
+        }
+        console.log(`[admin-users] ${actor || 'cli'} created ${role} "${name}"`);
+        return toPublicUser(doc);
+    }
+
+
+    // Refuses changes that would leave no enabled owner
+    async _assertOwnerRemains(coll, doc, change) {
+        const staysOwner = change !== 'remove' && (change.role ?? doc.role) === 'owner' && !(change.disabled ?? doc.disabled);
+        if (doc.role !== 'owner' || doc.disabled || staysOwner) return;
+        const owners = await coll.countDocuments({ role: 'owner', disabled: { $ne: true } });
+        if (owners <= 1) {
+            throw new AdminUserError('The last owner cannot be removed, disabled or demoted', 'LAST_OWNER', 409);
+        }
+    }
+
+
+    /** Changes `role` and/or `disabled`. Disabling also signs the user out. */
+    async update(username, { role, disabled } = {}, actor = null) {
+        if (role !== undefined) assertRole(role);
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            throw new AdminUserError('disabled must be a boolean', 'INVALID_UPDATE', 400);
+        }
+        if (role === undefined && disabled === undefined) {
+            throw new AdminUserError('Nothing to update; send role and/or disabled', 'INVALID_UPDATE', 400);
+        }
+        const coll = await this.collection.require();
+        const doc = await this._requireUser(coll, username);
+        await this._assertOwnerRemains(coll, doc, { role, disabled });
+
+        const set = { updatedAt: new Date().toISOString() };
+        if (role !== undefined) set.role = role;
+        if (disabled !== undefined) set.disabled = disabled;
+        const update = { $set: set };
+        if (disabled === true) update.$inc = { tokenVersion: 1 };
+
+        const updated = await coll.findOneAndUpdate({ _id: doc._id }, update, { returnDocument: 'after' });
+        console.log(`[admin-users] ${actor} updated "${doc._id}": ${JSON.stringify({ role, disabled })}`);
+        return toPublicUser(updated);
+    }
+
+
+    async remove(username, actor = null) {
+        const coll = await this.collection.require();
+        const doc = await this._requireUser(coll, username);
+        await this._assertOwnerRemains(coll, doc, 'remove');
+        await coll.deleteOne({ _id: doc._id });
+        console.log(`[admin-users] ${actor} removed "${doc._id}"`);
+    }
+
+
+    /**
+     * Checks a login. Resolves to `{ username, role, tokenVersion, source }`
+     * or null; unknown users, wrong passwords and disabled accounts are not
+     * told apart.
+     */
+    async authenticate(username, password) {
+        const name = normalizeUsername(username);
+        const coll = await this.collection.get();
+        const doc = coll ? await coll.findOne({ _id: name }) : null;
+
+        if (!doc) {
+            if (this.envAdmin && name === this.envAdmin.username && (await this.envAdminActive())) {
+                const valid = await bcrypt.compare(String(password), this.envAdmin.passwordHash);
+                return valid ? { username: name, role: 'owner', tokenVersion: 0, source: 'env' } : null;
+            }
+            await bcrypt.compare(String(password), DUMMY_HASH);
+            return null;
+        }
+
+        const valid = await bcrypt.compare(String(password), doc.passwordHash);
+        if (!valid || doc.disabled) return null;
+        await coll.updateOne({ _id: doc._id }, { $set: { lastLoginAt: new Date().toISOString() } });
+        return { username: doc.username, role: doc.role, tokenVersion: doc.tokenVersion || 0, source: 'mongo' };
+    }
+
+
+    /**
+     * The account behind a verified token payload, with its current role, or
+     * null when the account is gone, disabled or the token predates a password
+     * change. Throws (503) when Mongo accounts cannot be checked.
+     */
+    async resolveToken(payload) {
+        if (payload?.source === 'env') {
+            const active = this.envAdmin && payload.username === this.envAdmin.username && (await this.envAdminActive());
+            return active ? { username: payload.username, role: 'owner', source: 'env' } : null;
+        }
+        const coll = await this.collection.require();
+        const doc = await coll.findOne({ _id: normalizeUsername(payload?.username) });
+        if (!doc || doc.disabled || (doc.tokenVersion || 0) !== (payload.ver || 0)) return null;
+        return { username: doc.username, role: doc.role, source: 'mongo' };
+    }
+
+
+    async _setPassword(coll, doc, password) {
+        const now = new Date().toISOString();
+        const updated = await coll.findOneAndUpdate(
+            { _id: doc._id },
+            {
+                $set: { passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS), passwordChangedAt: now, updatedAt: now },
+                $unset: { reset: '' },
+                // Tokens carry the version, so every existing session ends here
+                $inc: { tokenVersion: 1 },
+            },
+            { returnDocument: 'after' }
+        );
+        return { username: updated.username, role: updated.role, tokenVersion: updated.tokenVersion, source: 'mongo' };
+    }
+
+
+    async changePassword(username, currentPassword, newPassword) {
+        assertPassword(newPassword);
+        const coll = await this.collection.require();
+        const doc = await this._requireUser(coll, username);
+        if (!(await bcrypt.compare(String(currentPassword || ''), doc.passwordHash))) {
+            throw new AdminUserError('Current password is incorrect', 'INVALID_PASSWORD', 401);
+        }
+        console.log(`[admin-users] "${doc._id}" changed their password`);
+        return this._setPassword(coll, doc, newPassword);
+    }
+
+
+    // Sets a password outright (CLI recovery); signs the user out everywhere
+    async setPassword(username, password) {
+        assertPassword(password);
+        const coll = await this.collection.require();
+        const doc = await this._requireUser(coll, username);
+        return this._setPassword(coll, doc, password);
+    }
+
+
+    /**
+     * Starts a reset: returns a one-time token (only its hash is stored)
+     * that the user redeems with completeReset within the hour. Existing
+     * sessions are signed out straight away.
+     */
+    async issueReset(username, actor = null) {
+        const coll = await this.collection.require();
+        const doc = await this._requireUser(coll, username);
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+        await coll.updateOne(
+            { _id: doc._id },
+            {
+                $set: { reset: { tokenHash: hashResetToken(token), expiresAt, issuedBy: actor }, updatedAt: new Date().toISOString() },
+                $inc: { tokenVersion: 1 },
+            }
+        );
+        console.log(`[admin-users] ${actor} issued a password reset for "${doc._id}"`);
+        return { username: doc.username, resetToken: token, expiresAt };
+    }
+
+
+    async completeReset(username, token, newPassword) {
+        assertPassword(newPassword);
+        const coll = await this.collection.require();
+        const doc = await coll.findOne({ _id: normalizeUsername(username) });
+        const expected = doc?.reset?.tokenHash ? Buffer.from(doc.reset.tokenHash, 'hex') : null;
+        const given = Buffer.from(hashResetToken(token), 'hex');
+        const valid =
+            expected &&
+            expected.length === given.length &&
+            crypto.timingSafeEqual(expected, given) &&
+            new Date(doc.reset.expiresAt) > new Date();
+        if (!valid || doc.disabled) {
+            throw new AdminUserError('Invalid or expired reset token', 'INVALID_RESET_TOKEN', 400);
+        }
+        console.log(`[admin-users] "${doc._id}" completed a password reset`);
+        return this._setPassword(coll, doc, newPassword);
+    }
+}
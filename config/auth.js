@@ -1,59 +1,80 @@
 import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
+import { hasRole } from './adminUsers.js';
 
 dotenv.config();
 
-const ADMIN_CREDENTIALS = {
-    username: process.env.ADMIN_USERNAME || 'admin',
-    passwordHash: process.env.ADMIN_PASSWORD_HASH || bcrypt.hashSync('admin123', 10)
-};
-
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRY = '5h';
 
 
 
-// admin login
-const login = async (username, password) => {
-    if (username !== ADMIN_CREDENTIALS.username) {
-        return { success: false, error: 'Invalid credentials' };
-    }
+// sign a session token for an authenticated account (see AdminUserStore)
+const signToken = (account) => jwt.sign(
+    { username: account.username, role: account.role, ver: account.tokenVersion || 0, source: account.source },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRY }
+);
 
-    const isValid = await bcrypt.compare(password, ADMIN_CREDENTIALS.passwordHash);
-    if (!isValid) {
-        return { success: false, error: 'Invalid credentials' };
-    }
 
-    const token = jwt.sign(
-        { username, role: 'admin' },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRY }
-    );
 
-    return { success: true, token };
+// admin login
+const login = async (users, username, password) => {
+    const account = await users.authenticate(username, password);
+    if (!account) {
+        return { success: false, error: 'Invalid credentials' };
+    }
+    return { success: true, token: signToken(account), user: { username: account.username, role: account.role } };
 };
 
 
 
-// auth middleware
-const authenticateAdmin = (req, res, next) => {
+// auth middleware: a signed-in account with at least `role` (viewer < editor < owner).
+// The account is looked up on every request, so role changes, disabling and
+// password changes take effect before the token expires.
+const requireRole = (server, role) => async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1] || req.cookies?.adminToken;
 
     if (!token) {
         return res.status(401).json({ error: 'Authentication required' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        if (decoded.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
         return res.status(401).json({ error: 'Invalid or expired token' });
     }
+
+    let user;
+    try {
+        user = await server.adminUsers.resolveToken(decoded);
+    } catch (error) {
+        return res.status(error?.status || 500).json({ error: error?.message || 'Could not verify account' });
+    }
+    if (!user) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    if (!hasRole(user, role)) {
+        return res.status(403).json({ error: `${role} role required` });
+    }
+    req.user = user;
+    next();
+};
+
+
+
+// the signed-in account behind an optional token, or null; for public routes
+// that unlock extra options for admins
+const requestUser = async (server, req) => {
+    const token = req.headers?.authorization?.split(' ')[1] || req.cookies?.adminToken;
+    if (!token) return null;
+    try {
+        const user = await server.adminUsers.resolveToken(jwt.verify(token, JWT_SECRET));
+        return user && hasRole(user, 'viewer') ? user : null;
+    } catch (error) {
+        return null;
+    }
 };
 
 
@@ -71,6 +92,8 @@ const verifyToken = (token) => {
 
 export {
     login,
-    authenticateAdmin,
+    signToken,
+    requireRole,
+    requestUser,
     verifyToken
 };
@@ -1,6 +1,8 @@
 import { MongoClient } from 'mongodb';
 import { createClient as createRedisClient } from 'redis';
 
+const REDIS_RETRY_MS = 30000;
+
 export class DatabaseManager {
     constructor() {
         this.mongo = {
@@ -15,24 +17,64 @@ export class DatabaseManager {
             chunksName: null,
         };
         this.redis = null;
+        this._redisConnecting = null;
+        this._redisRetryAt = 0;
+        this._warnedNoRedis = false;
     }
 
 
+    /**
+     * The shared Redis client, or null while it is not usable: REDIS_URL
+     * unset, the first connection failed (retried after REDIS_RETRY_MS), or
+     * the client is reconnecting. Callers fall back to memory meanwhile and
+     * should ask again on each use.
+     */
     async connectRedis() {
-        if (this.redis) return this.redis;
+        if (this.redis) return this.redis.isReady ? this.redis : null;
 
         const url = process.env.REDIS_URL;
         if (!url) {
-            console.warn('[redis] REDIS_URL not set; rate limiting will use memory fallback.');
+            if (!this._warnedNoRedis) {
+                this._warnedNoRedis = true;
+                console.warn('[redis] REDIS_URL not set; rate limiting will use memory fallback.');
+            }
             return null;
         }
+        if (Date.now() < this._redisRetryAt) return null;
+
+        this._redisConnecting ??= this._openRedis(url).finally(() => {
+            this._redisConnecting = null;
+        });
+        return this._redisConnecting;
+    }
+
 
-        const client = createRedisClient({ url });
+    async _openRedis(url) {
+        let connected = false;
+        const client = createRedisClient({
+            url,
+            socket: {
+                connectTimeout: 5000,
+                // Give up on the first connect (so callers are not held up); once up, keep reconnecting
+                reconnectStrategy: (retries) =>
+                    connected ? Math.min(retries * 200, 5000) : new Error('Redis unreachable'),
+            },
+        });
         client.on('error', (err) => {
             console.warn('[redis] client error:', err?.message || err);
         });
 
-        await client.connect();
+        try {
+            await client.connect();
+        } catch (error) {
+            this._redisRetryAt = Date.now() + REDIS_RETRY_MS;
+            console.warn(
+                `[redis] connection failed; using memory fallback, retrying in ${REDIS_RETRY_MS / 1000}s:`,
+                error?.message || error
+            );
+            return null;
+        }
+        connected = true;
         console.log('[redis] connected for rate limiting');
         this.redis = client;
         return this.redis;
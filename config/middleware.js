@@ -4,6 +4,13 @@ import path from 'path';
 import cookieParser from 'cookie-parser';
 
 export function setupMiddleware(app, __dirname) {
+    // Behind a reverse proxy, req.ip (per-IP rate limits) must come from X-Forwarded-For.
+    // TRUST_PROXY takes Express's values: true, a hop count, or addresses/subnets.
+    const trustProxy = process.env.TRUST_PROXY?.trim();
+    if (trustProxy) {
+        app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+    }
+
     // CORS configuration
     app.use(
         cors({
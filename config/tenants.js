@@ -0,0 +1,134 @@
+import fs from 'fs';
+
+// A tenant (site) is one scraped website with its own ledger collections,
+// vector namespace, caches and prompt persona. The default tenant is the
+// NIT Jamshedpur deployment and keeps the un-prefixed names, so a single-site
+// setup behaves exactly as before. Extra tenants come from TENANTS_FILE.
+
+export const DEFAULT_TENANT_ID = 'default';
+
+const DEFAULT_PERSONA =
+    'You are an AI assistant specializing in NIT Jamshedpur information. Your role is to provide accurate, helpful, and contextually aware responses based on the provided data and conversation history.';
+
+function slugify(value) {
+    return String(value || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+function normalizeTenant(raw, fallback = {}) {
+    const id = slugify(raw.id ?? fallback.id);
+    if (!id) {
+        throw new Error('Tenant entries need an "id"');
+    }
+    const baseUrl = String(raw.baseUrl || fallback.baseUrl || '').trim().replace(/\/+$/, '');
+    if (!hostOf(baseUrl)) {
+        throw new Error(`Tenant "${id}" needs a valid "baseUrl"`);
+    }
+    const name = String(raw.name || fallback.name || id).trim();
+    const isDefault = id === DEFAULT_TENANT_ID;
+    return {
+        id,
+        name,
+        baseUrl,
+        domain: hostOf(baseUrl),
+        hosts: (Array.isArray(raw.hosts) ? raw.hosts : []).map((h) => String(h).trim().toLowerCase()).filter(Boolean),
+        persona:
+            String(raw.persona || '').trim() ||
+            fallback.persona ||
+            `You are an AI assistant specializing in ${name} information. Your role is to provide accurate, helpful, and contextually aware responses based on the provided data and conversation history.`,
+        // Where this tenant's data lives; the default tenant keeps the historical names
+        namespace: raw.namespace !== undefined ? String(raw.namespace).trim() : isDefault ? '' : id,
+        collectionPrefix: isDefault ? '' : `${id}_`,
+        // "@" never appears in the default tenant's Redis keys (resp:v1:item:..., chat:v1:s:...),
+        // so no tenant ID can land in or match another tenant's key families
+        cacheSuffix: isDefault ? '' : `@${id}`,
+        dataDir: isDefault ? '' : id,
+    };
+}
+
+export function readTenantConfig(env = process.env) {
+    const fallback = {
+        id: DEFAULT_TENANT_ID,
+        name: (env.SITE_NAME || 'NIT Jamshedpur').trim(),
+        baseUrl: (env.SCRAPE_BASE_URL || 'https://nitjsr.ac.in').trim(),
+        persona: (env.SITE_PERSONA || '').trim() || DEFAULT_PERSONA,
+    };
+
+    let entries = [];
+    const file = env.TENANTS_FILE?.trim();
+    if (file) {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        entries = Array.isArray(parsed) ? parsed : parsed?.tenants || [];
+    }
+
+    const tenants = new Map([[DEFAULT_TENANT_ID, normalizeTenant({}, fallback)]]);
+    for (const entry of entries) {
+        const isDefault = slugify(entry?.id) === DEFAULT_TENANT_ID;
+        const tenant = normalizeTenant(entry || {}, isDefault ? fallback : {});
+        tenants.set(tenant.id, tenant);
+    }
+
+    return {
+        header: (env.TENANT_HEADER || 'x-tenant-id').trim().toLowerCase(),
+        tenants: [...tenants.values()],
+    };
+}
+
+
+export class TenantRegistry {
+    constructor({ header = 'x-tenant-id', tenants = [] } = {}) {
+        this.header = header;
+        this.tenants = new Map(tenants.map((tenant) => [tenant.id, tenant]));
+        if (!this.tenants.has(DEFAULT_TENANT_ID)) {
+            const fallback = readTenantConfig({}).tenants[0];
+            this.tenants.set(DEFAULT_TENANT_ID, fallback);
+        }
+    }
+
+
+    get(id) {
+        return this.tenants.get(slugify(id) || DEFAULT_TENANT_ID) || null;
+    }
+
+
+    list() {
+        return [...this.tenants.values()];
+    }
+
+
+    /**
+     * Tenant for a request: the tenant header wins, then an exact `hosts`
+     * match, then the first label of a subdomain (`acme.chat.example.org`).
+     * Returns null only when the header names an unknown tenant.
+     */
+    resolve(req) {
+        const requested = req.headers?.[this.header];
+        if (typeof requested === 'string' && requested.trim()) {
+            return this.get(requested);
+        }
+
+        // Raw upgrade requests (WebSocket) have no `hostname`, only the Host header
+        const host = String(req.hostname || req.headers?.host?.replace(/:\d+$/, '') || '').toLowerCase();
+        if (host) {
+            for (const tenant of this.tenants.values()) {
+                if (tenant.hosts.includes(host)) return tenant;
+            }
+            const labels = host.split('.');
+            if (labels.length > 2 && this.tenants.has(labels[0])) {
+                return this.tenants.get(labels[0]);
+            }
+        }
+        return this.tenants.get(DEFAULT_TENANT_ID);
+    }
+}
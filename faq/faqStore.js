@@ -0,0 +1,351 @@
+import crypto from 'crypto';
+import { RandomHyperplaneLSH, cosineSimilarity } from '../caching/responseCache.js';
+import { MongoCollection, ServiceError } from '../utils/mongoStore.js';
+
+// Curated FAQ answers, stored in Mongo per tenant and written by admins. A
+// question that is semantically close enough to one of an FAQ's question
+// variants is answered with the FAQ's answer instead of going through the
+// response cache and retrieval. Each FAQ has an English and/or Hindi variant
+// (its own phrasings and answer) and may expire.
+//
+// Matching runs against an in-memory LSH index of the variants' question
+// vectors (embedded through the embedding cache), rebuilt when FAQs change
+// here, when the embedding space changes, or after FAQ_RELOAD_SECONDS for
+// edits made by other instances.
+
+export const FAQ_LANGUAGES = ['english', 'hindi'];
+
+const MAX_QUESTIONS = 20;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_LINKS = 10;
+
+export class FaqError extends ServiceError {}
+
+function positiveNumber(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function readFaqConfig(env = process.env) {
+    return {
+        enabled: (env.FAQ_ENABLED || 'true').toLowerCase() !== 'false',
+        collection: (env.MONGO_FAQ_COLL || 'faqs').trim(),
+        threshold: positiveNumber(env.FAQ_SIMILARITY_THRESHOLD) || 0.9,
+        lshBits: positiveNumber(env.FAQ_LSH_BITS) || 16,
+        hammingRadius: Number.isFinite(Number(env.FAQ_LSH_RADIUS)) ? Number(env.FAQ_LSH_RADIUS) : 2,
+        reloadSeconds: positiveNumber(env.FAQ_RELOAD_SECONDS) || 60,
+    };
+}
+
+function isExpired(doc, now = new Date()) {
+    return Boolean(doc?.expiresAt) && new Date(doc.expiresAt) <= now;
+}
+
+function cleanText(value, field, maxLength) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new FaqError(`${field} must be a non-empty string`, 'INVALID_FAQ', 400);
+    }
+    if (value.length > maxLength) {
+        throw new FaqError(`${field} must be at most ${maxLength} characters`, 'INVALID_FAQ', 400);
+    }
+    return value.trim();
+}
+
+function parseVariant(language, variant) {
+    if (!variant || typeof variant !== 'object') {
+        throw new FaqError(`variants.${language} must be an object with questions and answer`, 'INVALID_FAQ', 400);
+    }
+    const questions = Array.isArray(variant.questions) ? variant.questions : [];
+    if (questions.length === 0 || questions.length > MAX_QUESTIONS) {
+        throw new FaqError(`variants.${language}.questions must list 1-${MAX_QUESTIONS} questions`, 'INVALID_FAQ', 400);
+    }
+    return {
+        questions: [...new Set(questions.map((q, i) => cleanText(q, `variants.${language}.questions[${i}]`, MAX_QUESTION_LENGTH)))],
+        answer: cleanText(variant.answer, `variants.${language}.answer`, MAX_ANSWER_LENGTH),
+    };
+}
+
+function parseVariants(variants) {
+    if (!variants || typeof variants !== 'object') {
+        throw new FaqError('variants is required', 'INVALID_FAQ', 400);
+    }
+    const unknown = Object.keys(variants).filter((language) => !FAQ_LANGUAGES.includes(language));
+    if (unknown.length > 0) {
+        throw new FaqError(`Unknown language(s) ${unknown.join(', ')}; use ${FAQ_LANGUAGES.join(' or ')}`, 'INVALID_FAQ', 400);
+    }
+    const parsed = {};
+    for (const language of FAQ_LANGUAGES) {
+        if (variants[language]) parsed[language] = parseVariant(language, variants[language]);
+    }
+    if (Object.keys(parsed).length === 0) {
+        throw new FaqError('At least one of variants.english or variants.hindi is required', 'INVALID_FAQ', 400);
+    }
+    return parsed;
+}
+
+function parseExpiresAt(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new FaqError('expiresAt must be an ISO date or null', 'INVALID_FAQ', 400);
+    }
+    return date.toISOString();
+}
+
+function parseLinks(links) {
+    if (links === undefined || links === null) return [];
+    if (!Array.isArray(links) || links.length > MAX_LINKS) {
+        throw new FaqError(`links must be an array of at most ${MAX_LINKS} { title, url }`, 'INVALID_FAQ', 400);
+    }
+    return links.map((link, i) => {
+        const url = cleanText(link?.url, `links[${i}].url`, 2000);
+        if (!/^https?:\/\//i.test(url)) {
+            throw new FaqError(`links[${i}].url must be an http(s) URL`, 'INVALID_FAQ', 400);
+        }
+        return { title: typeof link.title === 'string' && link.title.trim() ? link.title.trim() : url, url };
+    });
+}
+
+function toPublicFaq(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { id: _id, ...rest, expired: isExpired(doc) };
+}
+
+
+export class FaqStore {
+    constructor({ dbManager, config = readFaqConfig() } = {}) {
+        this.dbManager = dbManager;
+        this.config = config;
+        this.collection = new MongoCollection({
+            dbManager,
+            name: config.collection,
+            label: 'faq',
+            createIndexes: (coll) => coll.createIndex({ tenant: 1, updatedAt: -1 }),
+            unavailable: () => new FaqError('MongoDB not connected; FAQs unavailable', 'MONGO_UNAVAILABLE', 503),
+        });
+        this._indexes = new Map(); // tenant -> { modelKey, builtAt, lsh, buckets, size }
+        this._building = new Map(); // tenant -> Promise<index>
+        this._generations = new Map(); // tenant -> edit count; builds started before an edit are discarded
+    }
+
+
+    async _requireFaq(coll, tenant, id) {
+        const doc = await coll.findOne({ _id: String(id), tenant });
+        if (!doc) {
+            throw new FaqError('FAQ not found', 'NOT_FOUND', 404);
+        }
+        return doc;
+    }
+
+
+    /** FAQs of `tenant`, newest first. `search` matches question and answer text. */
+    async list(tenant, { search = null, includeExpired = true } = {}) {
+        const coll = await this.collection.require();
+        const docs = await coll.find({ tenant }).sort({ updatedAt: -1 }).toArray();
+        const needle = typeof search === 'string' ? search.trim().toLowerCase() : '';
+        return docs
+            .filter((doc) => includeExpired || !isExpired(doc))
+            .filter((doc) => {
+                if (!needle) return true;
+                return Object.values(doc.variants || {}).some(
+                    (variant) =>
+                        variant.answer.toLowerCase().includes(needle) ||
+                        variant.questions.some((q) => q.toLowerCase().includes(needle))
+                );
+            })
+            .map(toPublicFaq);
+    }
+
+
+    async get(tenant, id) {
+        const coll = await this.collection.require();
+        return toPublicFaq(await this._requireFaq(coll, tenant, id));
+    }
+
+
+    // { variants: { english?: { questions, answer }, hindi?: {...} }, links?, expiresAt?, enabled? }
+    async create(tenant, { variants, links, expiresAt, enabled = true } = {}, actor = null) {
+        const now = new Date().toISOString();
+        const doc = {
+            _id: crypto.randomUUID(),
+            tenant,
+            variants: parseVariants(variants),
+            links: parseLinks(links),
+            expiresAt: parseExpiresAt(expiresAt),
+            enabled: enabled !== false,
+            hits: 0,
+            lastHitAt: null,
+            createdBy: actor,
+            createdAt: now,
+            updatedBy: actor,
+            updatedAt: now,
+        };
+        const coll = await this.collection.require();
+        await coll.insertOne(doc);
+        this._invalidate(tenant);
+        console.log(`[faq] ${actor || 'unknown'} created FAQ ${doc._id} for tenant ${tenant}`);
+        return toPublicFaq(doc);
+    }
+
+
+    /** Replaces the fields given; `variants` is replaced as a whole. */
+    async update(tenant, id, changes = {}, actor = null) {
+        const set = {};
+        if (changes.variants !== undefined) set.variants = parseVariants(changes.variants);
+        if (changes.links !== undefined) set.links = parseLinks(changes.links);
+        if (changes.expiresAt !== undefined) set.expiresAt = parseExpiresAt(changes.expiresAt);
+        if (changes.enabled !== undefined) {
+            if (typeof changes.enabled !== 'boolean') {
+                throw new FaqError('enabled must be a boolean', 'INVALID_FAQ', 400);
+            }
+            set.enabled = changes.enabled;
+        }
+        if (Object.keys(set).length === 0) {
+            throw new FaqError('Nothing to update; send variants, links, expiresAt and/or enabled', 'INVALID_FAQ', 400);
+        }
+        const coll = await this.collection.require();
+        await this._requireFaq(coll, tenant, id);
+        await coll.updateOne(
+            { _id: String(id), tenant },
+            { $set: { ...set, updatedBy: actor, updatedAt: new Date().toISOString() } }
+        );
+        this._invalidate(tenant);
+        console.log(`[faq] ${actor || 'unknown'} updated FAQ ${id} for tenant ${tenant}`);
+        return toPublicFaq(await coll.findOne({ _id: String(id), tenant }));
+    }
+
+
+    async remove(tenant, id, actor = null) {
+        const coll = await this.collection.require();
+        await this._requireFaq(coll, tenant, id);
+        await coll.deleteOne({ _id: String(id), tenant });
+        this._invalidate(tenant);
+        console.log(`[faq] ${actor || 'unknown'} deleted FAQ ${id} for tenant ${tenant}`);
+    }
+
+
+    // After an edit: drop the index, and let no build that read the old FAQs store its result
+    _invalidate(tenant) {
+        this._generations.set(tenant, (this._generations.get(tenant) || 0) + 1);
+        this._indexes.delete(tenant);
+        this._building.delete(tenant);
+    }
+
+
+    // Index of the site's live FAQs in its current embedding space, rebuilt when stale
+    async _index(site) {
+        const tenant = site.tenant.id;
+        const modelKey = site.ragSystem.embeddingModelKey;
+        const current = this._indexes.get(tenant);
+        if (
+            current &&
+            current.modelKey === modelKey &&
+            Date.now() - current.builtAt < this.config.reloadSeconds * 1000
+        ) {
+            return current;
+        }
+        if (!this._building.has(tenant)) {
+            const build = this._buildIndex(site, modelKey).finally(() => {
+                if (this._building.get(tenant) === build) this._building.delete(tenant);
+            });
+            this._building.set(tenant, build);
+        }
+        return this._building.get(tenant);
+    }
+
+
+    async _buildIndex(site, modelKey) {
+        const tenant = site.tenant.id;
+        const generation = this._generations.get(tenant) || 0;
+        const store = (index) => {
+            if ((this._generations.get(tenant) || 0) === generation) this._indexes.set(tenant, index);
+            return index;
+        };
+        const coll = await this.collection.get();
+        if (!coll) {
+            // Remembered like any index, so chat turns do not retry Mongo every time
+            return store({ modelKey, builtAt: Date.now(), lsh: null, buckets: new Map(), size: 0 });
+        }
+
+        const now = new Date();
+        const docs = (await coll.find({ tenant, enabled: { $ne: false } }).toArray()).filter((doc) => !isExpired(doc, now));
+        const lsh = new RandomHyperplaneLSH({ bits: this.config.lshBits, seed: `faq:${tenant}`, modelKey });
+        const buckets = new Map(); // signature -> [{ faq, question, vector }]
+        const embed = async (q) => await site.ragSystem.embeddings.embedQuery(q);
+
+        let size = 0;
+        for (const doc of docs) {
+            for (const variant of Object.values(doc.variants || {})) {
+                for (const question of variant.questions || []) {
+                    const vector = await site.ragSystem.embeddingCache.getQueryEmbedding(question, embed);
+                    const sig = lsh.signature(vector);
+                    if (!buckets.has(sig)) buckets.set(sig, []);
+                    buckets.get(sig).push({ faq: doc, question, vector });
+                    size++;
+                }
+            }
+        }
+        console.log(`[faq] indexed ${docs.length} FAQs (${size} questions) for tenant ${tenant} modelKey=${modelKey}`);
+        return store({ modelKey, builtAt: Date.now(), lsh, buckets, size });
+    }
+
+
+    /**
+     * Best FAQ for a question vector in `site`'s embedding space, or null.
+     * Only FAQs with a variant in `language` can match; the question may
+     * match a phrasing of either language. Resolves to
+     * `{ faq, answer, matchedQuestion, similarity }`. Pass `recordHit: false`
+     * for lookups that are not answering anyone.
+     */
+    async match(site, vector, language, { recordHit = true } = {}) {
+        if (!this.config.enabled || !site?.ragSystem?.embeddingCache || !site.ragSystem.embeddings) return null;
+        const index = await this._index(site);
+        if (!index?.size) return null;
+
+        const now = new Date();
+        const sig = index.lsh.signature(vector);
+        let best = null;
+        for (const neighbor of index.lsh.neighbors(sig, this.config.hammingRadius)) {
+            for (const entry of index.buckets.get(neighbor) || []) {
+                if (!entry.faq.variants?.[language] || isExpired(entry.faq, now)) continue;
+                const similarity = cosineSimilarity(vector, entry.vector);
+                if (similarity >= this.config.threshold && (!best || similarity > best.similarity)) {
+                    best = { entry, similarity };
+                }
+            }
+        }
+        if (!best) return null;
+
+        const { faq, question } = best.entry;
+        if (recordHit) this._recordHit(faq._id);
+        return {
+            faq: toPublicFaq(faq),
+            answer: faq.variants[language].answer,
+            matchedQuestion: question,
+            similarity: best.similarity,
+        };
+    }
+
+
+    _recordHit(id) {
+        this.collection.current
+            ?.updateOne({ _id: id }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date().toISOString() } })
+            .catch((error) => console.warn('[faq] hit count failed:', error?.message || error));
+    }
+
+
+    getStats(tenant) {
+        const index = this._indexes.get(tenant);
+        return {
+            enabled: this.config.enabled,
+            threshold: this.config.threshold,
+            lshBits: this.config.lshBits,
+            hammingRadius: this.config.hammingRadius,
+            indexedQuestions: index?.size ?? null,
+            indexBuiltAt: index ? new Date(index.builtAt).toISOString() : null,
+            modelKey: index?.modelKey ?? null,
+        };
+    }
+}
@@ -0,0 +1,578 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_TENANT_ID } from '../config/tenants.js';
+import { ServiceError } from '../utils/mongoStore.js';
+
+// Background scrape/embed jobs. Job documents live in Mongo so their state
+// survives restarts; the run itself happens in this process, one at a time,
+// because the ledger loop is not safe to run concurrently.
+
+export const JOB_TYPES = ['embed-latest', 'scrape-and-embed', 'embedding-migration'];
+export const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const RESUMABLE_STATUSES = ['interrupted', 'failed', 'cancelled'];
+
+// Each phase owns a slice of the overall percentage.
+const PHASE_RANGES = {
+    'embed-latest': {
+        loading: [0, 2],
+        planning: [2, 10],
+        embedding: [10, 95],
+        finalizing: [95, 100],
+    },
+    'scrape-and-embed': {
+        scraping: [0, 40],
+        loading: [40, 42],
+        planning: [42, 50],
+        embedding: [50, 95],
+        finalizing: [95, 100],
+    },
+    'embedding-migration': {
+        preparing: [0, 2],
+        embedding: [2, 95],
+        switching: [95, 98],
+        dropping: [98, 100],
+    },
+};
+
+const PERSIST_INTERVAL_MS = 1000;
+const SCRAPE_POLL_MS = 2000;
+
+export class JobError extends ServiceError {
+    constructor(message, code, status, details = {}) {
+        super(message, code, status);
+        this.details = details;
+    }
+}
+
+function phasePercent(type, phase, fraction = 0) {
+    const range = PHASE_RANGES[type]?.[phase];
+    if (!range) return null;
+    const clamped = Math.min(1, Math.max(0, Number(fraction) || 0));
+    return Math.round(range[0] + (range[1] - range[0]) * clamped);
+}
+
+const summarizePageCategories = (pages = []) => {
+    const counts = pages.reduce((acc, page) => {
+        const key = page?.category || 'general';
+        acc[key] = (acc[key] || 0) + 1;
+        return acc;
+    }, {});
+    return Object.entries(counts).map(([name, count]) => ({ name, count }));
+};
+
+function toPublicJob(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { id: _id, ...rest };
+}
+
+
+// Jobs created before tenants existed belong to the default site
+function siteOf(server, job) {
+    const site = server.site(job.tenant || DEFAULT_TENANT_ID);
+    if (!site) {
+        throw new Error(`Unknown tenant: ${job.tenant}`);
+    }
+    return site;
+}
+
+
+async function embedScrapedData(server, job, bundle, ctx) {
+    const { signal } = ctx;
+    const checkpoint = job.checkpoint || {};
+    const site = siteOf(server, job);
+
+    // force wipes the index once; a resumed attempt must keep what it committed
+    if (job.params?.force && !checkpoint.indexCleared) {
+        console.log(`[jobs] ${job._id}: force flag set — clearing existing vector index...`);
+        await site.ragSystem.clearIndex();
+        await ctx.update({ 'checkpoint.indexCleared': true });
+    }
+
+    await site.ragSystem.initialize();
+    ctx.progress('loading', 1, { sourceFile: bundle.filename });
+
+    const baseChunks = checkpoint.chunksCommitted || 0;
+    const baseBatches = checkpoint.batchesCommitted || 0;
+    let batchesCommitted = 0;
+
+    const result = await site.ragSystem.processAndStoreDocuments(bundle.data, {
+        signal,
+        source: bundle.filename,
+        onProgress: (progress) => {
+            if (progress.phase === 'planning') {
+                ctx.progress(
+                    'planning',
+                    progress.pagesTotal ? progress.pagesPlanned / progress.pagesTotal : 0,
+                    { pagesPlanned: progress.pagesPlanned, pagesTotal: progress.pagesTotal }
+                );
+            } else if (progress.phase === 'embedding') {
+                if (progress.committed) batchesCommitted += 1;
+                const counters = {
+                    batchesDone: progress.batchesDone,
+                    totalBatches: progress.totalBatches,
+                    chunksEmbedded: progress.chunksEmbedded,
+                    chunksTotal: progress.chunksTotal,
+                    resumedChunks: baseChunks,
+                };
+                const fraction = progress.totalBatches
+                    ? progress.batchesDone / progress.totalBatches
+                    : 1;
+                ctx.progress('embedding', fraction, counters);
+                if (progress.committed) {
+                    ctx.update({
+                        checkpoint: {
+                            ...job.checkpoint,
+                            batchesCommitted: baseBatches + batchesCommitted,
+                            chunksCommitted: baseChunks + progress.chunksEmbedded,
+                            lastCommittedAt: new Date().toISOString(),
+                        },
+                    });
+                }
+            } else if (progress.phase === 'finalizing') {
+                ctx.progress('finalizing', 0);
+            }
+        },
+    });
+
+    if (result?.success) {
+        site.initialized = true;
+    }
+    return result;
+}
+
+
+async function runEmbedLatest(server, job, ctx) {
+    ctx.progress('loading', 0);
+    const { tenant } = siteOf(server, job);
+    const bundle = job.sourceFile
+        ? await server.loadScrapedData(job.sourceFile, tenant)
+        : await server.loadLatestScrapedData(tenant);
+    if (!bundle?.data) {
+        throw new Error(
+            job.sourceFile
+                ? `Scraped dataset ${job.sourceFile} not found.`
+                : 'No scraped data found. Run scraper first.'
+        );
+    }
+    if (job.sourceFile !== bundle.filename) {
+        await ctx.update({ sourceFile: bundle.filename });
+    }
+    return embedScrapedData(server, job, bundle, ctx);
+}
+
+
+async function runScrapeAndEmbed(server, job, ctx) {
+    const { tenant } = siteOf(server, job);
+    // A resumed job whose scrape already finished goes straight to embedding
+    if (job.sourceFile) {
+        const bundle = await server.loadScrapedData(job.sourceFile, tenant);
+        if (bundle?.data) {
+            return embedScrapedData(server, job, bundle, ctx);
+        }
+        console.warn(`[jobs] ${job._id}: ${job.sourceFile} is missing; scraping again.`);
+    }
+
+    if (!server.scraperEnabled) {
+        throw new Error('Scraper is disabled');
+    }
+
+    const scrapeOptions = server.buildScrapeOptions(job.params || {});
+    const scraper = await server.ensureScraper(tenant);
+    ctx.progress('scraping', 0);
+
+    // The scraper has no progress hooks; its visited set is a good enough proxy.
+    const poll = setInterval(() => {
+        const visited = scraper.visited?.size || 0;
+        const maxPages = scraper.maxPages || 0;
+        ctx.progress('scraping', maxPages ? visited / maxPages : 0, {
+            pagesVisited: visited,
+            maxPages,
+        });
+    }, SCRAPE_POLL_MS);
+
+    let scrapeResult;
+    try {
+        scrapeResult = await scraper.scrapeComprehensive(scrapeOptions);
+    } finally {
+        clearInterval(poll);
+    }
+
+    const filename = path.basename(scrapeResult.filepath);
+    const scrapedData = scrapeResult.data || {};
+    const brief = {
+        pagesScraped: scrapedData.pages?.length || 0,
+        pdfsProcessed: scrapedData.documents?.pdfs?.length || 0,
+        totalLinks: scrapedData.statistics?.totalLinks || 0,
+        categories: summarizePageCategories(scrapedData.pages || []),
+        filename,
+    };
+    console.log(`[jobs] ${job._id}: scrape completed`, {
+        pagesScraped: brief.pagesScraped,
+        pdfsProcessed: brief.pdfsProcessed,
+        file: filename,
+    });
+    await ctx.update({ sourceFile: filename, scrape: { summary: scrapeResult.summary, brief } });
+    job.sourceFile = filename;
+
+    if (ctx.signal.aborted) {
+        return { success: false, cancelled: true };
+    }
+
+    return embedScrapedData(
+        server,
+        job,
+        { data: scrapeResult.data, filename },
+        ctx
+    );
+}
+
+
+// Re-embeds the stored chunk texts with the configured model into a new
+// space; chunks already copied are marked in the ledger, so a resumed job
+// carries on where it stopped.
+async function runEmbeddingMigration(server, job, ctx) {
+    const { ragSystem } = siteOf(server, job);
+    await ragSystem.initialize();
+    return ragSystem.migrateEmbeddingSpace({
+        signal: ctx.signal,
+        onProgress: (progress) => {
+            if (progress.phase !== 'embedding') {
+                ctx.progress(progress.phase, 0);
+                return;
+            }
+            ctx.progress(
+                'embedding',
+                progress.chunksTotal ? progress.chunksDone / progress.chunksTotal : 1,
+                { chunksEmbedded: progress.chunksDone, chunksTotal: progress.chunksTotal }
+            );
+            if (progress.committed) {
+                ctx.update({
+                    checkpoint: {
+                        chunksCommitted: progress.chunksDone,
+                        lastCommittedAt: new Date().toISOString(),
+                    },
+                });
+            }
+        },
+    });
+}
+
+
+const JOB_RUNNERS = {
+    'embed-latest': runEmbedLatest,
+    'scrape-and-embed': runScrapeAndEmbed,
+    'embedding-migration': runEmbeddingMigration,
+};
+
+
+export class IngestionJobManager extends EventEmitter {
+    constructor({ server, collectionName = process.env.MONGO_JOBS_COLL || 'ingestion_jobs' } = {}) {
+        super();
+        this.setMaxListeners(0);
+        this.server = server;
+        this.collectionName = collectionName.trim();
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.active = null; // { id, controller, job } of the running job, or { label } of an exclusive task
+    }
+
+
+    get coll() {
+        const db = this.server.dbManager.mongo.db;
+        return db ? db.collection(this.collectionName) : null;
+    }
+
+
+    async _requireColl() {
+        const ready = await this.server.dbManager.ensureMongoConnected();
+        if (!ready || !this.coll) {
+            throw new JobError('MongoDB not connected; background jobs unavailable', 'MONGO_UNAVAILABLE', 503);
+        }
+        return this.coll;
+    }
+
+
+    /**
+     * Jobs that were running when the process died cannot still be running.
+     * Marks them `interrupted` so an admin can resume them.
+     */
+    async recoverInterrupted() {
+        const coll = await this._requireColl();
+        const now = new Date().toISOString();
+        await coll.updateMany(
+            { status: 'cancelling' },
+            { $set: { status: 'cancelled', finishedAt: now, updatedAt: now } }
+        );
+        const result = await coll.updateMany(
+            { status: { $in: ['queued', 'running'] } },
+            {
+                $set: {
+                    status: 'interrupted',
+                    error: 'Server stopped while the job was running',
+                    updatedAt: now,
+                },
+            }
+        );
+        if (result?.modifiedCount) {
+            console.warn(`[jobs] Marked ${result.modifiedCount} unfinished jobs as interrupted.`);
+        }
+    }
+
+
+    async get(id) {
+        if (this.active?.job && this.active.id === id) {
+            return toPublicJob(this.active.job);
+        }
+        const coll = await this._requireColl();
+        return toPublicJob(await coll.findOne({ _id: String(id) }));
+    }
+
+
+    async list({ limit = 20 } = {}) {
+        const coll = await this._requireColl();
+        const docs = await coll
+            .find({})
+            .sort({ createdAt: -1 })
+            .limit(Math.min(Math.max(Number(limit) || 20, 1), 100))
+            .toArray();
+        return docs.map((doc) => (this.active?.job && this.active.id === doc._id ? toPublicJob(this.active.job) : toPublicJob(doc)));
+    }
+
+
+    async create(type, params = {}, { tenant = DEFAULT_TENANT_ID } = {}) {
+        if (!JOB_TYPES.includes(type)) {
+            throw new JobError(`Unknown job type: ${type}`, 'UNKNOWN_TYPE', 400);
+        }
+        const now = new Date().toISOString();
+        const job = {
+            _id: crypto.randomUUID(),
+            type,
+            tenant,
+            status: 'queued',
+            phase: 'queued',
+            percent: 0,
+            progress: {},
+            params,
+            sourceFile: null,
+            checkpoint: { batchesCommitted: 0, chunksCommitted: 0 },
+            attempts: 0,
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+        const slot = this._reserve({ id: job._id, controller: new AbortController(), job });
+        try {
+            const coll = await this._requireColl();
+            await coll.insertOne(job);
+        } catch (error) {
+            this._release(slot);
+            throw error;
+        }
+        this._run(job, slot);
+        return toPublicJob(job);
+    }
+
+
+    async resume(id) {
+        const slot = this._reserve({ id: String(id), controller: new AbortController(), job: null });
+        let job;
+        try {
+            const coll = await this._requireColl();
+            job = await coll.findOne({ _id: String(id) });
+            if (!job) {
+                throw new JobError('Job not found', 'NOT_FOUND', 404);
+            }
+            if (!RESUMABLE_STATUSES.includes(job.status)) {
+                throw new JobError(`Job is ${job.status}; only ${RESUMABLE_STATUSES.join('/')} jobs can be resumed`, 'NOT_RESUMABLE', 409);
+            }
+            Object.assign(job, { status: 'queued', error: null, updatedAt: new Date().toISOString() });
+            await coll.updateOne(
+                { _id: job._id },
+                { $set: { status: job.status, error: null, updatedAt: job.updatedAt }, $unset: { finishedAt: '' } }
+            );
+        } catch (error) {
+            this._release(slot);
+            throw error;
+        }
+        delete job.finishedAt;
+        slot.job = job;
+        this._run(job, slot);
+        return toPublicJob(job);
+    }
+
+
+    async cancel(id) {
+        if (this.active?.job && this.active.id === id) {
+            this.active.controller.abort();
+            await this._patch(this.active.job, { status: 'cancelling' });
+            return toPublicJob(this.active.job);
+        }
+
+        const coll = await this._requireColl();
+        const job = await coll.findOne({ _id: String(id) });
+        if (!job) {
+            throw new JobError('Job not found', 'NOT_FOUND', 404);
+        }
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            return toPublicJob(job);
+        }
+        await this._patch(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        return toPublicJob(job);
+    }
+
+
+    _assertIdle() {
+        if (this.active) {
+            const busy = this.active.id ? `Job ${this.active.id} is already running` : `A ${this.active.label} is in progress`;
+            throw new JobError(busy, 'JOB_ACTIVE', 409, {
+                activeJobId: this.active.id || null,
+            });
+        }
+    }
+
+
+    // Takes the one ingestion slot before any await, so concurrent requests cannot both pass the check
+    _reserve(slot) {
+        this._assertIdle();
+        this.active = slot;
+        return slot;
+    }
+
+
+    _release(slot) {
+        if (this.active === slot) this.active = null;
+    }
+
+
+    /**
+     * Runs `fn` holding the ingestion slot, for ledger work outside a job
+     * (rollback, re-embed). Throws JobError(409, JOB_ACTIVE) while a job or
+     * another such task holds it.
+     */
+    async runExclusive(label, fn) {
+        const slot = this._reserve({ id: null, label, controller: null, job: null });
+        try {
+            return await fn();
+        } finally {
+            this._release(slot);
+        }
+    }
+
+
+    // Updates the in-memory doc, notifies subscribers and writes through to Mongo.
+    async _patch(job, fields, { persist = true } = {}) {
+        fields.updatedAt = new Date().toISOString();
+        for (const [key, value] of Object.entries(fields)) {
+            if (key.includes('.')) {
+                const [parent, child] = key.split('.');
+                job[parent] = { ...(job[parent] || {}), [child]: value };
+            } else {
+                job[key] = value;
+            }
+        }
+        this.emit('update', toPublicJob(job));
+        if (!persist) return;
+        try {
+            await this.coll?.updateOne({ _id: job._id }, { $set: fields });
+            this._lastPersist = Date.now();
+        } catch (error) {
+            console.warn(`[jobs] Failed to persist job ${job._id}:`, error?.message || error);
+        }
+    }
+
+
+    async _run(job, slot) {
+        const { controller } = slot;
+        this._lastPersist = 0;
+        let lastPhase = null;
+
+        const ctx = {
+            signal: controller.signal,
+            progress: (phase, fraction, counters = {}) => {
+                const changed = phase !== lastPhase;
+                lastPhase = phase;
+                const due = Date.now() - this._lastPersist >= PERSIST_INTERVAL_MS;
+                this._patch(
+                    job,
+                    {
+                        phase,
+                        percent: phasePercent(job.type, phase, fraction) ?? job.percent,
+                        progress: counters,
+                    },
+                    { persist: changed || due }
+                );
+            },
+            update: (fields) => this._patch(job, fields),
+        };
+
+        try {
+            await this._patch(job, {
+                status: 'running',
+                attempts: (job.attempts || 0) + 1,
+                startedAt: job.startedAt || new Date().toISOString(),
+                workerId: this.workerId,
+            });
+            console.log(`[jobs] Started ${job.type} job ${job._id} for tenant ${job.tenant || DEFAULT_TENANT_ID} (attempt ${job.attempts}).`);
+
+            // Embedding calls made by the run are accounted to it (see UsageTracker)
+            let usage = null;
+            const runJob = (scope) => {
+                usage = scope?.usage || null;
+                return JOB_RUNNERS[job.type](this.server, job, ctx);
+            };
+            const result = this.server.usage
+                ? await this.server.usage.track(
+                      { tenant: job.tenant || DEFAULT_TENANT_ID, runId: job._id, jobType: job.type },
+                      runJob
+                  )
+                : await runJob(null);
+            const usageSummary = usage ? this.server.usage.summarize(usage) : null;
+            const finishedAt = new Date().toISOString();
+
+            if (result?.cancelled || controller.signal.aborted) {
+                await this._patch(job, {
+                    status: 'cancelled',
+                    finishedAt,
+                    result: { chunksEmbedded: result?.chunksEmbedded ?? null, usage: usageSummary },
+                });
+                console.log(`[jobs] Job ${job._id} cancelled.`);
+            } else if (result?.success === false) {
+                await this._patch(job, {
+                    status: 'failed',
+                    finishedAt,
+                    error: result.error || result.reason || 'Ingestion failed',
+                });
+                console.warn(`[jobs] Job ${job._id} failed: ${job.error}`);
+            } else {
+                await this._patch(job, {
+                    status: 'completed',
+                    phase: 'done',
+                    percent: 100,
+                    finishedAt,
+                    result: {
+                        runStartedAt: result?.runStartedAt || null,
+                        runId: result?.runId || null,
+                        failedChunks: result?.failedChunks?.length || 0,
+                        stats: result?.stats || null,
+                        ledger: Boolean(result?.ledger),
+                        migration: result?.migration || null,
+                        usage: usageSummary,
+                    },
+                });
+                console.log(`[jobs] Job ${job._id} completed.`);
+            }
+        } catch (error) {
+            console.error(`[jobs] Job ${job._id} crashed:`, error?.message || error);
+            await this._patch(job, {
+                status: 'failed',
+                finishedAt: new Date().toISOString(),
+                error: error?.message || String(error),
+            });
+        } finally {
+            this._release(slot);
+        }
+    }
+}
@@ -0,0 +1,93 @@
+import { CohereEmbeddings } from '@langchain/cohere';
+
+// Every embedding provider implements LangChain's `embedQuery(text)` and
+// `embedDocuments(texts)` and exposes `name`, `model` and `dimension`.
+// `embedQuery(text, { signal })` also takes an AbortSignal that cancels the
+// request (the client cancelled the question).
+
+
+export class CohereEmbeddingProvider {
+    constructor({
+        apiKey = process.env.COHERE_API_KEY,
+        model = 'embed-english-v3.0',
+        dimension = null,
+    } = {}) {
+        this.name = 'cohere';
+        this.model = model;
+        this.dimension = dimension || 1024;
+        this.client = new CohereEmbeddings({
+            apiKey,
+            model,
+            inputType: 'search_document',
+        });
+    }
+
+    // Calls the Cohere SDK directly: LangChain's embedQuery has no way to pass a signal
+    async embedQuery(text, { signal = null } = {}) {
+        try {
+            const { embeddings } = await this.client.client.embed(
+                {
+                    model: this.model,
+                    texts: [text],
+                    inputType: 'search_query',
+                    embeddingTypes: ['float'],
+                },
+                signal ? { abortSignal: signal } : undefined
+            );
+            return embeddings.float[0];
+        } catch (error) {
+            // The SDK reports an abort as a generic CohereError
+            signal?.throwIfAborted();
+            throw error;
+        }
+    }
+
+    embedDocuments(texts) {
+        return this.client.embedDocuments(texts);
+    }
+}
+
+
+export class LocalEmbeddingProvider {
+    constructor({ model = 'Xenova/all-MiniLM-L6-v2', dimension = null } = {}) {
+        this.name = 'local';
+        this.model = model;
+        this.dimension = dimension || 384;
+        this._loading = null;
+    }
+
+    async load() {
+        if (!this._loading) {
+            this._loading = import('@xenova/transformers')
+                .then(({ pipeline }) => pipeline('feature-extraction', this.model))
+                .catch((error) => {
+                    this._loading = null;
+                    throw error;
+                });
+        }
+        return this._loading;
+    }
+
+    // embedQuery must not go through embedDocuments, or metering counts it twice
+    async embed(texts, signal = null) {
+        const extractor = await this.load();
+        const vectors = [];
+        // One at a time keeps peak memory flat on small machines.
+        for (const text of texts) {
+            // A running inference cannot be interrupted; stop before the next one
+            signal?.throwIfAborted();
+            const output = await extractor(text, { pooling: 'mean', normalize: true });
+            vectors.push(Array.from(output.data));
+        }
+        return vectors;
+    }
+
+    embedDocuments(texts) {
+        return this.embed(texts);
+    }
+
+    async embedQuery(text, { signal = null } = {}) {
+        const [vector] = await this.embed([text], signal);
+        return vector;
+    }
+}
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import { tokenize } from '../rag-system/lexicalIndex.js';
+import { toStreamResult, toTextResponse } from './streaming.js';
+
+// Deterministic stand-ins for offline demos and tests. No network, no keys;
+// the same input always produces the same output.
+
+function bucketFor(token, dimension) {
+    const digest = crypto.createHash('sha256').update(token).digest();
+    return {
+        index: digest.readUInt32BE(0) % dimension,
+        sign: digest[4] & 1 ? 1 : -1,
+    };
+}
+
+
+/**
+ * Feature-hashing embeddings: every token adds +/-1 to a hashed bucket, then
+ * the vector is L2-normalized. Texts sharing words end up close in cosine space,
+ * which is enough for retrieval to behave sensibly in demos.
+ */
+export class FakeEmbeddingProvider {
+    constructor({ dimension = 1024 } = {}) {
+        this.name = 'fake';
+        this.model = 'hashing-v1';
+        this.dimension = dimension;
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const tokens = tokenize(text);
+        for (const token of tokens) {
+            const { index, sign } = bucketFor(token, this.dimension);
+            vector[index] += sign;
+        }
+        if (!tokens.length) vector[0] = 1;
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+        return vector.map((v) => v / norm);
+    }
+
+    async embedQuery(text, { signal = null } = {}) {
+        signal?.throwIfAborted();
+        return this.embedText(text);
+    }
+
+    async embedDocuments(texts) {
+        return texts.map((text) => this.embedText(text));
+    }
+}
+
+
+export class FakeLLM {
+    // `wordDelayMs` paces the stream like a real model (FAKE_LLM_DELAY_MS).
+    constructor({ wordDelayMs = Number(process.env.FAKE_LLM_DELAY_MS) || 0 } = {}) {
+        this.name = 'fake';
+        this.model = 'echo-v1';
+        this.wordDelayMs = wordDelayMs;
+    }
+
+    // Recognizes the internal prompts (query rewrite, rerank scoring) so those
+    // stages stay no-ops; everything else gets an answer quoting the context.
+    reply(prompt = '') {
+        const followUp = prompt.match(/Follow-up question:\s*(.+)/);
+        if (followUp && /Standalone question:\s*$/.test(prompt.trim())) {
+            return followUp[1].trim();
+        }
+
+        if (/JSON array of numbers/.test(prompt)) {
+            const passages = prompt.match(/^\[\d+\]/gm) || [];
+            return JSON.stringify(passages.map((_, index) => Math.max(0, 10 - index)));
+        }
+
+        const question = prompt.match(/Current Question:\s*(.+)/)?.[1]?.trim() || '';
+        const contextMatch = prompt.match(/Knowledge Base Context:\s*([\s\S]*?)(?:Relevant Links Available:|Current Question:)/);
+        const context = (contextMatch?.[1] || '').replace(/\s+/g, ' ').trim().slice(0, 400);
+        return context
+            ? `[offline answer] ${question}\n\nFrom the knowledge base: ${context}`
+            : `[offline answer] ${question}`;
+    }
+
+    async generateContent(prompt) {
+        return { response: toTextResponse(this.reply(prompt)) };
+    }
+
+    async generateContentStream(prompt, { signal } = {}) {
+        const words = this.reply(prompt).split(/(\s+)/);
+        const delayMs = this.wordDelayMs;
+        async function* parts() {
+            for (const word of words) {
+                if (delayMs > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+                signal?.throwIfAborted();
+                yield word;
+            }
+        }
+        return toStreamResult(parts());
+    }
+}
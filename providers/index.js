@@ -0,0 +1,124 @@
+import { GeminiLLM, OpenAICompatibleLLM, OllamaLLM } from './llmProviders.js';
+import { CohereEmbeddingProvider, LocalEmbeddingProvider } from './embeddingProviders.js';
+import { FakeEmbeddingProvider, FakeLLM } from './fakeProviders.js';
+import { meterEmbeddings, meterLLM } from '../usage/usageMeter.js';
+
+const LLM_PROVIDERS = {
+    gemini: (cfg) => new GeminiLLM(cfg),
+    openai: (cfg) => new OpenAICompatibleLLM(cfg),
+    ollama: (cfg) => new OllamaLLM(cfg),
+    fake: () => new FakeLLM(),
+};
+
+const EMBEDDING_PROVIDERS = {
+    cohere: (cfg) => new CohereEmbeddingProvider(cfg),
+    local: (cfg) => new LocalEmbeddingProvider(cfg),
+    fake: (cfg) => new FakeEmbeddingProvider(cfg),
+};
+
+const DEFAULT_EMBEDDING_MODELS = {
+    cohere: 'embed-english-v3.0',
+    local: 'Xenova/all-MiniLM-L6-v2',
+    fake: 'hashing-v1',
+};
+
+const DEFAULT_EMBEDDING_DIMENSIONS = {
+    'embed-english-v3.0': 1024,
+    'embed-multilingual-v3.0': 1024,
+    'embed-english-light-v3.0': 384,
+    'embed-multilingual-light-v3.0': 384,
+    'Xenova/all-MiniLM-L6-v2': 384,
+    'hashing-v1': 1024,
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(LLM_PROVIDERS);
+export const EMBEDDING_PROVIDER_NAMES = Object.keys(EMBEDDING_PROVIDERS);
+
+function pick(value, allowed, fallback) {
+    const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!normalized) return fallback;
+    if (!allowed.includes(normalized)) {
+        throw new Error(`Unknown provider "${value}". Expected one of: ${allowed.join(', ')}`);
+    }
+    return normalized;
+}
+
+/**
+ * Resolves the active providers from env. `PROVIDERS=fake` switches both at
+ * once for offline runs; `LLM_PROVIDER` / `EMBEDDING_PROVIDER` override each side.
+ */
+export function readProviderConfig(env = process.env) {
+    const preset = env.PROVIDERS?.trim().toLowerCase() === 'fake' ? 'fake' : null;
+    const llmName = pick(env.LLM_PROVIDER, LLM_PROVIDER_NAMES, preset || 'gemini');
+    const embeddingName = pick(env.EMBEDDING_PROVIDER, EMBEDDING_PROVIDER_NAMES, preset || 'cohere');
+
+    const llmModels = {
+        gemini: env.GEMINI_MODEL || 'gemini-2.0-flash',
+        openai: env.OPENAI_MODEL || 'gpt-4o-mini',
+        ollama: env.OLLAMA_MODEL || 'llama3.1',
+        fake: 'echo-v1',
+    };
+
+    const embeddingModel =
+        (embeddingName === 'cohere' && env.COHERE_EMBED_MODEL) ||
+        (embeddingName === 'local' && env.LOCAL_EMBED_MODEL) ||
+        DEFAULT_EMBEDDING_MODELS[embeddingName];
+    const dimensionOverride = Number(env.EMBEDDING_DIMENSION);
+    const dimension =
+        Number.isFinite(dimensionOverride) && dimensionOverride > 0
+            ? dimensionOverride
+            : DEFAULT_EMBEDDING_DIMENSIONS[embeddingModel] || 1024;
+
+    return {
+        llm: {
+            provider: llmName,
+            model: llmModels[llmName],
+            apiKey:
+                llmName === 'gemini'
+                    ? env.GEMINI_API_KEY
+                    : llmName === 'openai'
+                        ? env.OPENAI_API_KEY
+                        : undefined,
+            baseUrl:
+                llmName === 'openai'
+                    ? env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+                    : llmName === 'ollama'
+                        ? env.OLLAMA_BASE_URL || 'http://localhost:11434'
+                        : undefined,
+        },
+        embeddings: {
+            provider: embeddingName,
+            model: embeddingModel,
+            dimension,
+            apiKey: embeddingName === 'cohere' ? env.COHERE_API_KEY : undefined,
+        },
+    };
+}
+
+// Identifies the vector space: caches and stored vectors are only comparable
+// when this key matches.
+export function embeddingModelKey(embeddingConfig) {
+    const { provider, model, dimension } = embeddingConfig;
+    return `${provider}:${model}:${dimension}`;
+}
+
+// Instances are metered: their calls count towards the current usage scope.
+export function createLLMProvider(llmConfig) {
+    const { provider, ...cfg } = llmConfig;
+    return meterLLM(LLM_PROVIDERS[provider](cfg));
+}
+
+export function createEmbeddingProvider(embeddingConfig) {
+    const { provider, ...cfg } = embeddingConfig;
+    const instance = EMBEDDING_PROVIDERS[provider](cfg);
+    instance.modelKey = embeddingModelKey(embeddingConfig);
+    return meterEmbeddings(instance);
+}
+
+// Env keys each provider needs before initialize() can succeed.
+export function requiredProviderEnv(config) {
+    const required = [];
+    if (config.llm.provider === 'gemini') required.push('GEMINI_API_KEY');
+    if (config.embeddings.provider === 'cohere') required.push('COHERE_API_KEY');
+    return required;
+}
@@ -0,0 +1,152 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { readLines, toStreamResult, toTextResponse } from './streaming.js';
+
+function usageMetadata(promptTokens, completionTokens) {
+    if (!Number.isFinite(promptTokens)) return undefined;
+    return {
+        promptTokenCount: promptTokens,
+        candidatesTokenCount: completionTokens || 0,
+        totalTokenCount: promptTokens + (completionTokens || 0),
+    };
+}
+
+// Every chat provider implements `generateContent(prompt)` and
+// `generateContentStream(prompt, { signal })` with Gemini's result shape;
+// aborting `signal` stops the stream (the iterator throws an AbortError).
+
+
+export class GeminiLLM {
+    constructor({ apiKey = process.env.GEMINI_API_KEY, model = 'gemini-2.0-flash' } = {}) {
+        this.name = 'gemini';
+        this.model = model;
+        this.client = new GoogleGenerativeAI(apiKey);
+        this.chatModel = this.client.getGenerativeModel({ model });
+    }
+
+    generateContent(prompt) {
+        return this.chatModel.generateContent(prompt);
+    }
+
+    generateContentStream(prompt, { signal } = {}) {
+        return this.chatModel.generateContentStream(prompt, signal ? { signal } : undefined);
+    }
+}
+
+
+export class OpenAICompatibleLLM {
+    constructor({
+        apiKey = process.env.OPENAI_API_KEY,
+        baseUrl = 'https://api.openai.com/v1',
+        model = 'gpt-4o-mini',
+    } = {}) {
+        this.name = 'openai';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+    }
+
+    async request(prompt, stream, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        const res = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                stream,
+                ...(stream ? { stream_options: { include_usage: true } } : {}),
+            }),
+            signal,
+        });
+        if (!res.ok) {
+            const detail = await res.text().catch(() => '');
+            throw new Error(`OpenAI-compatible request failed (${res.status}): ${detail.slice(0, 200)}`);
+        }
+        return res;
+    }
+
+    async generateContent(prompt) {
+        const res = await this.request(prompt, false);
+        const data = await res.json();
+        return {
+            response: toTextResponse(
+                data?.choices?.[0]?.message?.content,
+                usageMetadata(data?.usage?.prompt_tokens, data?.usage?.completion_tokens)
+            ),
+        };
+    }
+
+    async generateContentStream(prompt, { signal } = {}) {
+        const res = await this.request(prompt, true, signal);
+        let usage;
+        async function* parts() {
+            for await (const line of readLines(res.body)) {
+                if (!line.startsWith('data:')) continue;
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return;
+                let data;
+                try {
+                    data = JSON.parse(payload);
+                } catch {
+                    continue; // ignore keep-alives and partial frames
+                }
+                // With include_usage the last chunk carries the totals and no choices
+                if (data?.usage) usage = usageMetadata(data.usage.prompt_tokens, data.usage.completion_tokens);
+                yield data?.choices?.[0]?.delta?.content || '';
+            }
+        }
+        return toStreamResult(parts(), () => usage);
+    }
+}
+
+
+export class OllamaLLM {
+    constructor({ baseUrl = 'http://localhost:11434', model = 'llama3.1' } = {}) {
+        this.name = 'ollama';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+    }
+
+    async request(prompt, stream, signal) {
+        const res = await fetch(`${this.baseUrl}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: this.model, prompt, stream }),
+            signal,
+        });
+        if (!res.ok) {
+            const detail = await res.text().catch(() => '');
+            throw new Error(`Ollama request failed (${res.status}): ${detail.slice(0, 200)}`);
+        }
+        return res;
+    }
+
+    async generateContent(prompt) {
+        const res = await this.request(prompt, false);
+        const data = await res.json();
+        return { response: toTextResponse(data?.response, usageMetadata(data?.prompt_eval_count, data?.eval_count)) };
+    }
+
+    async generateContentStream(prompt, { signal } = {}) {
+        const res = await this.request(prompt, true, signal);
+        let usage;
+        async function* parts() {
+            for await (const line of readLines(res.body)) {
+                let data;
+                try {
+                    data = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+                if (data?.error) throw new Error(`Ollama stream error: ${data.error}`);
+                yield data?.response || '';
+                if (data?.done) {
+                    usage = usageMetadata(data.prompt_eval_count, data.eval_count);
+                    return;
+                }
+            }
+        }
+        return toStreamResult(parts(), () => usage);
+    }
+}
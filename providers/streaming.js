@@ -0,0 +1,56 @@
+// Helpers that give non-Gemini providers the same result shape as
+// `@google/generative-ai` (`{ stream, response }` / `{ response: { text() } }`),
+// so RagSystem can treat every chat model alike.
+
+// `usageMetadata` mirrors Gemini's { promptTokenCount, candidatesTokenCount, totalTokenCount }.
+export function toTextResponse(text, usageMetadata = undefined) {
+    const value = String(text || '');
+    return usageMetadata ? { text: () => value, usageMetadata } : { text: () => value };
+}
+
+// `getUsage()` is read once the parts are exhausted (providers report usage last).
+export function toStreamResult(partsIterable, getUsage = () => undefined) {
+    let full = '';
+    let resolveResponse;
+    let rejectResponse;
+    const response = new Promise((resolve, reject) => {
+        resolveResponse = resolve;
+        rejectResponse = reject;
+    });
+    // Callers only await `response` when the stream produced nothing; keep an
+    // unobserved rejection from crashing the process.
+    response.catch(() => {});
+
+    async function* stream() {
+        try {
+            for await (const part of partsIterable) {
+                if (!part) continue;
+                full += part;
+                yield { text: () => part };
+            }
+            resolveResponse(toTextResponse(full, getUsage()));
+        } catch (error) {
+            rejectResponse(error);
+            throw error;
+        }
+    }
+
+    return { stream: stream(), response };
+}
+
+// Splits a fetch() body into lines (SSE and NDJSON are both line-oriented).
+export async function* readLines(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) yield line;
+        }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer.trim();
+}
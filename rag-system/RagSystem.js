@@ -1,14 +1,56 @@
 import dotenv from "dotenv";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { Pinecone } from "@pinecone-database/pinecone";
 import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
-import { CohereEmbeddings } from "@langchain/cohere";
 import { EmbeddingCache } from "../caching/embeddingCache.js";
-import { hashString, makeChunkId, nowIso, countWords } from "./ragUtils.js";
-import { prepareIngestionItems } from "./ingestionHelpers.js";
+import { hashString, makeChunkId, nowIso, countWords, abortable } from "./ragUtils.js";
+import {
+    collectScrapedUrls,
+    planStalePages,
+    prepareIngestionItems,
+    readStalePolicy,
+} from "./ingestionHelpers.js";
+import { LexicalIndex } from "./lexicalIndex.js";
+import { CHUNKER_VERSION, chunkIngestionItem, readChunkingConfig } from "./structuredChunker.js";
+import { buildContextText, readContextExpansionConfig } from "./contextExpansion.js";
+import { fuseRankings, normalizeRetrievalMode, readRetrievalConfig } from "./hybridRetrieval.js";
+import { createReranker, normalizeRerankerName, readRerankConfig } from "./rerankers.js";
+import {
+    buildPineconeFilter,
+    inferQueryFilters,
+    readQueryFilterConfig,
+} from "./queryFilters.js";
+import { condenseQuestion, readQueryRewriteConfig } from "./queryRewriter.js";
+import {
+    createEmbeddingProvider,
+    createLLMProvider,
+    embeddingModelKey,
+    readProviderConfig,
+} from "../providers/index.js";
+import { createVectorStore, readVectorStoreConfig } from "../vector-store/index.js";
+import { diffSnapshots, groupChunkIdsByUrl, readSnapshotConfig } from "./ledgerSnapshots.js";
+import {
+    AdaptiveBatchSize,
+    isRetryableError,
+    readEmbedRetryConfig,
+    withRetry,
+} from "./embeddingRetry.js";
+import { matchesMetadataFilter } from "../vector-store/metadataFilter.js";
+import {
+    ACTIVE_SPACE_ID,
+    MIGRATION_ID,
+    describeSpace,
+    embeddingConfigOf,
+    planSpaceTarget,
+    readEmbeddingSpaceConfig,
+    tenantSpaceTarget,
+} from "./embeddingSpaces.js";
+import { readTenantConfig } from "../config/tenants.js";
 
 dotenv.config();
 
+const MAX_CONSECUTIVE_BATCH_FAILURES = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
 
 function getLanguageInstruction(language) {
     if (language === 'hindi') {
@@ -20,21 +62,54 @@ function getLanguageInstruction(language) {
 
 class NITJSRRAGSystem {
     constructor(options = {}) {
-        const { mongo = null } = options || {};
-        this.genAI = null;
-        this.pinecone = null;
-        this.index = null;
+        const {
+            mongo = null,
+            providerConfig = null,
+            vectorStoreConfig = null,
+            tenant = null,
+        } = options || {};
+        this.providerConfig = providerConfig || readProviderConfig();
+        this.vectorStoreConfig = vectorStoreConfig || readVectorStoreConfig();
+        // The site this instance serves; the default tenant uses the un-prefixed collections
+        this.tenant = tenant || readTenantConfig().tenants[0];
+        // Until initialize() reads the active space from Mongo, assume the configured model
+        this.configuredSpace = describeSpace(
+            this.providerConfig.embeddings,
+            tenantSpaceTarget(this.vectorStoreConfig, this.tenant)
+        );
+        this.activeSpace = this.configuredSpace;
+        this.embeddingModelKey = embeddingModelKey(this.providerConfig.embeddings);
+        this.spaceConfig = readEmbeddingSpaceConfig();
+        this.spacesColl = null;
+        this._spaceListeners = [];
+        this._pageChangeListeners = [];
+        this.vectorStore = null;
         this.embeddings = null;
         this.chatModel = null;
         this.textSplitter = null;
+        this.parentSplitter = null;
         this.isInitialized = false;
         this.linkDatabase = new Map(); // Store links for easy retrieval
-        this.embeddingCache = new EmbeddingCache();
+        this.embeddingCache = new EmbeddingCache({ modelKey: this.embeddingModelKey });
         this.mongo = mongo;
-        this.pagesColl = mongo?.pagesColl || null;
-        this.chunksColl = mongo?.chunksColl || null;
+        this.pagesColl = null;
+        this.chunksColl = null;
+        this.snapshotConfig = readSnapshotConfig();
+        this.runsColl = null;
+        this.snapshotsColl = null;
+        this.archiveColl = null;
         this._mongoIndexesEnsured = false;
         this._lastLedgerWarning = 0;
+        this.lexicalIndex = new LexicalIndex();
+        this._lexicalIndexStale = true;
+        this.retrievalConfig = readRetrievalConfig();
+        this.rerankConfig = readRerankConfig();
+        this._rerankers = new Map();
+        this.queryFilterConfig = readQueryFilterConfig();
+        this.queryRewriteConfig = readQueryRewriteConfig();
+        this.stalePolicy = readStalePolicy();
+        this.embedRetryConfig = readEmbedRetryConfig();
+        this.contextConfig = readContextExpansionConfig();
         try {
             const ec = this.embeddingCache.getStats();
             console.log(
@@ -43,10 +118,104 @@ class NITJSRRAGSystem {
         } catch (_) {}
     }
 
+
+    describeProviders() {
+        const { llm } = this.providerConfig;
+        const embeddings = this.activeSpace;
+        return {
+            llm: { provider: llm.provider, model: llm.model },
+            embeddings: {
+                provider: embeddings.provider,
+                model: embeddings.model,
+                dimension: embeddings.dimension,
+            },
+            modelKey: this.embeddingModelKey,
+            configuredModelKey: this.configuredSpace.modelKey,
+        };
+    }
+
+
+    // `fn(modelKey)` runs whenever queries move to another embedding space.
+    onEmbeddingSpaceChange(fn) {
+        this._spaceListeners.push(fn);
+    }
+
+
+    // `fn(urls, { kind, runId })` runs after an ingestion or rollback changed or deleted pages.
+    onPagesChanged(fn) {
+        this._pageChangeListeners.push(fn);
+    }
+
+
+    async _publishChangedPages(urls, info = {}) {
+        if (!urls.length) return;
+        console.log(`[mongo-ledger] ${urls.length} pages changed by ${info.kind || "run"} ${info.runId || ""}`.trim());
+        for (const fn of this._pageChangeListeners) {
+            try {
+                await fn(urls, info);
+            } catch (error) {
+                console.warn("[mongo-ledger] page change listener failed:", error?.message || error);
+            }
+        }
+    }
+
+
+    _activateSpace(space, { embeddings, vectorStore }) {
+        this.activeSpace = space;
+        this.embeddingModelKey = space.modelKey;
+        this.embeddings = embeddings;
+        this.vectorStore = vectorStore;
+        this.embeddingCache.setModelKey(space.modelKey);
+        for (const fn of this._spaceListeners) {
+            try {
+                fn(space.modelKey, space);
+            } catch (error) {
+                console.warn("[embeddings] space listener failed:", error?.message || error);
+            }
+        }
+    }
+
+
+    /**
+     * The space queries and ingestion use. Recorded in Mongo on first start
+     * (adopting the configured model and the default vector location); after
+     * a model change it stays on the old space until a migration switches it.
+     */
+    async _resolveActiveSpace() {
+        if (!this.mongoAvailable() || !this.spacesColl) {
+            return this.configuredSpace;
+        }
+        const stored = await this.spacesColl.findOne({ _id: ACTIVE_SPACE_ID });
+        if (stored) {
+            const { _id, ...space } = stored;
+            return space;
+        }
+        const space = { ...this.configuredSpace, activatedAt: nowIso() };
+        await this.spacesColl.updateOne(
+            { _id: ACTIVE_SPACE_ID },
+            { $setOnInsert: space },
+            { upsert: true }
+        );
+        return space;
+    }
+
+
     refreshMongoHandles() {
+        const prefix = this.tenant.collectionPrefix;
         if (this.mongo?.pagesColl && this.mongo?.chunksColl) {
-            this.pagesColl = this.mongo.pagesColl;
-            this.chunksColl = this.mongo.chunksColl;
+            this.pagesColl = prefix
+                ? this.mongo.db.collection(`${prefix}${this.mongo.pagesName}`)
+                : this.mongo.pagesColl;
+            this.chunksColl = prefix
+                ? this.mongo.db.collection(`${prefix}${this.mongo.chunksName}`)
+                : this.mongo.chunksColl;
+        }
+        if (this.mongo?.db) {
+            const { runsCollection, snapshotsCollection, archiveCollection } = this.snapshotConfig;
+            this.runsColl = this.mongo.db.collection(`${prefix}${runsCollection}`);
+            this.snapshotsColl = this.mongo.db.collection(`${prefix}${snapshotsCollection}`);
+            this.archiveColl = this.mongo.db.collection(`${prefix}${archiveCollection}`);
+            this.spacesColl = this.mongo.db.collection(`${prefix}${this.spaceConfig.collection}`);
         }
     }
 
@@ -60,56 +229,64 @@ class NITJSRRAGSystem {
     async initialize() {
         if (this.isInitialized) return;
 
-        console.log("Initializing Gemini(chat) + Cohere(emb) + Pinecone...");
+        const { llm, embeddings } = this.providerConfig;
+        console.log(
+            `Initializing ${llm.provider}(chat) + ${embeddings.provider}(emb) + ${this.vectorStoreConfig.backend}(vectors)...`
+        );
 
         try {
-            // Initialize Google Gemini
-            this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-            this.chatModel = this.genAI.getGenerativeModel({
-                model: "gemini-2.0-flash",
-            });
-
-            // Initialize Pinecone
-            this.pinecone = new Pinecone({
-                apiKey: process.env.PINECONE_API_KEY.trim(),
+            // Chat model comes from the configured provider; embeddings and the
+            // vector store from the active embedding space
+            this.chatModel = createLLMProvider(llm);
+            const space = await this._resolveActiveSpace();
+            const activeEmbeddings = createEmbeddingProvider(embeddingConfigOf(space, embeddings));
+
+            // Vector store (Pinecone or local on-disk index)
+            const activeStore = createVectorStore(this.vectorStoreConfig, {
+                dimension: activeEmbeddings.dimension,
+                target: space.target,
             });
+            await activeStore.init();
+            this._activateSpace(space, { embeddings: activeEmbeddings, vectorStore: activeStore });
+            if (space.modelKey !== this.configuredSpace.modelKey) {
+                console.warn(
+                    `[embeddings] Configured model ${this.configuredSpace.modelKey} differs from the indexed ${space.modelKey}; queries stay on ${space.modelKey} until POST /embeddings/migrate completes.`
+                );
+            }
 
-            // Get or create index
-            await this.initializePineconeIndex();
-
-            // Optional: verify index dimension to match Cohere embeddings (1024)
+            // Verify index dimension matches the active embedding provider
+            const expectedDimension = this.embeddings.dimension;
             try {
-                const stats = await this.index.describeIndexStats();
-                if (stats?.dimension && stats.dimension !== 1024) {
+                const stats = await this.vectorStore.describeIndexStats();
+                if (stats?.dimension && stats.dimension !== expectedDimension) {
                     console.warn(
-                        `Pinecone index '${process.env.PINECONE_INDEX_NAME.trim()}' has dimension ${
+                        `Vector index (${this.vectorStoreConfig.backend}) has dimension ${
                             stats.dimension
-                        }, but Cohere embeddings require 1024.`
+                        }, but ${this.embeddingModelKey} embeddings require ${expectedDimension}.`
                     );
                     console.warn(
-                        "Please recreate the index with dimension 1024 to proceed."
+                        `Please recreate the index with dimension ${expectedDimension} to proceed.`
                     );
                 }
             } catch (e) {
-                console.warn("Could not read Pinecone index stats:", e?.message || e);
+                console.warn("Could not read vector index stats:", e?.message || e);
             }
 
-            // Initialize embeddings using Cohere
-            this.embeddings = new CohereEmbeddings({
-                apiKey: process.env.COHERE_API_KEY,
-                model: process.env.COHERE_EMBED_MODEL || "embed-english-v3.0",
-                inputType: "search_document",
-            });
-
+            this.chunkingConfig = readChunkingConfig();
             this.textSplitter = new RecursiveCharacterTextSplitter({
-                chunkSize: 1200,
-                chunkOverlap: 300,
+                chunkSize: this.chunkingConfig.chunkSize,
+                chunkOverlap: this.chunkingConfig.chunkOverlap,
+                separators: ["\n\n", "\n", ". ", "! ", "? ", " ", ""],
+            });
+            this.parentSplitter = new RecursiveCharacterTextSplitter({
+                chunkSize: this.chunkingConfig.parentSize,
+                chunkOverlap: this.chunkingConfig.chunkOverlap,
                 separators: ["\n\n", "\n", ". ", "! ", "? ", " ", ""],
             });
 
             await this.ensureMongoIndexes();
             this.isInitialized = true;
-            console.log("✅ Gemini RAG System initialized successfully!");
+            console.log(`✅ RAG System initialized successfully (${llm.provider}/${llm.model}, ${this.embeddingModelKey})`);
         } catch (error) {
             console.error("❌ RAG System initialization failed:", error.message);
             throw error;
@@ -117,43 +294,6 @@ class NITJSRRAGSystem {
     }
 
 
-    async initializePineconeIndex() {
-        const indexName = process.env.PINECONE_INDEX_NAME.trim();
-
-        try {
-            // Check if index exists
-            const indexList = await this.pinecone.listIndexes();
-            const indexExists = indexList.indexes?.some(
-                (index) => index.name === indexName
-            );
-
-            if (!indexExists) {
-                console.log(`Creating new Pinecone index: ${indexName}`);
-                await this.pinecone.createIndex({
-                    name: indexName,
-                    dimension: 1024,
-                    metric: "cosine",
-                    spec: {
-                        serverless: {
-                            cloud: "aws",
-                            region: process.env.PINECONE_ENVIRONMENT.trim(),
-                        },
-                    },
-                });
-
-                console.log("Waiting for index to be ready...");
-                await new Promise((resolve) => setTimeout(resolve, 60000));
-            }
-
-            this.index = this.pinecone.index(indexName);
-            console.log(`Connected to Pinecone index: ${indexName}`);
-        } catch (error) {
-            console.error("Pinecone index initialization failed:", error.message);
-            throw error;
-        }
-    }
-
-
     async ensureMongoIndexes() {
         if (!this.mongoAvailable()) {
             return;
@@ -174,6 +314,17 @@ class NITJSRRAGSystem {
                 ),
                 this.chunksColl.createIndex({ url: 1 }, { background: true }),
                 this.chunksColl.createIndex({ url: 1, index: 1 }, { background: true }),
+                ...(this.runsColl
+                    ? [
+                          this.runsColl.createIndex({ runId: 1 }, { unique: true, background: true }),
+                          this.runsColl.createIndex({ seq: -1 }, { background: true }),
+                          this.snapshotsColl.createIndex({ runId: 1, url: 1 }, { background: true }),
+                          this.archiveColl.createIndex(
+                              { chunkId: 1 },
+                              { unique: true, background: true }
+                          ),
+                      ]
+                    : []),
             ]);
             this._mongoIndexesEnsured = true;
             console.log("[mongo] change ledger indexes ensured");
@@ -260,7 +411,15 @@ class NITJSRRAGSystem {
 
 
     async _ingestWithLedger(scrapedData, options = {}) {
-        const { preview = false } = options || {};
+        const { preview = false, signal = null, onProgress = null } = options || {};
+        const reportProgress = (progress) => {
+            if (typeof onProgress !== "function") return;
+            try {
+                onProgress(progress);
+            } catch (error) {
+                console.warn("[mongo-ledger] progress callback failed:", error?.message || error);
+            }
+        };
 
         if (!this.isInitialized) {
             await this.initialize();
@@ -297,6 +456,9 @@ class NITJSRRAGSystem {
         }
 
         await this.ensureMongoIndexes();
+        if (!preview) {
+            await this._markMigrationStale("ingestion");
+        }
 
         const runStartTimestamp = Date.now();
         const runStartedAt = nowIso();
@@ -312,11 +474,18 @@ class NITJSRRAGSystem {
         const pagePlans = [];
         const stats = {
             pages: { new: 0, modified: 0, unchanged: 0, deletedCandidate: 0 },
-            chunks: { toEmbed: 0, toDelete: 0 },
+            chunks: { toEmbed: 0, toDelete: 0, retried: 0, failed: 0 },
         };
 
         try {
-            for (const item of ingestionItems) {
+            for (const [itemIndex, item] of ingestionItems.entries()) {
+                if (itemIndex % 25 === 0) {
+                    reportProgress({
+                        phase: "planning",
+                        pagesPlanned: itemIndex,
+                        pagesTotal: ingestionItems.length,
+                    });
+                }
                 const normalizedText = (item.structuredText || "").trim();
                 if (!normalizedText) {
                     continue;
@@ -336,6 +505,9 @@ class NITJSRRAGSystem {
                             version: 1,
                             deleted: 1,
                             lastEmbeddedAt: 1,
+                            pendingChunkIds: 1,
+                            chunker: 1,
+                            embeddingModel: 1,
                         },
                     }
                 );
@@ -344,8 +516,17 @@ class NITJSRRAGSystem {
                 if (existingPage && existingPage.deleted) {
                     status = "NEW";
                 } else if (existingPage) {
+                    // Pages chunked by an older chunker, or embedded by another model
+                    // (ledgers from before models were recorded count as current), are redone
+                    const sameModel =
+                        !existingPage.embeddingModel ||
+                        existingPage.embeddingModel === this.embeddingModelKey;
                     status =
-                        existingPage.contentHash === contentHash ? "UNCHANGED" : "MODIFIED";
+                        existingPage.contentHash === contentHash &&
+                        existingPage.chunker === CHUNKER_VERSION &&
+                        sameModel
+                            ? "UNCHANGED"
+                            : "MODIFIED";
                 }
 
                 const statusKey = status.toLowerCase();
@@ -362,24 +543,28 @@ class NITJSRRAGSystem {
                         category: item.category,
                         wordCount,
                         contentHash,
+                        structuredText: normalizedText,
                         chunkCount: existingPage?.chunkCount || 0,
                         existingPage,
                     });
                     continue;
                 }
 
-                const splits = await this.textSplitter.splitText(normalizedText);
+                const splits = await chunkIngestionItem(
+                    item,
+                    { childSplitter: this.textSplitter, parentSplitter: this.parentSplitter },
+                    this.chunkingConfig
+                );
                 const chunkCount = splits.length;
 
-                let existingChunksArr = [];
-                if (existingPage) {
-                    existingChunksArr = await this.chunksColl
-                        .find(
-                            { url: item.url },
-                            { projection: { chunkId: 1, textHash: 1 } }
-                        )
-                        .toArray();
-                }
+                // Looked up even for NEW pages: an interrupted run may already have
+                // committed some of their chunks, which a resumed run should skip.
+                const existingChunksArr = await this.chunksColl
+                    .find(
+                        { url: item.url },
+                        { projection: { chunkId: 1, textHash: 1, embeddingModel: 1 } }
+                    )
+                    .toArray();
 
                 const existingChunkMap = new Map(
                     existingChunksArr.map((doc) => [doc.chunkId, doc])
@@ -388,23 +573,35 @@ class NITJSRRAGSystem {
                 const chunkInfos = [];
 
                 for (let index = 0; index < splits.length; index++) {
-                    const chunkText = splits[index];
-                    const textHash = hashString(chunkText);
+                    const { text: chunkText, section, pageNumber, parentId, parentText } =
+                        splits[index];
+                    // The parent is part of the hash so a child is re-stored when its section changes
+                    const textHash = hashString(`${chunkText}\n${parentId || ""}`);
                     const chunkId = makeChunkId(item.url, index, textHash);
                     currentChunkIds.add(chunkId);
 
                     const existingChunk = existingChunkMap.get(chunkId);
-                    if (existingChunk && existingChunk.textHash === textHash) {
+                    if (
+                        existingChunk &&
+                        existingChunk.textHash === textHash &&
+                        (!existingChunk.embeddingModel ||
+                            existingChunk.embeddingModel === this.embeddingModelKey)
+                    ) {
                         continue;
                     }
 
                     const metadata = item.buildChunkMetadata(index, chunkCount);
+                    // Omitted rather than null: Pinecone rejects null metadata values
+                    if (section) metadata.section = section;
+                    if (pageNumber) metadata.pageNumber = pageNumber;
                     chunkInfos.push({
                         chunkId,
                         url: item.url,
                         index,
                         text: chunkText,
                         textHash,
+                        parentId,
+                        parentText,
                         metadata,
                     });
                 }
@@ -413,7 +610,9 @@ class NITJSRRAGSystem {
                     .filter((doc) => !currentChunkIds.has(doc.chunkId))
                     .map((doc) => doc.chunkId);
 
+                const pending = new Set(existingPage?.pendingChunkIds || []);
                 stats.chunks.toEmbed += chunkInfos.length;
+                stats.chunks.retried += chunkInfos.filter((info) => pending.has(info.chunkId)).length;
                 stats.chunks.toDelete += toDeleteIds.length;
 
                 pagePlans.push({
@@ -424,6 +623,7 @@ class NITJSRRAGSystem {
                     category: item.category,
                     wordCount,
                     contentHash,
+                    structuredText: normalizedText,
                     chunkCount,
                     chunkInfos,
                     toDeleteIds,
@@ -435,9 +635,20 @@ class NITJSRRAGSystem {
                 `[mongo-ledger] Page plan summary: new=${stats.pages.new}, modified=${stats.pages.modified}, unchanged=${stats.pages.unchanged}, toEmbed=${stats.chunks.toEmbed}, toDelete=${stats.chunks.toDelete}.`
             );
 
-            const seenUrlsArray = Array.from(seenUrls);
-            const staleUrls = [];
-            stats.pages.deletedCandidate = 0;
+            const stalePlan = await this._planStalePages(scrapedData, ingestionItems);
+            const staleUrls = stalePlan.candidates;
+            stats.pages.missing = staleUrls.length;
+            stats.pages.deletedCandidate = stalePlan.deleteCount;
+
+            if (stalePlan.guard.blocked) {
+                console.warn(
+                    `[mongo-ledger] Stale page detection skipped: ${stalePlan.guard.reason}.`
+                );
+            } else if (staleUrls.length) {
+                console.log(
+                    `[mongo-ledger] ${staleUrls.length} ledger pages missing from this scrape; ${stalePlan.deleteCount} reached ${stalePlan.guard.afterRuns} missed runs and will be purged.`
+                );
+            }
 
             if (preview) {
                 console.log(
@@ -449,97 +660,203 @@ class NITJSRRAGSystem {
                         counts: stats,
                         seenUrls: seenUrls.size,
                         staleUrls,
+                        staleGuard: stalePlan.guard,
                     },
                 };
             }
 
             const chunksToEmbed = pagePlans.flatMap((plan) => plan.chunkInfos || []);
-            const batchSize = 100;
-            const totalBatches = Math.ceil(chunksToEmbed.length / batchSize);
+            const batcher = new AdaptiveBatchSize({
+                initial: this.embedRetryConfig.batchSize,
+                min: this.embedRetryConfig.minBatchSize,
+            });
+            const estimateBatches = (done, offset) =>
+                done + Math.ceil((chunksToEmbed.length - offset) / batcher.size);
             const embeddedUrls = new Set();
+            const failedChunks = [];
             const nowForChunks = nowIso();
 
             if (chunksToEmbed.length === 0) {
                 console.log("[mongo-ledger] No chunks require embedding this run.");
             } else {
                 console.log(
-                    `[mongo-ledger] Embedding ${chunksToEmbed.length} chunks across ${totalBatches} batches (batchSize=${batchSize}).`
+                    `[mongo-ledger] Embedding ${chunksToEmbed.length} chunks across ~${estimateBatches(0, 0)} batches (batchSize=${batcher.size}, min=${batcher.min}).`
                 );
             }
 
-            for (let i = 0; i < chunksToEmbed.length; i += batchSize) {
-                const batch = chunksToEmbed.slice(i, i + batchSize);
-                if (batch.length === 0) continue;
+            let chunksEmbedded = 0;
+            let batchesDone = 0;
+            let offset = 0;
+            let consecutiveFailures = 0;
+            reportProgress({
+                phase: "embedding",
+                batchesDone,
+                totalBatches: estimateBatches(0, 0),
+                chunksEmbedded,
+                chunksTotal: chunksToEmbed.length,
+            });
+
+            while (offset < chunksToEmbed.length) {
+                const batch = chunksToEmbed.slice(offset, offset + batcher.size);
+                const totalBatches = estimateBatches(batchesDone, offset);
+                if (signal?.aborted) {
+                    // Committed batches stay in the vector store and chunk ledger; pages
+                    // are not touched, so a later run re-plans them and skips those chunks.
+                    console.warn(
+                        `[mongo-ledger] Run cancelled before batch ${batchesDone + 1}/${totalBatches}; ${chunksEmbedded} chunks committed.`
+                    );
+                    return {
+                        success: false,
+                        ledger: true,
+                        cancelled: true,
+                        runStartedAt,
+                        stats,
+                        chunksEmbedded,
+                    };
+                }
 
-                const batchIndex = Math.floor(i / batchSize);
                 console.log(
                     `[mongo-ledger] Upserting batch ${
-                        batchIndex + 1
+                        batchesDone + 1
                     }/${totalBatches} (size=${batch.length}).`
                 );
 
-                const embeddings = await this.embeddings.embedDocuments(
-                    batch.map((chunk) => chunk.text)
-                );
-                const vectors = batch.map((chunk, index) => ({
-                    id: chunk.chunkId,
-                    values: embeddings[index],
-                    metadata: {
-                        text: chunk.text.substring(0, 1000),
-                        ...chunk.metadata,
-                    },
-                }));
-
-                let upsertSucceeded = false;
+                let committed = false;
                 try {
-                    await this.index.upsert(vectors);
-                    upsertSucceeded = true;
+                    await this._embedAndUpsertBatch(batch, { signal, batcher });
+                    await this.chunksColl.bulkWrite(
+                        batch.map((chunk) => ({
+                            updateOne: {
+                                filter: { chunkId: chunk.chunkId },
+                                update: {
+                                    $set: {
+                                        url: chunk.url,
+                                        index: chunk.index,
+                                        textHash: chunk.textHash,
+                                        text: chunk.text,
+                                        parentId: chunk.parentId || null,
+                                        parentText: chunk.parentText || null,
+                                        embeddingModel: this.embeddingModelKey,
+                                        embeddingDimension: this.embeddings.dimension,
+                                        metadata: chunk.metadata,
+                                        pineconeId: chunk.chunkId,
+                                        storedAt: nowForChunks,
+                                        metadataSnapshot: {
+                                            source: chunk.metadata.source,
+                                            sourceType: chunk.metadata.sourceType,
+                                            title: chunk.metadata.title,
+                                            category: chunk.metadata.category,
+                                            pages: chunk.metadata.pages,
+                                            dateMs: chunk.metadata.dateMs,
+                                            chunkIndex: chunk.metadata.chunkIndex,
+                                            totalChunks: chunk.metadata.totalChunks,
+                                            section: chunk.metadata.section,
+                                            pageNumber: chunk.metadata.pageNumber,
+                                        },
+                                    },
+                                },
+                                upsert: true,
+                            },
+                        })),
+                        { ordered: false }
+                    );
+                    committed = true;
                 } catch (error) {
+                    const message = error?.message || String(error);
+                    // Smaller batches isolate a bad chunk (or an oversized request);
+                    // retryable errors already had their backoff, so splitting won't help.
+                    if (
+                        !isRetryableError(error) &&
+                        batch.length > batcher.min &&
+                        batcher.shrink(batch.length)
+                    ) {
+                        console.warn(
+                            `[mongo-ledger] Batch ${batchesDone + 1} failed (${message}); retrying with batchSize=${batcher.size}.`
+                        );
+                        continue;
+                    }
                     console.error(
-                        "[mongo-ledger] Pinecone upsert failed:",
-                        error?.message || error
+                        `[mongo-ledger] Batch ${batchesDone + 1} failed after retries: ${message}`
+                    );
+                    batch.forEach((chunk) =>
+                        failedChunks.push({ chunkId: chunk.chunkId, url: chunk.url, error: message })
                     );
+                    consecutiveFailures += 1;
                 }
 
-                if (upsertSucceeded) {
-                    console.log(
-                        `[mongo-ledger] Batch ${
-                            batchIndex + 1
-                        }/${totalBatches} stored successfully.`
+                offset += batch.length;
+                batchesDone += 1;
+                if (!committed && consecutiveFailures >= MAX_CONSECUTIVE_BATCH_FAILURES) {
+                    // The provider is down; record the rest as failed instead of
+                    // sitting through backoff for every remaining batch.
+                    const skipped = chunksToEmbed.slice(offset);
+                    skipped.forEach((chunk) =>
+                        failedChunks.push({
+                            chunkId: chunk.chunkId,
+                            url: chunk.url,
+                            error: "skipped after repeated batch failures",
+                        })
                     );
-                    const bulkOps = batch.map((chunk) => ({
-                        updateOne: {
-                            filter: { chunkId: chunk.chunkId },
-                            update: {
-                                $set: {
-                                    url: chunk.url,
-                                    index: chunk.index,
-                                    textHash: chunk.textHash,
-                                    pineconeId: chunk.chunkId,
-                                    storedAt: nowForChunks,
-                                    metadataSnapshot: {
-                                        source: chunk.metadata.source,
-                                        sourceType: chunk.metadata.sourceType,
-                                        title: chunk.metadata.title,
-                                        category: chunk.metadata.category,
-                                        chunkIndex: chunk.metadata.chunkIndex,
-                                        totalChunks: chunk.metadata.totalChunks,
-                                    },
-                                },
-                            },
-                            upsert: true,
-                        },
-                    }));
-
-                    if (bulkOps.length) {
-                        await this.chunksColl.bulkWrite(bulkOps, { ordered: false });
-                    }
+                    offset = chunksToEmbed.length;
+                    console.error(
+                        `[mongo-ledger] ${consecutiveFailures} consecutive batches failed; skipping ${skipped.length} remaining chunks.`
+                    );
+                }
+                if (committed) {
+                    consecutiveFailures = 0;
+                    batcher.succeed();
                     batch.forEach((chunk) => embeddedUrls.add(chunk.url));
+                    chunksEmbedded += batch.length;
+                    console.log(
+                        `[mongo-ledger] Batch ${batchesDone}/${totalBatches} stored successfully.`
+                    );
                 }
+
+                reportProgress({
+                    phase: "embedding",
+                    batchesDone,
+                    totalBatches: estimateBatches(batchesDone, offset),
+                    chunksEmbedded,
+                    chunksFailed: failedChunks.length,
+                    chunksTotal: chunksToEmbed.length,
+                    committed,
+                });
             }
 
-            let deleteIds = pagePlans.flatMap((plan) => plan.toDeleteIds || []);
-            deleteIds = [...new Set(deleteIds)];
+            // Pages with failed chunks keep their previous contentHash (and their old
+            // chunks), so the next run plans them again and embeds only what is missing.
+            const failedUrls = new Set(failedChunks.map((chunk) => chunk.url));
+            stats.chunks.failed = failedChunks.length;
+            if (failedChunks.length) {
+                const deferredDeletes = pagePlans
+                    .filter((plan) => failedUrls.has(plan.url))
+                    .reduce((sum, plan) => sum + (plan.toDeleteIds?.length || 0), 0);
+                stats.chunks.toDelete -= deferredDeletes;
+                stats.chunks.deleteDeferred = deferredDeletes;
+                console.warn(
+                    `[mongo-ledger] ${failedChunks.length} chunks on ${failedUrls.size} pages failed to embed; they will be retried next run.`
+                );
+            }
+
+            reportProgress({ phase: "finalizing" });
+
+            const purgedUrls = stalePlan.guard.blocked
+                ? []
+                : staleUrls.filter((page) => page.willDelete).map((page) => page.url);
+            let staleChunks = [];
+            if (purgedUrls.length) {
+                staleChunks = await this.chunksColl
+                    .find({ url: { $in: purgedUrls } }, { projection: { chunkId: 1, url: 1 } })
+                    .toArray();
+                stats.chunks.toDelete += staleChunks.length;
+            }
+
+            const deleteUrls = new Map(staleChunks.map((doc) => [doc.chunkId, doc.url]));
+            pagePlans
+                .filter((plan) => !failedUrls.has(plan.url))
+                .forEach((plan) => (plan.toDeleteIds || []).forEach((id) => deleteUrls.set(id, plan.url)));
+            const deleteIds = [...deleteUrls.keys()];
+            let deleteFailedIds = [];
             if (deleteIds.length === 0) {
                 console.log("[mongo-ledger] No unique IDs to delete.");
             } else {
@@ -547,27 +864,28 @@ class NITJSRRAGSystem {
                     `[mongo-ledger] Deleting ${deleteIds.length} chunk vectors marked stale during ingestion.`
                 );
                 try {
-                    const stats = await this.index.describeIndexStats();
-                    const totalVectors = stats?.totalVectorCount || 0;
+                    const stats = await this.vectorStore.describeIndexStats();
+                    const totalVectors = stats?.totalRecordCount ?? stats?.totalVectorCount ?? 0;
                     if (totalVectors === 0) {
                         console.log(
-                            "[mongo-ledger] Skipping deletes: Pinecone index is empty or fresh."
+                            "[mongo-ledger] Skipping deletes: vector index is empty or fresh."
                         );
                     } else {
-                        const BATCH_SIZE = 500;
-                        for (let i = 0; i < deleteIds.length; i += BATCH_SIZE) {
-                            const batch = deleteIds.slice(i, i + BATCH_SIZE);
-                            await this.index.deleteMany({ ids: batch });
-                        }
+                        deleteFailedIds = await this._deleteVectors(deleteIds);
                     }
                 } catch (error) {
                     console.warn(
-                        "[mongo-ledger] Pinecone delete failed:",
+                        "[mongo-ledger] Vector delete failed:",
                         error?.message || error
                     );
+                    deleteFailedIds = deleteIds;
                 }
+                // Ledger rows go only with their vectors, so a failed delete is retried
+                const failedDeleteSet = new Set(deleteFailedIds);
+                const deletedIds = deleteIds.filter((id) => !failedDeleteSet.has(id));
                 try {
-                    await this.chunksColl.deleteMany({ chunkId: { $in: deleteIds } });
+                    await this._archiveChunks(deletedIds);
+                    await this.chunksColl.deleteMany({ chunkId: { $in: deletedIds } });
                 } catch (error) {
                     console.warn(
                         "[mongo-ledger] Mongo chunk delete failed:",
@@ -576,6 +894,24 @@ class NITJSRRAGSystem {
                 }
             }
 
+            // Their pages keep the previous contentHash (plans) or stay active (stale
+            // pages), so the next run plans these deletes again.
+            const deleteFailedUrls = new Set(deleteFailedIds.map((id) => deleteUrls.get(id)));
+            if (deleteFailedIds.length) {
+                deleteFailedIds.forEach((chunkId) =>
+                    failedChunks.push({ chunkId, url: deleteUrls.get(chunkId), error: "vector delete failed" })
+                );
+                stats.chunks.toDelete -= deleteFailedIds.length;
+                stats.chunks.deleteFailed = deleteFailedIds.length;
+                console.warn(
+                    `[mongo-ledger] ${deleteFailedIds.length} chunk vectors on ${deleteFailedUrls.size} pages could not be deleted; they stay in the ledger and are retried next run.`
+                );
+            }
+            const appliedStaleUrls = staleUrls.map((page) =>
+                page.willDelete && deleteFailedUrls.has(page.url) ? { ...page, willDelete: false } : page
+            );
+            const removedUrls = purgedUrls.filter((url) => !deleteFailedUrls.has(url));
+
             const pageUpdateTime = nowIso();
             for (const plan of pagePlans) {
                 const versionBase = plan.existingPage?.version || 0;
@@ -588,15 +924,26 @@ class NITJSRRAGSystem {
                     embeddedUrls.has(plan.url) ||
                     plan.status === "NEW" ||
                     changedWithoutEmbed;
+                const pendingChunkIds = failedChunks
+                    .filter((chunk) => chunk.url === plan.url)
+                    .map((chunk) => chunk.chunkId);
+                const previousHash = plan.existingPage?.deleted
+                    ? null
+                    : plan.existingPage?.contentHash ?? null;
                 const updateDoc = {
                     url: plan.url,
                     type: plan.type,
                     title: plan.title,
                     category: plan.category,
                     wordCount: plan.wordCount,
-                    contentHash: plan.contentHash,
+                    contentHash: pendingChunkIds.length ? previousHash : plan.contentHash,
+                    structuredText: plan.structuredText,
+                    embeddingModel: this.embeddingModelKey,
+                    pendingChunkIds,
+                    chunker: CHUNKER_VERSION,
                     chunkCount: plan.chunkCount ?? plan.existingPage?.chunkCount ?? 0,
                     lastSeenAt: runStartedAt,
+                    missedRuns: 0,
                     deleted: false,
                     version: shouldBumpVersion ? versionBase + 1 : versionBase,
                 };
@@ -614,16 +961,48 @@ class NITJSRRAGSystem {
                 );
             }
 
+            if (!stalePlan.guard.blocked) {
+                await this._applyStalePages(appliedStaleUrls, pageUpdateTime);
+            }
+
+            this._lexicalIndexStale = true;
+
+            const run = await this._recordRun({
+                kind: "ingest",
+                runStartedAt,
+                source: options?.source || null,
+                stats,
+                failedChunks: failedChunks.map(({ chunkId, url }) => ({ chunkId, url })),
+            });
+
+            // Pages whose indexed text changed or went away: answers citing them are stale
+            const changedUrls = [
+                ...new Set([
+                    ...pagePlans
+                        .filter(
+                            (plan) =>
+                                plan.status === "MODIFIED" &&
+                                (embeddedUrls.has(plan.url) || (plan.toDeleteIds?.length && !failedUrls.has(plan.url)))
+                        )
+                        .map((plan) => plan.url),
+                    ...removedUrls,
+                ]),
+            ];
+            await this._publishChangedPages(changedUrls, { kind: "ingest", runId: run?.runId || null });
+
             const durationMs = Date.now() - runStartTimestamp;
             console.log(
-                `[mongo-ledger] Ledger ingestion completed in ${durationMs} ms. Pages seen=${seenUrls.size}, embedded=${embeddedUrls.size}, deletes=${stats.chunks.toDelete}.`
+                `[mongo-ledger] Ledger ingestion completed in ${durationMs} ms. Pages seen=${seenUrls.size}, embedded=${embeddedUrls.size}, deletes=${stats.chunks.toDelete}, failed=${stats.chunks.failed}.`
             );
 
             return {
                 success: true,
                 ledger: true,
                 runStartedAt,
+                runId: run?.runId || null,
                 stats,
+                failedChunks,
+                changedUrls,
             };
         } catch (error) {
             console.error("[mongo-ledger] ingestion error:", error?.message || error);
@@ -640,11 +1019,56 @@ class NITJSRRAGSystem {
     }
 
 
+    /**
+     * Active ledger pages that this scrape did not reach, with their next
+     * missed-run count. Pages are only purged after STALE_AFTER_RUNS
+     * consecutive misses, and never when the scrape looks partial.
+     */
+    async _planStalePages(scrapedData, ingestionItems) {
+        const scrapedUrls = collectScrapedUrls(scrapedData, ingestionItems);
+        const activeFilter = { deleted: { $ne: true } };
+        const activeTotal = await this.pagesColl.countDocuments(activeFilter);
+        const missingPages = await this.pagesColl
+            .find(
+                { ...activeFilter, url: { $nin: Array.from(scrapedUrls) } },
+                { projection: { url: 1, missedRuns: 1, lastSeenAt: 1, chunkCount: 1 } }
+            )
+            .toArray();
+
+        return planStalePages({
+            missingPages,
+            activeTotal,
+            scrapedData,
+            policy: this.stalePolicy,
+        });
+    }
+
+
+    async _applyStalePages(candidates, updatedAt) {
+        for (const page of candidates) {
+            const update = { missedRuns: page.missedRuns };
+            if (page.willDelete) {
+                Object.assign(update, { deleted: true, deletedAt: updatedAt, chunkCount: 0 });
+            }
+            await this.pagesColl.updateOne({ url: page.url }, { $set: update });
+        }
+        const purged = candidates.filter((page) => page.willDelete).length;
+        if (purged) {
+            console.log(`[mongo-ledger] Marked ${purged} pages deleted after repeated misses.`);
+        }
+    }
+
+
     async processAndStoreDocuments(scrapedData, options = {}) {
         if (options?.preview) {
             return this.previewIngestion(scrapedData);
         }
-        return this._ingestWithLedger(scrapedData, { preview: false });
+        return this._ingestWithLedger(scrapedData, {
+            preview: false,
+            signal: options?.signal,
+            onProgress: options?.onProgress,
+            source: options?.source,
+        });
     }
 
 
@@ -654,6 +1078,834 @@ class NITJSRRAGSystem {
     }
 
 
+    /**
+     * Embeds and upserts one batch, retrying each step with backoff. Rate-limit
+     * retries also shrink the batch size used for the following batches.
+     */
+    async _embedAndUpsertBatch(
+        batch,
+        { signal = null, batcher = null, embeddings = this.embeddings, vectorStore = this.vectorStore } = {}
+    ) {
+        const retryOptions = (step) => ({
+            ...this.embedRetryConfig,
+            signal,
+            onRetry: (error, { attempt, delayMs, rateLimited }) => {
+                if (rateLimited) batcher?.shrink();
+                console.warn(
+                    `[mongo-ledger] ${step} attempt ${attempt} failed${
+                        rateLimited ? " (rate limited)" : ""
+                    }: ${error?.message || error}; retrying in ${delayMs} ms.`
+                );
+            },
+        });
+
+        const values = await withRetry(
+            () => embeddings.embedDocuments(batch.map((chunk) => chunk.text)),
+            retryOptions("embed")
+        );
+        if (!Array.isArray(values) || values.length !== batch.length) {
+            throw new Error(
+                `Embedding provider returned ${values?.length ?? 0} vectors for ${batch.length} chunks`
+            );
+        }
+
+        const vectors = batch.map((chunk, index) => ({
+            id: chunk.chunkId,
+            values: values[index],
+            metadata: {
+                text: chunk.text.substring(0, 1000),
+                ...chunk.metadata,
+            },
+        }));
+        await withRetry(() => vectorStore.upsert(vectors), retryOptions("upsert"));
+    }
+
+
+    // Copies chunk docs (text + metadata) aside before they are deleted so a
+    // rollback can re-embed them.
+    async _archiveChunks(chunkIds) {
+        if (!this.archiveColl || !chunkIds?.length) return;
+        const archivedAt = nowIso();
+        for (let i = 0; i < chunkIds.length; i += 500) {
+            const docs = await this.chunksColl
+                .find({ chunkId: { $in: chunkIds.slice(i, i + 500) } })
+                .toArray();
+            const ops = docs
+                .filter((doc) => typeof doc.text === "string" && doc.text)
+                .map(({ _id, ...doc }) => ({
+                    updateOne: {
+                        filter: { chunkId: doc.chunkId },
+                        update: { $set: { ...doc, archivedAt } },
+                        upsert: true,
+                    },
+                }));
+            if (ops.length) {
+                await this.archiveColl.bulkWrite(ops, { ordered: false });
+            }
+        }
+    }
+
+
+    // Deletes vectors in batches of 500. Returns the IDs of batches that still
+    // failed after retries; callers keep those ledger rows.
+    async _deleteVectors(chunkIds) {
+        const failed = [];
+        for (let i = 0; i < chunkIds.length; i += 500) {
+            const batch = chunkIds.slice(i, i + 500);
+            try {
+                await withRetry(() => this.vectorStore.deleteMany(batch), this.embedRetryConfig);
+            } catch (error) {
+                console.warn(
+                    `[mongo-ledger] Vector delete failed for ${batch.length} chunks:`,
+                    error?.message || error
+                );
+                failed.push(...batch);
+            }
+        }
+        return failed;
+    }
+
+
+    /**
+     * Records the ledger state after a run: one run doc plus one snapshot doc
+     * per live page (contentHash + chunk IDs). Old runs beyond the retention
+     * window are pruned together with archived chunks nothing refers to.
+     */
+    async _recordRun({
+        kind,
+        runStartedAt,
+        source = null,
+        stats = null,
+        rolledBackTo = null,
+        failedChunks = [],
+    }) {
+        if (!this.runsColl) return null;
+        try {
+            const last = await this.runsColl
+                .find({}, { projection: { seq: 1 } })
+                .sort({ seq: -1 })
+                .limit(1)
+                .toArray();
+            const seq = (last[0]?.seq || 0) + 1;
+            const runId = `run-${seq}`;
+
+            const pages = await this.pagesColl
+                .find(
+                    { deleted: { $ne: true } },
+                    {
+                        projection: {
+                            url: 1,
+                            contentHash: 1,
+                            title: 1,
+                            type: 1,
+                            category: 1,
+                            wordCount: 1,
+                            version: 1,
+                            chunker: 1,
+                        },
+                    }
+                )
+                .toArray();
+            const chunkDocs = await this.chunksColl
+                .find({}, { projection: { url: 1, chunkId: 1, index: 1 } })
+                .toArray();
+            const chunkIdsByUrl = groupChunkIdsByUrl(chunkDocs);
+
+            const snapshotDocs = pages.map((page) => ({
+                runId,
+                url: page.url,
+                contentHash: page.contentHash || null,
+                title: page.title || null,
+                type: page.type || null,
+                category: page.category || null,
+                wordCount: page.wordCount || 0,
+                version: page.version || 0,
+                chunker: page.chunker || null,
+                chunkIds: chunkIdsByUrl.get(page.url) || [],
+            }));
+            if (snapshotDocs.length) {
+                await this.snapshotsColl.insertMany(snapshotDocs, { ordered: false });
+            }
+
+            const run = {
+                runId,
+                seq,
+                kind,
+                runStartedAt,
+                finishedAt: nowIso(),
+                source,
+                rolledBackTo,
+                pageCount: snapshotDocs.length,
+                chunkCount: snapshotDocs.reduce((sum, doc) => sum + doc.chunkIds.length, 0),
+                stats,
+                failedChunks,
+            };
+            await this.runsColl.insertOne(run);
+            console.log(
+                `[mongo-ledger] Recorded ${kind} snapshot ${runId} (pages=${run.pageCount}, chunks=${run.chunkCount}).`
+            );
+
+            await this._pruneRuns();
+            return run;
+        } catch (error) {
+            console.warn("[mongo-ledger] Failed to record run snapshot:", error?.message || error);
+            return null;
+        }
+    }
+
+
+    async _pruneRuns() {
+        const { retention } = this.snapshotConfig;
+        const expired = await this.runsColl
+            .find({}, { projection: { runId: 1 } })
+            .sort({ seq: -1 })
+            .skip(retention)
+            .toArray();
+        if (expired.length === 0) return;
+
+        const expiredIds = expired.map((run) => run.runId);
+        await this.snapshotsColl.deleteMany({ runId: { $in: expiredIds } });
+        await this.runsColl.deleteMany({ runId: { $in: expiredIds } });
+
+        // Archived chunks are only worth keeping while a retained snapshot needs them
+        const referenced = new Set();
+        const retained = await this.snapshotsColl
+            .find({}, { projection: { chunkIds: 1 } })
+            .toArray();
+        retained.forEach((doc) => (doc.chunkIds || []).forEach((id) => referenced.add(id)));
+        const archived = await this.archiveColl
+            .find({}, { projection: { chunkId: 1 } })
+            .toArray();
+        const orphaned = archived.map((doc) => doc.chunkId).filter((id) => !referenced.has(id));
+        for (let i = 0; i < orphaned.length; i += 1000) {
+            await this.archiveColl.deleteMany({ chunkId: { $in: orphaned.slice(i, i + 1000) } });
+        }
+        console.log(
+            `[mongo-ledger] Pruned ${expiredIds.length} old snapshots and ${orphaned.length} archived chunks.`
+        );
+    }
+
+
+    async listRuns({ limit = 20 } = {}) {
+        if (!this.mongoAvailable() || !this.runsColl) return [];
+        return this.runsColl
+            .find({}, { projection: { _id: 0 } })
+            .sort({ seq: -1 })
+            .limit(Math.min(Math.max(Number(limit) || 20, 1), 100))
+            .toArray();
+    }
+
+
+    async _loadRunSnapshot(runId) {
+        const run = await this.runsColl.findOne({ runId }, { projection: { _id: 0 } });
+        if (!run) return null;
+        const pages = await this.snapshotsColl
+            .find({ runId }, { projection: { _id: 0, runId: 0 } })
+            .toArray();
+        return { run, pages };
+    }
+
+
+    async diffRuns(fromRunId, toRunId) {
+        if (!this.mongoAvailable() || !this.runsColl) {
+            throw new Error("MongoDB not connected; run history unavailable");
+        }
+        const [from, to] = await Promise.all([
+            this._loadRunSnapshot(fromRunId),
+            this._loadRunSnapshot(toRunId),
+        ]);
+        if (!from || !to) return null;
+        return {
+            from: from.run,
+            to: to.run,
+            ...diffSnapshots(from.pages, to.pages),
+        };
+    }
+
+
+    /**
+     * Rolls the vector index and ledger back to the state recorded by `runId`.
+     * Chunks missing from the current index are re-embedded from the archive;
+     * chunks the target run did not have are archived and deleted. Pages whose
+     * chunks cannot all be restored or deleted keep a null contentHash so the
+     * next ingestion redoes them. The rollback itself is recorded as a new run.
+     */
+    async rollbackToRun(runId, { dryRun = false } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        if (!this.mongoAvailable() || !this.runsColl) {
+            throw new Error("MongoDB not connected; rollback unavailable");
+        }
+
+        const target = await this._loadRunSnapshot(runId);
+        if (!target) return null;
+
+        const targetChunkIds = new Set(target.pages.flatMap((page) => page.chunkIds || []));
+        const currentChunks = await this.chunksColl
+            .find({}, { projection: { chunkId: 1, url: 1 } })
+            .toArray();
+        const currentChunkIds = new Set(currentChunks.map((doc) => doc.chunkId));
+
+        const deleteIds = [...currentChunkIds].filter((id) => !targetChunkIds.has(id));
+        const restoreIds = [...targetChunkIds].filter((id) => !currentChunkIds.has(id));
+        const archived = restoreIds.length
+            ? await this.archiveColl.find({ chunkId: { $in: restoreIds } }).toArray()
+            : [];
+        const archivedIds = new Set(archived.map((doc) => doc.chunkId));
+        const missingIds = restoreIds.filter((id) => !archivedIds.has(id));
+        const missingSet = new Set(missingIds);
+
+        const targetUrls = new Set(target.pages.map((page) => page.url));
+        const activePages = await this.pagesColl
+            .find({ deleted: { $ne: true } }, { projection: { url: 1 } })
+            .toArray();
+        const pagesToDelete = activePages
+            .map((page) => page.url)
+            .filter((url) => !targetUrls.has(url));
+        const incompletePages = target.pages
+            .filter((page) => (page.chunkIds || []).some((id) => missingSet.has(id)))
+            .map((page) => page.url);
+
+        const plan = {
+            runId,
+            target: target.run,
+            counts: {
+                pages: target.pages.length,
+                pagesToDelete: pagesToDelete.length,
+                chunksToRestore: archived.length,
+                chunksToDelete: deleteIds.length,
+                chunksMissing: missingIds.length,
+            },
+            pagesToDelete,
+            incompletePages,
+        };
+
+        if (dryRun) {
+            return { dryRun: true, ...plan };
+        }
+
+        await this._markMigrationStale("rollback");
+        console.log(
+            `[mongo-ledger] Rolling back to ${runId}: restore=${archived.length}, delete=${deleteIds.length}, missing=${missingIds.length}.`
+        );
+        const startedAt = nowIso();
+
+        // Restore first: if re-embedding fails, the live index is still intact.
+        const batchSize = this.embedRetryConfig.batchSize;
+        for (let i = 0; i < archived.length; i += batchSize) {
+            const batch = archived.slice(i, i + batchSize);
+            await this._embedAndUpsertBatch(
+                batch.map((doc) => ({
+                    chunkId: doc.chunkId,
+                    text: doc.text,
+                    metadata: doc.metadata || doc.metadataSnapshot || {},
+                }))
+            );
+            await this.chunksColl.bulkWrite(
+                batch.map(({ _id, archivedAt, ...doc }) => ({
+                    updateOne: {
+                        filter: { chunkId: doc.chunkId },
+                        update: {
+                            $set: {
+                                ...doc,
+                                storedAt: startedAt,
+                                embeddingModel: this.embeddingModelKey,
+                                embeddingDimension: this.embeddings.dimension,
+                            },
+                        },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+        }
+
+        // Chunks whose vectors could not be deleted keep their ledger rows; their
+        // pages get a null contentHash and stay active so the next ingestion
+        // plans the delete again.
+        const deleteFailedIds = deleteIds.length ? await this._deleteVectors(deleteIds) : [];
+        const deleteFailedSet = new Set(deleteFailedIds);
+        const deletedIds = deleteIds.filter((id) => !deleteFailedSet.has(id));
+        if (deletedIds.length) {
+            await this._archiveChunks(deletedIds);
+            await this.chunksColl.deleteMany({ chunkId: { $in: deletedIds } });
+        }
+        const failedChunks = currentChunks
+            .filter((doc) => deleteFailedSet.has(doc.chunkId))
+            .map(({ chunkId, url }) => ({ chunkId, url }));
+        const deleteFailedUrls = new Set(failedChunks.map((chunk) => chunk.url));
+        if (failedChunks.length) {
+            plan.counts.chunksDeleteFailed = failedChunks.length;
+            console.warn(
+                `[mongo-ledger] ${failedChunks.length} chunk vectors on ${deleteFailedUrls.size} pages could not be deleted; they stay in the ledger.`
+            );
+        }
+
+        const incomplete = new Set([...incompletePages, ...deleteFailedUrls]);
+        // Snapshots keep hashes, not page text: where the restored hash differs, the
+        // stored structuredText belongs to the rolled-back scrape, so it is cleared
+        // until the next ingestion writes the page's text again
+        const currentHashes = new Map(
+            (
+                await this.pagesColl
+                    .find({ deleted: { $ne: true } }, { projection: { url: 1, contentHash: 1 } })
+                    .toArray()
+            ).map((doc) => [doc.url, doc.contentHash || null])
+        );
+        for (const page of target.pages) {
+            const sameText = Boolean(page.contentHash) && currentHashes.get(page.url) === page.contentHash;
+            await this.pagesColl.updateOne(
+                { url: page.url },
+                {
+                    $set: {
+                        url: page.url,
+                        ...(sameText ? {} : { structuredText: null }),
+                        title: page.title,
+                        type: page.type,
+                        category: page.category,
+                        wordCount: page.wordCount,
+                        contentHash: incomplete.has(page.url) ? null : page.contentHash,
+                        chunker: page.chunker || null,
+                        chunkCount: (page.chunkIds || []).filter((id) => !missingSet.has(id)).length,
+                        deleted: false,
+                        missedRuns: 0,
+                        restoredFromRun: runId,
+                        lastEmbeddedAt: startedAt,
+                    },
+                    $inc: { version: 1 },
+                },
+                { upsert: true }
+            );
+        }
+        for (const url of pagesToDelete) {
+            await this.pagesColl.updateOne(
+                { url },
+                deleteFailedUrls.has(url)
+                    ? { $set: { contentHash: null } }
+                    : { $set: { deleted: true, deletedAt: startedAt, chunkCount: 0 } }
+            );
+        }
+
+        this._lexicalIndexStale = true;
+        const run = await this._recordRun({
+            kind: "rollback",
+            runStartedAt: startedAt,
+            rolledBackTo: runId,
+            stats: plan.counts,
+            failedChunks,
+        });
+
+        const deleteSet = new Set(deleteIds);
+        const restoreSet = new Set(restoreIds);
+        const changedUrls = new Set([
+            ...pagesToDelete,
+            ...currentChunks.filter((doc) => deleteSet.has(doc.chunkId)).map((doc) => doc.url),
+            ...target.pages
+                .filter((page) => (page.chunkIds || []).some((id) => restoreSet.has(id)))
+                .map((page) => page.url),
+        ]);
+        changedUrls.delete(undefined);
+        await this._publishChangedPages([...changedUrls], { kind: "rollback", runId: run?.runId || null });
+
+        return { dryRun: false, ...plan, failedChunks, newRunId: run?.runId || null };
+    }
+
+
+    _requireLedger() {
+        if (!this.mongoAvailable()) {
+            throw new Error("MongoDB not connected; chunk ledger unavailable");
+        }
+    }
+
+
+    async listLedgerPages({ search = "", limit = 50, skip = 0, includeDeleted = false } = {}) {
+        this._requireLedger();
+        const filter = includeDeleted ? {} : { deleted: { $ne: true } };
+        const term = String(search || "").trim();
+        if (term) {
+            const pattern = { $regex: escapeRegex(term), $options: "i" };
+            filter.$or = [{ url: pattern }, { title: pattern }];
+        }
+        const cappedLimit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+        const [total, pages] = await Promise.all([
+            this.pagesColl.countDocuments(filter),
+            this.pagesColl
+                .find(filter, { projection: { _id: 0, structuredText: 0 } })
+                .sort({ url: 1 })
+                .skip(Math.max(Number(skip) || 0, 0))
+                .limit(cappedLimit)
+                .toArray(),
+        ]);
+        return { total, pages };
+    }
+
+
+    // A page's ledger doc (with structuredText) and its chunks in index order.
+    async getLedgerPage(url) {
+        this._requireLedger();
+        const page = await this.pagesColl.findOne({ url }, { projection: { _id: 0 } });
+        if (!page) return null;
+        const chunks = await this.chunksColl
+            .find({ url }, { projection: { _id: 0 } })
+            .sort({ index: 1 })
+            .toArray();
+        return { page, chunks };
+    }
+
+
+    async searchChunks(query, { url = null, limit = 20 } = {}) {
+        this._requireLedger();
+        const term = String(query || "").trim();
+        if (!term) return [];
+        const filter = { text: { $regex: escapeRegex(term), $options: "i" } };
+        if (url) filter.url = url;
+        const docs = await this.chunksColl
+            .find(filter, { projection: { chunkId: 1, url: 1, index: 1, text: 1, metadata: 1 } })
+            .limit(Math.min(Math.max(Number(limit) || 20, 1), 100))
+            .toArray();
+        const needle = term.toLowerCase();
+        return docs.map((doc) => {
+            const at = Math.max(0, doc.text.toLowerCase().indexOf(needle));
+            const start = Math.max(0, at - 80);
+            return {
+                chunkId: doc.chunkId,
+                url: doc.url,
+                index: doc.index,
+                title: doc.metadata?.title || null,
+                section: doc.metadata?.section || null,
+                snippet: `${start > 0 ? "…" : ""}${doc.text.slice(start, at + term.length + 160)}`,
+            };
+        });
+    }
+
+
+    /**
+     * Re-embeds stored chunks from their Mongo text (one chunk, or every chunk
+     * of a page) and upserts them under the same IDs. No scrape needed.
+     */
+    async reembedChunks({ url = null, chunkId = null } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        this._requireLedger();
+        if (!url && !chunkId) {
+            throw new Error("url or chunkId is required");
+        }
+        const filter = chunkId ? { chunkId } : { url };
+        const docs = await this.chunksColl.find(filter).sort({ index: 1 }).toArray();
+        const result = { url: url || docs[0]?.url || null, matched: docs.length, reembedded: 0, failed: [] };
+        if (!docs.length) return result;
+
+        const batchSize = this.embedRetryConfig.batchSize;
+        const reembeddedAt = nowIso();
+        for (let i = 0; i < docs.length; i += batchSize) {
+            const batch = docs.slice(i, i + batchSize).filter((doc) => doc.text);
+            if (!batch.length) continue;
+            try {
+                await this._embedAndUpsertBatch(
+                    batch.map((doc) => ({
+                        chunkId: doc.chunkId,
+                        text: doc.text,
+                        metadata: doc.metadata || doc.metadataSnapshot || {},
+                    }))
+                );
+                await this.chunksColl.updateMany(
+                    { chunkId: { $in: batch.map((doc) => doc.chunkId) } },
+                    {
+                        $set: {
+                            storedAt: reembeddedAt,
+                            reembeddedAt,
+                            embeddingModel: this.embeddingModelKey,
+                            embeddingDimension: this.embeddings.dimension,
+                        },
+                    }
+                );
+                result.reembedded += batch.length;
+            } catch (error) {
+                const message = error?.message || String(error);
+                console.warn(`[mongo-ledger] Re-embed failed for ${batch.length} chunks: ${message}`);
+                result.failed.push(...batch.map((doc) => ({ chunkId: doc.chunkId, error: message })));
+            }
+        }
+        if (url && result.reembedded) {
+            await this.pagesColl.updateOne({ url }, { $set: { lastEmbeddedAt: reembeddedAt } });
+        }
+        console.log(
+            `[mongo-ledger] Re-embedded ${result.reembedded}/${docs.length} chunks for ${chunkId || url}.`
+        );
+        return result;
+    }
+
+
+    /**
+     * Notes that the ledger changed while a migration is unfinished. Its
+     * target space may then hold copies of chunks that are gone, so the next
+     * migration run starts over instead of resuming.
+     */
+    async _markMigrationStale(reason) {
+        if (!this.mongoAvailable() || !this.spacesColl) return;
+        try {
+            await this.spacesColl.updateOne(
+                { _id: MIGRATION_ID, status: { $ne: "switched" } },
+                { $set: { ledgerChangedAt: nowIso(), ledgerChange: reason } }
+            );
+        } catch (error) {
+            console.warn("[embeddings] Could not flag the pending migration:", error?.message || error);
+        }
+    }
+
+
+    async getEmbeddingStatus() {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        const status = {
+            active: this.activeSpace,
+            configured: this.configuredSpace,
+            modelChanged: this.activeSpace.modelKey !== this.configuredSpace.modelKey,
+            migration: null,
+            chunks: null,
+        };
+        if (!this.mongoAvailable() || !this.spacesColl) return status;
+
+        const migration = await this.spacesColl.findOne({ _id: MIGRATION_ID });
+        if (migration) {
+            const { _id, ...rest } = migration;
+            status.migration = rest;
+        }
+        const [total, onActive, unrecorded] = await Promise.all([
+            this.chunksColl.countDocuments({}),
+            this.chunksColl.countDocuments({ embeddingModel: this.embeddingModelKey }),
+            this.chunksColl.countDocuments({ embeddingModel: { $exists: false } }),
+        ]);
+        status.chunks = {
+            total,
+            activeModel: onActive,
+            unrecorded,
+            otherModel: total - onActive - unrecorded,
+        };
+        return status;
+    }
+
+
+    /**
+     * Blue/green move to the configured embedding model: every stored chunk is
+     * re-embedded from its Mongo text into a new space while queries keep
+     * using the old one, then the active-space record is switched in a single
+     * write and the old vectors are dropped. Chunks already copied carry
+     * `pendingEmbeddingModel`, so a cancelled or failed run resumes.
+     */
+    async migrateEmbeddingSpace({ signal = null, onProgress = null } = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        this._requireLedger();
+        if (!this.spacesColl) {
+            throw new Error("MongoDB not connected; embedding spaces unavailable");
+        }
+        const report = (progress) => {
+            try {
+                onProgress?.(progress);
+            } catch (_) {}
+        };
+
+        const from = this.activeSpace;
+        const to = this.configuredSpace;
+        if (from.modelKey === to.modelKey) {
+            return {
+                success: true,
+                migration: { skipped: true, reason: `${to.modelKey} is already the active model` },
+            };
+        }
+
+        report({ phase: "preparing" });
+        const previous = await this.spacesColl.findOne({ _id: MIGRATION_ID });
+        const resuming =
+            previous?.status !== "switched" &&
+            !previous?.ledgerChangedAt &&
+            previous?.from?.modelKey === from.modelKey &&
+            previous?.to?.modelKey === to.modelKey;
+        if (
+            previous?.status !== "switched" &&
+            previous?.ledgerChangedAt &&
+            previous?.to?.modelKey === to.modelKey
+        ) {
+            console.log(
+                `[embeddings] The ledger changed (${previous.ledgerChange || "unknown"}, ${previous.ledgerChangedAt}) since the last migration attempt; starting over.`
+            );
+        }
+        const target = resuming
+            ? previous.to.target
+            : planSpaceTarget(
+                  this.vectorStoreConfig,
+                  from,
+                  to,
+                  tenantSpaceTarget(this.vectorStoreConfig, this.tenant)
+              );
+        const toSpace = { ...to, target };
+        const startedAt = resuming ? previous.startedAt : nowIso();
+        if (!resuming) {
+            await this.chunksColl.updateMany(
+                { pendingEmbeddingModel: to.modelKey },
+                { $unset: { pendingEmbeddingModel: "" } }
+            );
+        }
+        const setMigration = (fields) =>
+            this.spacesColl.updateOne(
+                { _id: MIGRATION_ID },
+                { $set: { ...fields, updatedAt: nowIso() } },
+                { upsert: true }
+            );
+        await setMigration({
+            from,
+            to: toSpace,
+            status: "running",
+            startedAt,
+            error: null,
+            ledgerChangedAt: null,
+            ledgerChange: null,
+        });
+        console.log(
+            `[embeddings] ${resuming ? "Resuming" : "Starting"} migration ${from.modelKey} -> ${to.modelKey} into ${JSON.stringify(target)}.`
+        );
+
+        const withText = { text: { $exists: true, $ne: "" } };
+        const pendingFilter = { ...withText, pendingEmbeddingModel: { $ne: to.modelKey } };
+        const [chunksTotal, pendingAtStart] = await Promise.all([
+            this.chunksColl.countDocuments(withText),
+            this.chunksColl.countDocuments(pendingFilter),
+        ]);
+        let chunksMigrated = chunksTotal - pendingAtStart;
+
+        let embeddings;
+        let vectorStore;
+        try {
+            embeddings = createEmbeddingProvider(embeddingConfigOf(to, this.providerConfig.embeddings));
+            vectorStore = createVectorStore(this.vectorStoreConfig, {
+                dimension: embeddings.dimension,
+                target,
+            });
+            await vectorStore.init();
+            if (!resuming) {
+                // The target is named after the model, so an earlier attempt may have left vectors in it
+                const stats = await vectorStore.describeIndexStats();
+                if (stats?.totalRecordCount) {
+                    await vectorStore.deleteAll();
+                }
+            }
+
+            const batchSize = this.embedRetryConfig.batchSize;
+            for (;;) {
+                if (signal?.aborted) {
+                    await setMigration({ status: "cancelled", chunksMigrated });
+                    return { success: false, cancelled: true, chunksEmbedded: chunksMigrated };
+                }
+                const batch = await this.chunksColl
+                    .find(pendingFilter, {
+                        projection: { chunkId: 1, text: 1, metadata: 1, metadataSnapshot: 1 },
+                    })
+                    .limit(batchSize)
+                    .toArray();
+                if (!batch.length) break;
+
+                await this._embedAndUpsertBatch(
+                    batch.map((doc) => ({
+                        chunkId: doc.chunkId,
+                        text: doc.text,
+                        metadata: doc.metadata || doc.metadataSnapshot || {},
+                    })),
+                    { signal, embeddings, vectorStore }
+                );
+                await this.chunksColl.updateMany(
+                    { chunkId: { $in: batch.map((doc) => doc.chunkId) } },
+                    { $set: { pendingEmbeddingModel: to.modelKey } }
+                );
+                chunksMigrated += batch.length;
+                report({ phase: "embedding", chunksDone: chunksMigrated, chunksTotal, committed: true });
+                await setMigration({ chunksTotal, chunksMigrated });
+            }
+        } catch (error) {
+            const message = error?.message || String(error);
+            console.error(`[embeddings] Migration to ${to.modelKey} failed: ${message}`);
+            await setMigration({ status: "failed", error: message, chunksMigrated });
+            return { success: false, error: message, chunksEmbedded: chunksMigrated };
+        }
+
+        // Switch: one write flips the active space for every process that reads it
+        report({ phase: "switching" });
+        const activatedAt = nowIso();
+        const previousStore = this.vectorStore;
+        await this.spacesColl.updateOne(
+            { _id: ACTIVE_SPACE_ID },
+            {
+                $set: {
+                    ...toSpace,
+                    activatedAt,
+                    previous: { modelKey: from.modelKey, target: from.target || {} },
+                },
+            },
+            { upsert: true }
+        );
+        this._activateSpace({ ...toSpace, activatedAt }, { embeddings, vectorStore });
+
+        await this.chunksColl.updateMany(
+            { pendingEmbeddingModel: to.modelKey },
+            {
+                $set: { embeddingModel: to.modelKey, embeddingDimension: embeddings.dimension },
+                $unset: { pendingEmbeddingModel: "" },
+            }
+        );
+        await this.pagesColl.updateMany(
+            { deleted: { $ne: true } },
+            { $set: { embeddingModel: to.modelKey } }
+        );
+        // Chunks with no stored text could not be copied; the next ingestion redoes their pages
+        const textless = await this.chunksColl
+            .find({ $or: [{ text: { $exists: false } }, { text: "" }] }, { projection: { url: 1 } })
+            .toArray();
+        const textlessUrls = [...new Set(textless.map((doc) => doc.url))];
+        if (textlessUrls.length) {
+            await this.pagesColl.updateMany(
+                { url: { $in: textlessUrls } },
+                { $set: { contentHash: null } }
+            );
+        }
+
+        let droppedOld = false;
+        if (this.spaceConfig.dropOld) {
+            report({ phase: "dropping" });
+            try {
+                const keepIndex = (from.target?.indexName || null) === (target.indexName || null);
+                await previousStore.drop({ keepIndex });
+                droppedOld = true;
+            } catch (error) {
+                console.warn(
+                    `[embeddings] Could not drop the old ${from.modelKey} vectors:`,
+                    error?.message || error
+                );
+            }
+        }
+
+        const migration = {
+            from: from.modelKey,
+            to: to.modelKey,
+            target,
+            chunksTotal,
+            chunksMigrated,
+            pagesToReembed: textlessUrls.length,
+            droppedOld,
+            startedAt,
+            switchedAt: activatedAt,
+        };
+        await setMigration({ status: "switched", ...migration, error: null });
+        console.log(
+            `[embeddings] Switched to ${to.modelKey} (${chunksMigrated}/${chunksTotal} chunks, old vectors ${droppedOld ? "dropped" : "kept"}).`
+        );
+        return { success: true, migration };
+    }
+
+
     findRelevantLinks(question, documents) {
         const questionLower = question.toLowerCase();
         const relevantLinks = [];
@@ -688,42 +1940,135 @@ class NITJSRRAGSystem {
     }
 
 
-    async queryDocuments(question, topK = 8, precomputedEmbedding = null) {
+    async ensureLexicalIndex() {
+        if (!this._lexicalIndexStale) return this.lexicalIndex;
+        if (!this.mongoAvailable()) return this.lexicalIndex;
+
+        try {
+            const cursor = this.chunksColl.find(
+                { text: { $exists: true, $ne: "" } },
+                { projection: { chunkId: 1, url: 1, text: 1, metadataSnapshot: 1 } }
+            );
+            this.lexicalIndex.clear();
+            for await (const doc of cursor) {
+                this.lexicalIndex.addDocument(doc.chunkId, doc.text, {
+                    ...(doc.metadataSnapshot || {}),
+                    url: doc.url,
+                });
+            }
+            this._lexicalIndexStale = false;
+            console.log(`[lexical] BM25 index built with ${this.lexicalIndex.size} chunks`);
+        } catch (error) {
+            console.warn("[lexical] failed to build BM25 index:", error?.message || error);
+        }
+        return this.lexicalIndex;
+    }
+
+
+    async _vectorSearch(questionEmbedding, topK, filters = null) {
+        const filter = buildPineconeFilter(filters);
+        const searchResults = await this.vectorStore.query({
+            vector: questionEmbedding,
+            topK: topK,
+            includeMetadata: true,
+            includeValues: false,
+            ...(filter ? { filter } : {}),
+        });
+
+        return (
+            searchResults.matches?.map((match) => ({
+                id: match.id,
+                text: match.metadata?.text,
+                score: match.score,
+                metadata: match.metadata || {},
+            })) || []
+        );
+    }
+
+
+    async _lexicalSearch(question, topK, filters = null) {
+        const index = await this.ensureLexicalIndex();
+        // Same filter expression as the vector side so both retrievers agree
+        const filter = buildPineconeFilter(filters);
+        return index.search(question, {
+            topK,
+            filter: filter ? (metadata) => matchesMetadataFilter(metadata, filter) : null,
+        });
+    }
+
+
+    async queryDocuments(question, topK = 8, precomputedEmbedding = null, options = {}) {
         console.log(`🔍 Searching for: "${question}"`);
 
         if (!this.isInitialized) {
             await this.initialize();
         }
 
+        const mode = normalizeRetrievalMode(options?.mode, this.retrievalConfig.mode);
+        const filters = options?.filters || null;
+
         try {
-            const questionEmbedding =
-                precomputedEmbedding ||
-                (await this.embeddingCache.getQueryEmbedding(
-                    question,
-                    async (q) => await this.embeddings.embedQuery(q)
-                ));
-            try {
-                const ecStats = this.embeddingCache.getStats();
-                console.log(
-                    `[EmbeddingCache] stats hits=${ecStats.hits} misses=${ecStats.misses} backend=${ecStats.backend}`
-                );
-            } catch (_) {}
+            let vectorResults = [];
+            if (mode !== "lexical") {
+                const questionEmbedding =
+                    precomputedEmbedding ||
+                    (await this.embeddingCache.getQueryEmbedding(
+                        question,
+                        async (q) => await this.embeddings.embedQuery(q)
+                    ));
+                try {
+                    const ecStats = this.embeddingCache.getStats();
+                    console.log(
+                        `[EmbeddingCache] stats hits=${ecStats.hits} misses=${ecStats.misses} backend=${ecStats.backend}`
+                    );
+                } catch (_) {}
 
-            const searchResults = await this.index.query({
-                vector: questionEmbedding,
-                topK: topK,
-                includeMetadata: true,
-                includeValues: false,
-            });
+                const vectorTopK =
+                    mode === "hybrid" ? Math.max(topK, this.retrievalConfig.candidatePool) : topK;
+                vectorResults = await this._vectorSearch(questionEmbedding, vectorTopK, filters);
+            }
+
+            if (mode === "vector") {
+                const relevantDocuments = vectorResults.map((doc, index) => ({
+                    ...doc,
+                    ranks: { vector: index + 1 },
+                    retrievalMode: mode,
+                }));
+                console.log(`Found ${relevantDocuments.length} relevant documents`);
+                return relevantDocuments;
+            }
 
-            const relevantDocuments =
-                searchResults.matches?.map((match) => ({
-                    text: match.metadata.text,
-                    score: match.score,
-                    metadata: match.metadata,
-                })) || [];
+            const lexicalTopK =
+                mode === "hybrid" ? Math.max(topK, this.retrievalConfig.candidatePool) : topK;
+            const lexicalResults = await this._lexicalSearch(question, lexicalTopK, filters);
+
+            // BM25 scores are unbounded; scale them against the best lexical hit so
+            // lexical-only documents still carry a 0..1 score for confidence/filtering.
+            const topLexicalScore = lexicalResults[0]?.score || 1;
+            const fused = fuseRankings(
+                [
+                    { name: "vector", weight: this.retrievalConfig.vectorWeight, results: vectorResults },
+                    { name: "lexical", weight: this.retrievalConfig.lexicalWeight, results: lexicalResults },
+                ],
+                { k: this.retrievalConfig.rrfK, topK }
+            );
+
+            const relevantDocuments = fused.map((doc) => ({
+                id: doc.id,
+                text: doc.text,
+                score:
+                    typeof doc.scores.vector === "number"
+                        ? doc.scores.vector
+                        : (doc.scores.lexical || 0) / topLexicalScore,
+                fusedScore: doc.fusedScore,
+                ranks: doc.ranks,
+                metadata: doc.metadata,
+                retrievalMode: mode,
+            }));
 
-            console.log(`Found ${relevantDocuments.length} relevant documents`);
+            console.log(
+                `Found ${relevantDocuments.length} relevant documents (mode=${mode}, vector=${vectorResults.length}, lexical=${lexicalResults.length})`
+            );
             return relevantDocuments;
         } catch (error) {
             console.error("Error querying documents:", error.message);
@@ -733,6 +2078,159 @@ class NITJSRRAGSystem {
 
 
 
+    async rewriteQuery(question, history = [], { signal = null } = {}) {
+        if (!this.queryRewriteConfig.enabled || !Array.isArray(history) || history.length === 0) {
+            return { query: question, rewritten: false, durationMs: 0 };
+        }
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        const result = await abortable(
+            condenseQuestion(this.chatModel, question, history, {
+                maxTurns: this.queryRewriteConfig.maxTurns,
+            }),
+            signal
+        );
+        if (result.rewritten) {
+            console.log(`[query-rewrite] "${question}" -> "${result.query}" (${result.durationMs} ms)`);
+        }
+        return result;
+    }
+
+
+    getReranker(name) {
+        const normalized = normalizeRerankerName(name, this.rerankConfig.provider);
+        if (normalized === "none") return null;
+        if (!this._rerankers.has(normalized)) {
+            this._rerankers.set(
+                normalized,
+                createReranker(normalized, {
+                    chatModel: this.chatModel,
+                    model: this.rerankConfig.model,
+                })
+            );
+        }
+        return this._rerankers.get(normalized);
+    }
+
+
+    async _rerankDocuments(reranker, question, documents, topN) {
+        const startedAt = Date.now();
+        const info = {
+            reranker: reranker.name,
+            candidates: documents.length,
+            kept: 0,
+            scores: [],
+            durationMs: 0,
+        };
+
+        try {
+            const results = await reranker.rerank(
+                question,
+                documents.map((doc) => doc.text || ""),
+                topN
+            );
+            const reranked = results
+                .filter((r) => documents[r.index])
+                .map((r) => ({
+                    ...documents[r.index],
+                    rerankScore: r.score,
+                    originalRank: r.index + 1,
+                }));
+            info.kept = reranked.length;
+            info.scores = reranked.map((doc) => ({
+                id: doc.id,
+                url: doc.metadata?.url,
+                title: doc.metadata?.title,
+                rerankScore: doc.rerankScore,
+                originalRank: doc.originalRank,
+            }));
+            info.durationMs = Date.now() - startedAt;
+            console.log(
+                `[rerank] ${reranker.name} kept ${info.kept}/${info.candidates} candidates in ${info.durationMs} ms`
+            );
+            return { documents: reranked, info };
+        } catch (error) {
+            console.warn(`[rerank] ${reranker.name} failed, using retrieval order:`, error?.message || error);
+            const fallback = documents.slice(0, topN);
+            info.kept = fallback.length;
+            info.error = String(error?.message || error);
+            info.durationMs = Date.now() - startedAt;
+            return { documents: fallback, info };
+        }
+    }
+
+
+    /**
+     * Replaces each matched child's text with its parent section (and, when
+     * enabled, the chunks at index ± 1) as `contextText`. Children that share
+     * a parent collapse into the best-ranked one so the prompt has no repeats.
+     */
+    async _expandContext(documents) {
+        const config = this.contextConfig;
+        if ((!config.parentChild && !config.neighbors) || !documents.length || !this.mongoAvailable()) {
+            return documents;
+        }
+
+        try {
+            const projection = { chunkId: 1, url: 1, index: 1, text: 1, parentId: 1, parentText: 1 };
+            const storedDocs = await this.chunksColl
+                .find({ chunkId: { $in: documents.map((doc) => doc.id).filter(Boolean) } }, { projection })
+                .toArray();
+            const storedById = new Map(storedDocs.map((doc) => [doc.chunkId, doc]));
+
+            const neighbors = new Map();
+            if (config.neighbors) {
+                const indexesByUrl = new Map();
+                for (const doc of storedDocs) {
+                    if (!Number.isInteger(doc.index)) continue;
+                    if (!indexesByUrl.has(doc.url)) indexesByUrl.set(doc.url, new Set());
+                    indexesByUrl.get(doc.url).add(doc.index - 1).add(doc.index + 1);
+                }
+                for (const [url, indexes] of indexesByUrl) {
+                    const found = await this.chunksColl
+                        .find({ url, index: { $in: [...indexes] } }, { projection })
+                        .toArray();
+                    found.forEach((doc) => neighbors.set(`${doc.url}#${doc.index}`, doc));
+                }
+            }
+
+            const seenParents = new Set();
+            const expanded = [];
+            for (const doc of documents) {
+                const stored = storedById.get(doc.id);
+                if (!stored) {
+                    expanded.push(doc);
+                    continue;
+                }
+                const parentKey = config.parentChild && stored.parentId ? stored.parentId : stored.chunkId;
+                if (seenParents.has(parentKey)) continue;
+                seenParents.add(parentKey);
+                expanded.push({
+                    ...doc,
+                    parentId: stored.parentId || null,
+                    contextText: buildContextText(
+                        stored,
+                        {
+                            previous: neighbors.get(`${stored.url}#${stored.index - 1}`) || null,
+                            next: neighbors.get(`${stored.url}#${stored.index + 1}`) || null,
+                        },
+                        config
+                    ),
+                });
+            }
+            console.log(
+                `[context] expanded ${documents.length} matches into ${expanded.length} context blocks`
+            );
+            return expanded;
+        } catch (error) {
+            console.warn("[context] expansion failed, using matched chunks:", error?.message || error);
+            return documents;
+        }
+    }
+
+
+
     _filterAndDeduplicateSources(sources, minScore = 0.40) {
         if (!Array.isArray(sources) || sources.length === 0) {
             return [];
@@ -774,14 +2272,23 @@ class NITJSRRAGSystem {
         precomputedEmbedding = null,
         onChunk = null,
         history = [],
-        language = "english"
+        language = "english",
+        options = {}
     ) {
+        // Aborting `options.signal` (client cancelled or disconnected) stops between
+        // stages and ends the model stream; the turn then rejects with an AbortError.
+        const signal = options?.signal || null;
         try {
+            // Standalone form of a follow-up (see rewriteQuery); the prompt still gets the raw question + history.
+            const searchQuery = options?.retrievalQuery || question;
             const questionEmbedding =
                 precomputedEmbedding ||
-                (await this.embeddingCache.getQueryEmbedding(
-                    question,
-                    async (q) => await this.embeddings.embedQuery(q)
+                (await abortable(
+                    this.embeddingCache.getQueryEmbedding(
+                        searchQuery,
+                        async (q) => await this.embeddings.embedQuery(q, { signal })
+                    ),
+                    signal
                 ));
 
             try {
@@ -791,13 +2298,58 @@ class NITJSRRAGSystem {
                 );
             } catch (_) {}
 
-            const relevantDocs = await this.queryDocuments(question, 8, questionEmbedding);
+            const retrievalMode = normalizeRetrievalMode(
+                options?.retrievalMode,
+                this.retrievalConfig.mode
+            );
+            const reranker = this.getReranker(options?.reranker);
+            const topN = this.rerankConfig.topN;
+            const candidateK = reranker ? Math.max(this.rerankConfig.candidates, topN) : 8;
+
+            let filters = options?.filters || null;
+            let filterSource = filters ? "request" : null;
+            if (!filters && options?.inferFilters !== false && this.queryFilterConfig.autoInfer) {
+                filters = inferQueryFilters(searchQuery, {
+                    recentDays: this.queryFilterConfig.recentDays,
+                });
+                if (filters) filterSource = "inferred";
+            }
+
+            let relevantDocs = await this.queryDocuments(searchQuery, candidateK, questionEmbedding, {
+                mode: retrievalMode,
+                filters,
+            });
+
+            // Inferred filters are a guess; never let them turn an answerable question into "no data".
+            if (relevantDocs.length === 0 && filterSource === "inferred") {
+                console.log("[filters] inferred filters matched nothing; retrying unfiltered");
+                filters = null;
+                filterSource = null;
+                relevantDocs = await this.queryDocuments(searchQuery, candidateK, questionEmbedding, {
+                    mode: retrievalMode,
+                });
+            }
+            const appliedFilters = { applied: filters, source: filterSource };
+
+            signal?.throwIfAborted();
+            let rerankInfo = null;
+            if (reranker && relevantDocs.length > 0) {
+                const reranked = await abortable(
+                    this._rerankDocuments(reranker, searchQuery, relevantDocs, topN),
+                    signal
+                );
+                relevantDocs = reranked.documents;
+                rerankInfo = reranked.info;
+            }
+
+            relevantDocs = await this._expandContext(relevantDocs);
+            signal?.throwIfAborted();
 
             if (relevantDocs.length === 0) {
                 const fallback =
                     language === "hindi"
                         ? "मेरे पास उस विषय के बारे में विशिष्ट जानकारी नहीं है। क्या आप कृपया अपना प्रश्न दोबारा बता सकते हैं या प्लेसमेंट, शिक्षाविदों, संकाय, विभागों या अन्य कॉलेज से संबंधित विषयों के बारे में पूछ सकते हैं?"
-                        : "I don't have specific information about that topic in the NIT Jamshedpur data. Could you please rephrase your question or ask about placements, academics, faculty, departments, or other college-related topics?";
+                        : `I don't have specific information about that topic in the ${this.tenant.name} data. Could you please rephrase your question or ask about placements, academics, faculty, departments, or other college-related topics?`;
 
                 if (typeof onChunk === "function") {
                     try {
@@ -811,18 +2363,26 @@ class NITJSRRAGSystem {
                     relevantLinks: [],
                     confidence: 0,
                     language,
+                    retrievalMode,
+                    rerank: rerankInfo,
+                    filters: appliedFilters,
                 };
             }
 
             // Gather links and build context
-            const relevantLinks = this.findRelevantLinks(question, relevantDocs);
+            const relevantLinks = this.findRelevantLinks(searchQuery, relevantDocs);
             const context = relevantDocs.map((doc, index) => {
+                const section = doc.metadata.section ? ` — ${doc.metadata.section}` : "";
                 const sourceInfo =
                     doc.metadata.sourceType === "pdf_document"
-                        ? `[PDF Document ${index + 1}: ${doc.metadata.title} (${doc.metadata.pages} pages)]`
-                        : `[Page ${index + 1}: ${doc.metadata.title}]`;
-
-                return `${sourceInfo} ${doc.text}`;
+                        ? `[PDF Document ${index + 1}: ${doc.metadata.title}${
+                              doc.metadata.pageNumber
+                                  ? `, p. ${doc.metadata.pageNumber} of ${doc.metadata.pages}`
+                                  : ` (${doc.metadata.pages} pages)`
+                          }]`
+                        : `[Page ${index + 1}: ${doc.metadata.title}${section}]`;
+
+                return `${sourceInfo} ${doc.contextText || doc.text}`;
               }).join("\n\n");
 
 
@@ -847,7 +2407,7 @@ class NITJSRRAGSystem {
             const historySection = formatConversationHistory(history);
 
             const prompt = `
-            You are an AI assistant specializing in NIT Jamshedpur information. Your role is to provide accurate, helpful, and contextually aware responses based on the provided data and conversation history.
+            ${this.tenant.persona}
             ${languageInstruction}
             
             ${historySection ? historySection : ""}
@@ -857,6 +2417,7 @@ class NITJSRRAGSystem {
             ${linksContext}
             
             Current Question: ${question}
+            ${searchQuery !== question ? `(Interpreted as: ${searchQuery})` : ""}
             ${languageInstruction}
             
             Instructions:
@@ -873,7 +2434,7 @@ class NITJSRRAGSystem {
             - If context lacks information, clearly state that.
             - Be concise, professional, and structured.
             - When relevant links are available, mention them naturally.
-            - For PDFs, say: "Refer to [Document Name] (PDF): [URL]"
+            - For PDFs, say: "Refer to [Document Name] (PDF): [URL]", adding the page when the context gives one, e.g. "(PDF p. 4)"
             - For web pages, say: "See [Page Title]: [URL]"
             
             Formatting:
@@ -895,11 +2456,13 @@ class NITJSRRAGSystem {
               `[Chat] Processing ${history.length} messages | Language: ${language}`
             );
 
-            const streamResult = await this.chatModel.generateContentStream(prompt);
+            const streamResult = await this.chatModel.generateContentStream(prompt, { signal });
             let fullText = "";
 
             if (streamResult?.stream) {
                 for await (const chunk of streamResult.stream) {
+                    // Providers honour the signal too; this also stops ones that buffer ahead.
+                    signal?.throwIfAborted();
                     const part =
                         typeof chunk?.text === "function" ? chunk.text() : chunk?.text;
                     if (part) {
@@ -927,7 +2490,12 @@ class NITJSRRAGSystem {
                 title: doc.metadata.title,
                 score: doc.score,
                 pages: doc.metadata.pages,
+                pageNumber: doc.metadata.pageNumber ?? null,
+                section: doc.metadata.section ?? null,
                 category: doc.metadata.category,
+                ranks: doc.ranks || {},
+                fusedScore: doc.fusedScore,
+                rerankScore: doc.rerankScore,
             }));
 
             relevantLinks.forEach((link) => {enhancedSources.push({
@@ -951,10 +2519,17 @@ class NITJSRRAGSystem {
                 relevantLinks,
                 confidence: relevantDocs.length > 0 ? relevantDocs[0].score : 0,
                 language,
+                retrievalMode,
+                rerank: rerankInfo,
+                filters: appliedFilters,
             };
         }
         catch (error) {
-            console.error("Chat stream error:", error.message);
+            if (signal?.aborted) {
+                console.log("[Chat] generation cancelled");
+            } else {
+                console.error("Chat stream error:", error.message);
+            }
             throw error;
         }
     }
@@ -962,7 +2537,7 @@ class NITJSRRAGSystem {
 
     async getIndexStats() {
         try {
-            const stats = await this.index.describeIndexStats({});
+            const stats = await this.vectorStore.describeIndexStats();
 
             const totalFromNamespaces = Object.values(stats?.namespaces ?? {}).reduce(
                 (sum, ns) => sum + (ns?.vectorCount ?? 0),
@@ -975,8 +2550,9 @@ class NITJSRRAGSystem {
                     : totalFromNamespaces;
 
             return {
+                backend: this.vectorStoreConfig.backend,
                 totalVectors,
-                dimension: stats?.dimension ?? 1024,
+                dimension: stats?.dimension ?? this.providerConfig.embeddings.dimension,
                 indexFullness: stats?.indexFullness ?? 0,
                 linkDatabaseSize: this.linkDatabase?.size ?? 0,
             };
@@ -988,10 +2564,13 @@ class NITJSRRAGSystem {
 
 
   async clearIndex() {
-        console.log("Clearing Pinecone index and link database...");
+        console.log("Clearing vector index and link database...");
         try {
-            await this.index.deleteAll();
+            await this.vectorStore.deleteAll();
+            await this._markMigrationStale("index reset");
             this.linkDatabase.clear();
+            this.lexicalIndex.clear();
+            this._lexicalIndexStale = true;
             console.log("Index and link database cleared successfully");
         } catch (error) {
             console.error("Error clearing index:", error.message);
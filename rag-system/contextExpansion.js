@@ -0,0 +1,36 @@
+// Small-to-big retrieval: children are matched, but the prompt sees the
+// parent section they were cut from, optionally with the chunks either side.
+
+function readFlag(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return !['false', '0', 'no', 'off'].includes(String(value).trim().toLowerCase());
+}
+
+export function readContextExpansionConfig(env = process.env) {
+    const maxChars = Number(env.CONTEXT_MAX_CHARS);
+    return {
+        parentChild: readFlag(env.PARENT_CHILD_RETRIEVAL, true),
+        neighbors: readFlag(env.CONTEXT_NEIGHBORS, false),
+        maxChars: Number.isFinite(maxChars) && maxChars >= 200 ? Math.floor(maxChars) : 4000,
+    };
+}
+
+function truncate(text, maxChars) {
+    return text.length > maxChars ? `${text.slice(0, maxChars)}…` : text;
+}
+
+/**
+ * Context text for one matched chunk doc from the Mongo ledger. `previous`
+ * and `next` are the chunk docs at `index ± 1` (or null); they are only
+ * stitched in when they fall outside the parent already being sent.
+ */
+export function buildContextText(stored, { previous = null, next = null } = {}, config) {
+    const inParent = (doc) =>
+        config.parentChild && stored.parentId && doc?.parentId === stored.parentId;
+    const parts = [config.parentChild && stored.parentText ? stored.parentText : stored.text];
+    if (config.neighbors) {
+        if (previous?.text && !inParent(previous)) parts.unshift(previous.text);
+        if (next?.text && !inParent(next)) parts.push(next.text);
+    }
+    return truncate(parts.filter(Boolean).join('\n\n'), config.maxChars);
+}
@@ -0,0 +1,119 @@
+// Retry and batch-size policy for the embedding/upsert loop in the ledger.
+
+export function readEmbedRetryConfig(env = process.env) {
+    const num = (value, fallback, min = 0) => {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+    };
+    const batchSize = Math.floor(num(env.EMBED_BATCH_SIZE, 100, 1));
+    return {
+        batchSize,
+        minBatchSize: Math.min(batchSize, Math.floor(num(env.EMBED_MIN_BATCH_SIZE, 5, 1))),
+        maxRetries: Math.floor(num(env.EMBED_MAX_RETRIES, 4)),
+        baseDelayMs: num(env.EMBED_RETRY_BASE_MS, 1000),
+        maxDelayMs: num(env.EMBED_RETRY_MAX_MS, 30000),
+    };
+}
+
+function errorStatus(error) {
+    const status =
+        error?.status ?? error?.statusCode ?? error?.response?.status ?? error?.cause?.status;
+    return Number.isFinite(Number(status)) ? Number(status) : null;
+}
+
+export function isRateLimitError(error) {
+    if (errorStatus(error) === 429) return true;
+    return /\b429\b|rate.?limit|too many requests|quota/i.test(String(error?.message || ''));
+}
+
+// Network failures, timeouts, 429s and 5xx are worth retrying; other 4xx are not.
+export function isRetryableError(error) {
+    if (isRateLimitError(error)) return true;
+    const status = errorStatus(error);
+    if (status === null) return true;
+    return status === 408 || status >= 500;
+}
+
+/**
+ * Milliseconds the provider asked us to wait (Retry-After seconds or HTTP
+ * date), or null when the error carries no hint.
+ */
+export function retryAfterMs(error, now = Date.now()) {
+    const headers = error?.headers || error?.response?.headers;
+    const raw =
+        error?.retryAfter ??
+        (typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+    if (raw === undefined || raw === null || raw === '') return null;
+    const seconds = Number(raw);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(raw);
+    return Number.isFinite(at) ? Math.max(0, at - now) : null;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve();
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener?.('abort', done);
+            resolve();
+        }
+        signal?.addEventListener?.('abort', done, { once: true });
+    });
+}
+
+/**
+ * Runs `fn` with exponential backoff (full jitter). 429s wait at least as
+ * long as the provider's Retry-After. `onRetry` sees every failed attempt.
+ */
+export async function withRetry(fn, { maxRetries, baseDelayMs, maxDelayMs, signal, onRetry } = {}) {
+    let attempt = 0;
+    for (;;) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryableError(error) || signal?.aborted) {
+                throw error;
+            }
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const jittered = Math.round(Math.random() * backoff);
+            const hinted = retryAfterMs(error);
+            const delayMs = hinted !== null ? Math.min(maxDelayMs, Math.max(hinted, jittered)) : jittered;
+            attempt += 1;
+            onRetry?.(error, { attempt, delayMs, rateLimited: isRateLimitError(error) });
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Batch size that halves after rate limits or failed batches and grows back
+ * by half after a few clean batches.
+ */
+export class AdaptiveBatchSize {
+    constructor({ initial, min, max = initial, growAfter = 3 }) {
+        this.size = initial;
+        this.min = min;
+        this.max = max;
+        this.growAfter = growAfter;
+        this._streak = 0;
+    }
+
+    // Halves the size, or half of `from` when the failing batch was already smaller.
+    shrink(from = this.size) {
+        this._streak = 0;
+        const next = Math.max(this.min, Math.floor(Math.min(this.size, from) / 2));
+        const changed = next !== this.size;
+        this.size = next;
+        return changed;
+    }
+
+    succeed() {
+        this._streak += 1;
+        if (this._streak >= this.growAfter && this.size < this.max) {
+            this._streak = 0;
+            this.size = Math.min(this.max, Math.ceil(this.size * 1.5));
+        }
+    }
+}
@@ -0,0 +1,89 @@
+import path from 'path';
+import { embeddingModelKey } from '../providers/index.js';
+
+// An embedding space is one embedding model plus the place its vectors live
+// (default index, a Pinecone namespace or index, or a local index file).
+// The active space is recorded in Mongo; changing the configured model starts
+// a blue/green migration into a new space instead of mixing vectors.
+
+export const ACTIVE_SPACE_ID = 'active';
+export const MIGRATION_ID = 'migration';
+
+export function readEmbeddingSpaceConfig(env = process.env) {
+    const dropOld = String(env.EMBED_MIGRATION_DROP_OLD ?? 'true').trim().toLowerCase();
+    return {
+        collection: (env.MONGO_EMBEDDING_SPACES_COLL || 'embedding_spaces').trim(),
+        dropOld: !['false', '0', 'no', 'off'].includes(dropOld),
+    };
+}
+
+export function describeSpace(embeddingConfig, target = {}) {
+    return {
+        modelKey: embeddingModelKey(embeddingConfig),
+        provider: embeddingConfig.provider,
+        model: embeddingConfig.model,
+        dimension: embeddingConfig.dimension,
+        target,
+    };
+}
+
+export function spaceSlug(modelKey) {
+    return String(modelKey)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+}
+
+function withSuffix(filePath, suffix) {
+    const parsed = path.parse(filePath);
+    return path.join(parsed.dir, `${parsed.name}.${suffix}${parsed.ext || '.json'}`);
+}
+
+// Where a tenant's first space lives: the default tenant keeps the default
+// index/file, others get a namespace or a sibling file of their own.
+export function tenantSpaceTarget(vectorStoreConfig, tenant) {
+    if (vectorStoreConfig.backend === 'local') {
+        return tenant?.dataDir ? { filePath: withSuffix(vectorStoreConfig.localPath, tenant.id) } : {};
+    }
+    return tenant?.namespace ? { namespace: tenant.namespace } : {};
+}
+
+/**
+ * Where the vectors of `toSpace` go, relative to the tenant's `base` target.
+ * Pinecone reuses the current index under a new namespace when the dimension
+ * matches, otherwise needs an index of its own (shared by tenants, so only an
+ * un-namespaced space owns it); the local backend writes a sibling index file.
+ */
+export function planSpaceTarget(vectorStoreConfig, fromSpace, toSpace, base = {}, env = process.env) {
+    const slug = spaceSlug(toSpace.modelKey);
+    if (vectorStoreConfig.backend === 'local') {
+        return { filePath: withSuffix(base.filePath || vectorStoreConfig.localPath, slug) };
+    }
+    const namespace = base.namespace ? `${base.namespace}-${slug}` : slug;
+    if (fromSpace && fromSpace.dimension === toSpace.dimension) {
+        const indexName = fromSpace.target?.indexName;
+        return { ...(indexName ? { indexName } : {}), namespace };
+    }
+    const baseName = (env.PINECONE_INDEX_NAME || 'index').trim();
+    const indexName = `${baseName}-${slug}`.slice(0, 45).replace(/-+$/, '');
+    return base.namespace
+        ? { indexName, namespace: base.namespace }
+        : { indexName, ownsIndex: true };
+}
+
+// Provider config for a recorded space (which may not be the configured one).
+export function embeddingConfigOf(space, providerConfig, env = process.env) {
+    const sameProvider = space.provider === providerConfig.provider;
+    return {
+        ...providerConfig,
+        provider: space.provider,
+        model: space.model,
+        dimension: space.dimension,
+        apiKey: sameProvider
+            ? providerConfig.apiKey
+            : space.provider === 'cohere'
+                ? env.COHERE_API_KEY
+                : undefined,
+    };
+}
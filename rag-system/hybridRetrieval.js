@@ -0,0 +1,61 @@
+export const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+
+function readNumber(value, fallback) {
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? num : fallback;
+}
+
+export function normalizeRetrievalMode(mode, fallback = 'vector') {
+    const normalized = typeof mode === 'string' ? mode.trim().toLowerCase() : '';
+    return RETRIEVAL_MODES.includes(normalized) ? normalized : fallback;
+}
+
+// Vector-only unless RETRIEVAL_MODE opts in: the BM25 side only covers chunks
+// whose text is stored in Mongo (see README "Hybrid retrieval").
+export function readRetrievalConfig(env = process.env) {
+    return {
+        mode: normalizeRetrievalMode(env.RETRIEVAL_MODE, 'vector'),
+        vectorWeight: readNumber(env.HYBRID_VECTOR_WEIGHT, 1),
+        lexicalWeight: readNumber(env.HYBRID_LEXICAL_WEIGHT, 1),
+        rrfK: readNumber(env.HYBRID_RRF_K, 60),
+        candidatePool: Math.max(1, Math.floor(readNumber(env.HYBRID_CANDIDATES, 30))),
+    };
+}
+
+/**
+ * Weighted reciprocal rank fusion.
+ * Each ranking is `{ name, weight, results: [{ id, score, text, metadata }] }` in rank order.
+ * Returns fused documents carrying their per-retriever ranks and raw scores.
+ */
+export function fuseRankings(rankings = [], { k = 60, topK = 8 } = {}) {
+    const fused = new Map();
+
+    for (const { name, weight = 1, results = [] } of rankings) {
+        if (!weight || !Array.isArray(results)) continue;
+        results.forEach((result, position) => {
+            if (!result?.id) return;
+            const rank = position + 1;
+            let entry = fused.get(result.id);
+            if (!entry) {
+                entry = {
+                    id: result.id,
+                    text: result.text,
+                    metadata: result.metadata || {},
+                    fusedScore: 0,
+                    ranks: {},
+                    scores: {},
+                };
+                fused.set(result.id, entry);
+            }
+            if (!entry.text && result.text) entry.text = result.text;
+            entry.metadata = { ...result.metadata, ...entry.metadata };
+            entry.ranks[name] = rank;
+            entry.scores[name] = result.score;
+            entry.fusedScore += weight / (k + rank);
+        });
+    }
+
+    return Array.from(fused.values())
+        .sort((a, b) => b.fusedScore - a.fusedScore)
+        .slice(0, topK);
+}
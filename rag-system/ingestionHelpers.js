@@ -4,6 +4,22 @@ import {
     flattenTablesToText,
 } from './ragUtils.js';
 
+// Numeric date fields for range filters (Pinecone only supports $gte/$lte on numbers).
+// `dateMs` prefers the publication date and falls back to the scrape timestamp.
+function buildDateMetadata(timestamp, publishedAt) {
+    const meta = {};
+    const timestampMs = Date.parse(timestamp || '');
+    const publishedAtMs = Date.parse(publishedAt || '');
+    if (Number.isFinite(timestampMs)) meta.timestampMs = timestampMs;
+    if (Number.isFinite(publishedAtMs)) {
+        meta.publishedAt = new Date(publishedAtMs).toISOString();
+        meta.publishedAtMs = publishedAtMs;
+    }
+    const dateMs = Number.isFinite(publishedAtMs) ? publishedAtMs : timestampMs;
+    if (Number.isFinite(dateMs)) meta.dateMs = dateMs;
+    return meta;
+}
+
 export function buildPageLinkStats(scrapedData = {}) {
     const stats = new Map();
     const linkBuckets = scrapedData?.links || {};
@@ -50,6 +66,52 @@ export function buildPageLinkStats(scrapedData = {}) {
     return stats;
 }
 
+// Chunking blocks for a page: heading sections (older scrapes fall back to the
+// flat content and lists), then tables with their heading trail, then metadata.
+function buildPageBlocks(page, xhrText) {
+    const blocks = [];
+    const sections = Array.isArray(page.sections) ? page.sections : [];
+    const rawText = Array.isArray(page.rawContent) ? page.rawContent.join('\n\n') : '';
+    const sectionChars = sections.reduce((sum, section) => sum + (section.text?.length || 0), 0);
+    // Text kept in bare <div>s never reaches a section; use the flat content then
+    if (sections.length && sectionChars >= rawText.length / 2) {
+        for (const section of sections) {
+            const path = Array.isArray(section.path) ? section.path.filter(Boolean) : [];
+            blocks.push({
+                section: path.join(' > ') || section.heading || null,
+                text: section.text || '',
+            });
+        }
+    } else {
+        blocks.push({ section: null, text: rawText || page.content || '' });
+        const lists = page.lists?.map(list => list.map(item => `- ${item}`).join('\n')).join('\n\n');
+        if (lists) blocks.push({ section: null, text: lists });
+    }
+
+    (page.tables || []).forEach((table, index) => {
+        blocks.push({ section: page.tableContexts?.[index] || null, table });
+    });
+
+    const meta = [
+        page.metadata?.description ? `Description: ${page.metadata.description}` : '',
+        page.metadata?.keywords ? `Keywords: ${page.metadata.keywords}` : '',
+    ].filter(Boolean).join('\n');
+    if (meta) blocks.push({ section: null, text: meta });
+    if (xhrText) blocks.push({ section: 'XHR API Insights', text: xhrText });
+    return blocks;
+}
+
+// One block per PDF page when per-page text was captured, else form feeds, else the whole text.
+function buildPdfBlocks(pdf, pdfContent) {
+    const pageTexts = Array.isArray(pdf.pageTexts) && pdf.pageTexts.some(text => text?.trim())
+        ? pdf.pageTexts
+        : pdfContent.includes('\f') ? pdfContent.split('\f') : null;
+    if (!pageTexts) {
+        return [{ section: null, pageNumber: null, text: pdfContent }];
+    }
+    return pageTexts.map((text, index) => ({ section: null, pageNumber: index + 1, text: text || '' }));
+}
+
 export function prepareIngestionItems(scrapedData = {}) {
     const items = [];
     const pageLinkStats = buildPageLinkStats(scrapedData);
@@ -99,6 +161,7 @@ export function prepareIngestionItems(scrapedData = {}) {
             hasLists: Array.isArray(page.lists) && page.lists.length > 0,
             hasXHR: hasXhr,
             xhrCount: Array.isArray(page?.xhrResponses) ? page.xhrResponses.length : 0,
+            ...buildDateMetadata(page.timestamp),
         };
 
         items.push({
@@ -107,6 +170,7 @@ export function prepareIngestionItems(scrapedData = {}) {
             title: page.title || '',
             category: page.category || 'general',
             structuredText,
+            blocks: buildPageBlocks(page, xhrText),
             wordCount: combinedWordCount || page.wordCount || 0,
             buildChunkMetadata: (index, totalChunks) => ({
                 ...metadataBase,
@@ -144,6 +208,7 @@ export function prepareIngestionItems(scrapedData = {}) {
             sourceUrl: pdf.parentPageUrl,
             sourceTitle: pdf.parentPageTitle,
             wordCount: pdf.wordCount || countWords(structuredPdfText),
+            ...buildDateMetadata(pdf.timestamp, pdf.publishedAt),
         };
 
         items.push({
@@ -152,6 +217,7 @@ export function prepareIngestionItems(scrapedData = {}) {
             title: pdf.title || '',
             category: pdf.category || 'general',
             structuredText: structuredPdfText,
+            blocks: buildPdfBlocks(pdf, pdfContent),
             wordCount: pdf.wordCount || countWords(structuredPdfText),
             buildChunkMetadata: (index, totalChunks) => ({
                 ...metadataBase,
@@ -186,6 +252,7 @@ export function prepareIngestionItems(scrapedData = {}) {
                 url: virtualUrl,
                 title: 'Links Directory',
                 category: 'virtual',
+                ...buildDateMetadata(scrapedData.metadata?.timestamp),
             };
 
             items.push({
@@ -217,7 +284,7 @@ export function prepareIngestionItems(scrapedData = {}) {
     };
 
     const statsContent = [
-        `NIT Jamshedpur Website Statistics and Overview:`,
+        `${scrapedData.metadata?.siteName || 'NIT Jamshedpur'} Website Statistics and Overview:`,
         `Total Pages Scraped: ${scrapedData.statistics?.totalPages || 0}`,
         `Total PDF Documents: ${scrapedData.statistics?.totalPDFs || 0}`,
         `Total Links Found: ${scrapedData.statistics?.totalLinks || 0}`,
@@ -239,6 +306,7 @@ export function prepareIngestionItems(scrapedData = {}) {
             url: virtualUrl,
             title: 'Website Statistics Overview',
             category: 'virtual',
+            ...buildDateMetadata(scrapedData.metadata?.timestamp),
         };
 
         items.push({
@@ -259,3 +327,73 @@ export function prepareIngestionItems(scrapedData = {}) {
 
     return items;
 }
+
+
+export function readStalePolicy(env = process.env) {
+    const num = (value, fallback) => {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+    return {
+        afterRuns: Math.max(1, Math.floor(num(env.STALE_AFTER_RUNS, 2))),
+        minCoverage: num(env.STALE_MIN_COVERAGE, 0.8),
+        maxDeleteRatio: num(env.STALE_MAX_DELETE_RATIO, 0.2),
+    };
+}
+
+// Every URL the scrape actually reached, including pages/PDFs too short to
+// become ingestion items; those still exist on the site and must not go stale.
+export function collectScrapedUrls(scrapedData = {}, ingestionItems = []) {
+    const urls = new Set();
+    (scrapedData.pages || []).forEach((page) => page?.url && urls.add(page.url));
+    (scrapedData.documents?.pdfs || []).forEach((pdf) => pdf?.url && urls.add(pdf.url));
+    ingestionItems.forEach((item) => item?.url && urls.add(item.url));
+    return urls;
+}
+
+/**
+ * Decides which ledger pages missing from this scrape advance towards deletion.
+ * `missingPages` are active ledger docs ({ url, missedRuns }) absent from the scrape;
+ * `activeTotal` is the number of active ledger pages before this run.
+ * The guard refuses to count misses when the scrape looks partial, so a crawl
+ * that hit maxPages (or a site outage) cannot wipe half the index.
+ */
+export function planStalePages({ missingPages = [], activeTotal = 0, scrapedData = {}, policy }) {
+    const pagesScraped = scrapedData.pages?.length || 0;
+    const maxPages = Number(scrapedData.metadata?.maxPages) || null;
+    const coverage = activeTotal > 0 ? (activeTotal - missingPages.length) / activeTotal : 1;
+
+    const candidates = missingPages.map((page) => {
+        const missedRuns = (page.missedRuns || 0) + 1;
+        return {
+            url: page.url,
+            missedRuns,
+            lastSeenAt: page.lastSeenAt || null,
+            chunkCount: page.chunkCount || 0,
+            willDelete: missedRuns >= policy.afterRuns,
+        };
+    });
+    const deleteCount = candidates.filter((c) => c.willDelete).length;
+
+    let reason = null;
+    if (maxPages && pagesScraped >= maxPages) {
+        reason = `scrape hit maxPages (${pagesScraped}/${maxPages}); coverage may be partial`;
+    } else if (coverage < policy.minCoverage) {
+        reason = `only ${(coverage * 100).toFixed(1)}% of ledger pages were seen (min ${(policy.minCoverage * 100).toFixed(0)}%)`;
+    } else if (activeTotal > 0 && deleteCount / activeTotal > policy.maxDeleteRatio) {
+        reason = `would delete ${deleteCount}/${activeTotal} pages (max ${(policy.maxDeleteRatio * 100).toFixed(0)}%)`;
+    }
+
+    return {
+        candidates,
+        deleteCount: reason ? 0 : deleteCount,
+        guard: {
+            blocked: Boolean(reason),
+            reason,
+            coverage,
+            pagesScraped,
+            maxPages,
+            afterRuns: policy.afterRuns,
+        },
+    };
+}
@@ -0,0 +1,83 @@
+// Per-run snapshots of the ingestion ledger: which pages (by contentHash)
+// and which chunk IDs were live after each run. Used for rollback and diffs.
+
+export function readSnapshotConfig(env = process.env) {
+    const retention = Number(env.SNAPSHOT_RETENTION);
+    return {
+        retention: Number.isFinite(retention) && retention >= 1 ? Math.floor(retention) : 10,
+        runsCollection: (env.MONGO_RUNS_COLL || 'ingestion_runs').trim(),
+        snapshotsCollection: (env.MONGO_SNAPSHOTS_COLL || 'page_snapshots').trim(),
+        archiveCollection: (env.MONGO_CHUNK_ARCHIVE_COLL || 'chunk_archive').trim(),
+    };
+}
+
+/**
+ * Groups chunk ledger docs by URL, ordered by chunk index.
+ */
+export function groupChunkIdsByUrl(chunkDocs = []) {
+    const byUrl = new Map();
+    for (const doc of chunkDocs) {
+        if (!doc?.url || !doc.chunkId) continue;
+        if (!byUrl.has(doc.url)) byUrl.set(doc.url, []);
+        byUrl.get(doc.url).push(doc);
+    }
+    const result = new Map();
+    for (const [url, docs] of byUrl) {
+        docs.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+        result.set(url, docs.map((doc) => doc.chunkId));
+    }
+    return result;
+}
+
+/**
+ * Compares two page snapshots (arrays of { url, contentHash, chunkIds }).
+ * Pages are `modified` when their contentHash differs; chunk deltas count
+ * chunk IDs that appear on only one side.
+ */
+export function diffSnapshots(fromPages = [], toPages = []) {
+    const fromMap = new Map(fromPages.map((page) => [page.url, page]));
+    const toMap = new Map(toPages.map((page) => [page.url, page]));
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+    let unchanged = 0;
+
+    for (const [url, page] of toMap) {
+        const before = fromMap.get(url);
+        if (!before) {
+            added.push({ url, title: page.title || null, chunks: page.chunkIds?.length || 0 });
+            continue;
+        }
+        if (before.contentHash === page.contentHash) {
+            unchanged += 1;
+            continue;
+        }
+        const beforeIds = new Set(before.chunkIds || []);
+        const afterIds = new Set(page.chunkIds || []);
+        modified.push({
+            url,
+            title: page.title || before.title || null,
+            chunksAdded: [...afterIds].filter((id) => !beforeIds.has(id)).length,
+            chunksRemoved: [...beforeIds].filter((id) => !afterIds.has(id)).length,
+        });
+    }
+
+    for (const [url, page] of fromMap) {
+        if (!toMap.has(url)) {
+            removed.push({ url, title: page.title || null, chunks: page.chunkIds?.length || 0 });
+        }
+    }
+
+    return {
+        counts: {
+            added: added.length,
+            removed: removed.length,
+            modified: modified.length,
+            unchanged,
+        },
+        added,
+        removed,
+        modified,
+    };
+}
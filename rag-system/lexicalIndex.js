@@ -0,0 +1,97 @@
+// In-memory BM25 index over chunk text, used as the lexical half of hybrid retrieval.
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'or', 'to', 'in', 'on', 'for', 'at', 'by', 'with',
+    'is', 'are', 'was', 'were', 'be', 'it', 'its', 'this', 'that', 'what', 'which',
+    'who', 'how', 'when', 'where', 'me', 'tell', 'about', 'please', 'do', 'does', 'i',
+]);
+
+export function tokenize(text) {
+    if (typeof text !== 'string' || !text) return [];
+    return text
+        .normalize('NFKC')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((token) => token && (token.length > 1 || /\d/.test(token)))
+        .filter((token) => !STOPWORDS.has(token));
+}
+
+export class LexicalIndex {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.clear();
+    }
+
+    clear() {
+        this.docs = new Map(); // id -> { text, metadata, length, tf }
+        this.docFreq = new Map(); // term -> number of docs containing it
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    addDocument(id, text, metadata = {}) {
+        if (!id || typeof text !== 'string' || !text.trim()) return;
+        if (this.docs.has(id)) this.removeDocument(id);
+
+        const tokens = tokenize(text);
+        const tf = new Map();
+        for (const token of tokens) {
+            tf.set(token, (tf.get(token) || 0) + 1);
+        }
+        for (const term of tf.keys()) {
+            this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+        }
+        this.docs.set(id, { text, metadata, length: tokens.length, tf });
+        this.totalLength += tokens.length;
+    }
+
+    removeDocument(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+        for (const term of doc.tf.keys()) {
+            const df = (this.docFreq.get(term) || 0) - 1;
+            if (df > 0) this.docFreq.set(term, df);
+            else this.docFreq.delete(term);
+        }
+        this.totalLength -= doc.length;
+        this.docs.delete(id);
+    }
+
+    idf(term) {
+        const n = this.docs.size;
+        const df = this.docFreq.get(term) || 0;
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * Scores every document sharing at least one query term.
+     * `filter(metadata)` may be supplied to restrict the candidate set.
+     */
+    search(query, { topK = 8, filter = null } = {}) {
+        const terms = [...new Set(tokenize(query))];
+        if (!terms.length || this.docs.size === 0) return [];
+
+        const avgLength = this.totalLength / this.docs.size || 1;
+        const results = [];
+
+        for (const [id, doc] of this.docs) {
+            let score = 0;
+            for (const term of terms) {
+                const freq = doc.tf.get(term);
+                if (!freq) continue;
+                const norm = this.k1 * (1 - this.b + (this.b * doc.length) / avgLength);
+                score += this.idf(term) * ((freq * (this.k1 + 1)) / (freq + norm));
+            }
+            if (score <= 0) continue;
+            if (typeof filter === 'function' && !filter(doc.metadata || {})) continue;
+            results.push({ id, score, text: doc.text, metadata: doc.metadata });
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, topK);
+    }
+}
@@ -0,0 +1,111 @@
+// Retrieval filters by category, source type and date.
+// Normalized shape: { category?: string[], sourceType?: string[], since?: ISO string }
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const SOURCE_TYPE_ALIASES = {
+    pdf: 'pdf_document',
+    pdfs: 'pdf_document',
+    document: 'pdf_document',
+    pdf_document: 'pdf_document',
+    page: 'page',
+    webpage: 'page',
+    link: 'link_directory',
+    link_directory: 'link_directory',
+    summary: 'summary',
+};
+
+const CATEGORY_RULES = [
+    { category: 'tender', rx: /\b(tenders?|bids?|bidding|quotations?|procurement|gem)\b/i },
+    { category: 'notices', rx: /\b(notices?|circulars?|announcements?|notifications?)\b/i },
+    { category: 'recruitments', rx: /\b(recruitments?|vacanc(y|ies)|job openings?|walk[-\s]?in)\b/i },
+];
+
+// Only explicit "pdf" wording: "documents" or "download" say nothing about the file type
+const PDF_RX = /\bpdfs?\b/i;
+const RECENT_RX = /\b(latest|recent|newest|new|current|upcoming|this (week|month))\b/i;
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const arr = Array.isArray(value) ? value : [value];
+    return arr
+        .filter((item) => typeof item === 'string')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+export function readQueryFilterConfig(env = process.env) {
+    const recentDays = Number(env.QUERY_FILTER_RECENT_DAYS);
+    return {
+        autoInfer: (env.QUERY_FILTER_AUTO || 'true').toLowerCase() !== 'false',
+        recentDays: Number.isFinite(recentDays) && recentDays > 0 ? recentDays : 90,
+    };
+}
+
+/**
+ * Validates client-supplied filters. Returns null when nothing is set and
+ * throws on malformed input so routes can answer with a 400.
+ */
+export function normalizeQueryFilters(input) {
+    if (input === undefined || input === null) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('filters must be an object');
+    }
+
+    const filters = {};
+
+    const category = toList(input.category);
+    if (category.length) filters.category = [...new Set(category)];
+
+    const sourceType = toList(input.sourceType).map((type) => {
+        const mapped = SOURCE_TYPE_ALIASES[type];
+        if (!mapped) throw new Error(`Unknown sourceType filter: ${type}`);
+        return mapped;
+    });
+    if (sourceType.length) filters.sourceType = [...new Set(sourceType)];
+
+    if (input.since !== undefined && input.since !== null && input.since !== '') {
+        const sinceMs = Date.parse(input.since);
+        if (!Number.isFinite(sinceMs)) {
+            throw new Error(`Invalid since date: ${input.since}`);
+        }
+        filters.since = new Date(sinceMs).toISOString();
+    }
+
+    return Object.keys(filters).length ? filters : null;
+}
+
+/**
+ * Keyword intent classifier for questions like "latest tenders" or
+ * "placement brochure PDF". Deliberately conservative: only emits a filter
+ * when the question names it explicitly.
+ */
+export function inferQueryFilters(question, { recentDays = 90, now = Date.now() } = {}) {
+    if (typeof question !== 'string' || !question.trim()) return null;
+
+    const filters = {};
+    const categories = CATEGORY_RULES.filter(({ rx }) => rx.test(question)).map((r) => r.category);
+    if (categories.length) filters.category = categories;
+
+    if (PDF_RX.test(question)) {
+        filters.sourceType = ['pdf_document'];
+    }
+
+    // Recency only makes sense for dated feeds (tenders/notices/recruitments);
+    // page timestamps are scrape times and would match everything.
+    if (categories.length && RECENT_RX.test(question)) {
+        filters.since = new Date(now - recentDays * DAY_MS).toISOString();
+    }
+
+    return Object.keys(filters).length ? filters : null;
+}
+
+export function buildPineconeFilter(filters) {
+    if (!filters) return undefined;
+    const clauses = [];
+    if (filters.category?.length) clauses.push({ category: { $in: filters.category } });
+    if (filters.sourceType?.length) clauses.push({ sourceType: { $in: filters.sourceType } });
+    if (filters.since) clauses.push({ dateMs: { $gte: Date.parse(filters.since) } });
+    if (clauses.length === 0) return undefined;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
@@ -0,0 +1,71 @@
+// Condenses a follow-up question plus recent chat turns into a standalone
+// question so retrieval (and the response cache) see an unambiguous query.
+
+export function readQueryRewriteConfig(env = process.env) {
+    const maxTurns = Math.floor(Number(env.QUERY_REWRITE_MAX_TURNS));
+    return {
+        enabled: (env.QUERY_REWRITE || 'true').toLowerCase() !== 'false',
+        maxTurns: Number.isFinite(maxTurns) && maxTurns > 0 ? maxTurns : 3,
+    };
+}
+
+export function buildCondensePrompt(question, history = [], maxTurns = 3) {
+    const recent = history.slice(-maxTurns * 2);
+    const transcript = recent
+        .map((msg) => {
+            const role = msg.role === 'user' ? 'User' : 'Assistant';
+            // Long assistant answers add noise; the gist is enough to resolve references.
+            return `${role}: ${String(msg.content || '').trim().slice(0, 500)}`;
+        })
+        .join('\n');
+
+    return `Rewrite the follow-up question so it can be understood without the conversation.
+Resolve pronouns and references ("it", "its", "that", "them", "what about ...") using the conversation.
+Keep names, course codes, years and numbers exactly as written. Keep the language of the follow-up.
+If the follow-up is already standalone, return it unchanged.
+Return ONLY the rewritten question, with no explanation.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+}
+
+export function cleanRewrite(raw, original) {
+    const text = String(raw || '')
+        .split('\n')
+        .map((line) => line.trim())
+        .find(Boolean);
+    if (!text) return original;
+    const cleaned = text
+        .replace(/^standalone question:\s*/i, '')
+        .replace(/^["'`]+|["'`]+$/g, '')
+        .trim();
+    // Guard against the model answering the question instead of rewriting it.
+    if (!cleaned || cleaned.length > Math.max(300, original.length * 4)) return original;
+    return cleaned;
+}
+
+export async function condenseQuestion(chatModel, question, history = [], { maxTurns = 3 } = {}) {
+    const startedAt = Date.now();
+    const result = { query: question, rewritten: false, durationMs: 0 };
+    if (!chatModel || !Array.isArray(history) || history.length === 0) {
+        return result;
+    }
+
+    try {
+        const response = await chatModel.generateContent(
+            buildCondensePrompt(question, history, maxTurns)
+        );
+        const standalone = cleanRewrite(response?.response?.text?.(), question);
+        result.query = standalone;
+        result.rewritten = standalone !== question;
+    } catch (error) {
+        result.error = String(error?.message || error);
+        console.warn('[query-rewrite] condensation failed, using raw question:', result.error);
+    }
+    result.durationMs = Date.now() - startedAt;
+    return result;
+}
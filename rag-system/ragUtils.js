@@ -112,3 +112,29 @@ export function flattenTablesToText(tables = []) {
         .filter(Boolean);
     return blocks.join('\n\n');
 }
+
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// Rejects as soon as `signal` aborts. The wrapped work is not stopped; the
+// caller just stops waiting for it. For calls that take a signal themselves
+// (embedQuery, generateContentStream), pass it too so the request is cancelled.
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            (value) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            (error) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
@@ -0,0 +1,160 @@
+// Optional second-stage rerankers applied to over-fetched retrieval candidates.
+// Every reranker exposes `name` and `rerank(query, texts, topN)` resolving to
+// `[{ index, score }]` sorted by descending relevance.
+
+export const RERANKERS = ['none', 'cohere', 'cross-encoder', 'gemini'];
+
+function readPositiveInt(value, fallback) {
+    const num = Math.floor(Number(value));
+    return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+export function normalizeRerankerName(name, fallback = 'none') {
+    const normalized = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (normalized === 'local') return 'cross-encoder';
+    if (normalized === 'llm') return 'gemini';
+    return RERANKERS.includes(normalized) ? normalized : fallback;
+}
+
+export function readRerankConfig(env = process.env) {
+    return {
+        provider: normalizeRerankerName(env.RERANKER, 'none'),
+        candidates: readPositiveInt(env.RERANK_CANDIDATES, 40),
+        topN: readPositiveInt(env.RERANK_TOP_N, 8),
+        model: env.RERANK_MODEL?.trim() || null,
+    };
+}
+
+function sortResults(results, topN) {
+    return results
+        .filter((r) => Number.isFinite(r.score))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topN);
+}
+
+
+class CohereReranker {
+    constructor({ apiKey = process.env.COHERE_API_KEY, model } = {}) {
+        this.name = 'cohere';
+        this.apiKey = apiKey;
+        this.model = model || 'rerank-english-v3.0';
+        this.client = null;
+    }
+
+    async getClient() {
+        if (!this.client) {
+            const { CohereClient } = await import('cohere-ai');
+            this.client = new CohereClient({ token: this.apiKey });
+        }
+        return this.client;
+    }
+
+    async rerank(query, texts, topN) {
+        const client = await this.getClient();
+        const response = await client.rerank({
+            model: this.model,
+            query,
+            documents: texts.map((text) => ({ text })),
+            topN,
+        });
+        return sortResults(
+            (response?.results || []).map((r) => ({ index: r.index, score: r.relevanceScore })),
+            topN
+        );
+    }
+}
+
+
+class CrossEncoderReranker {
+    constructor({ model } = {}) {
+        this.name = 'cross-encoder';
+        this.model = model || 'Xenova/ms-marco-MiniLM-L-6-v2';
+        this._loading = null;
+    }
+
+    async load() {
+        if (!this._loading) {
+            this._loading = (async () => {
+                const { AutoTokenizer, AutoModelForSequenceClassification } = await import(
+                    '@xenova/transformers'
+                );
+                const [tokenizer, model] = await Promise.all([
+                    AutoTokenizer.from_pretrained(this.model),
+                    AutoModelForSequenceClassification.from_pretrained(this.model),
+                ]);
+                return { tokenizer, model };
+            })().catch((error) => {
+                this._loading = null;
+                throw error;
+            });
+        }
+        return this._loading;
+    }
+
+    async rerank(query, texts, topN) {
+        const { tokenizer, model } = await this.load();
+        const inputs = tokenizer(new Array(texts.length).fill(query), {
+            text_pair: texts,
+            padding: true,
+            truncation: true,
+        });
+        const { logits } = await model(inputs);
+        const scores = logits.sigmoid().tolist();
+        return sortResults(
+            scores.map((row, index) => ({ index, score: Array.isArray(row) ? row[0] : row })),
+            topN
+        );
+    }
+}
+
+
+class GeminiReranker {
+    constructor({ chatModel } = {}) {
+        this.name = 'gemini';
+        this.chatModel = chatModel;
+    }
+
+    buildPrompt(query, texts) {
+        const passages = texts
+            .map((text, index) => `[${index}] ${String(text || '').replace(/\s+/g, ' ').slice(0, 600)}`)
+            .join('\n');
+        return `Rate how well each passage answers the question on a scale from 0 (irrelevant) to 10 (directly answers it).
+Question: ${query}
+
+Passages:
+${passages}
+
+Respond with ONLY a JSON array of numbers, one score per passage, in the same order.`;
+    }
+
+    async rerank(query, texts, topN) {
+        if (!this.chatModel) {
+            throw new Error('Gemini reranker requires an initialized chat model');
+        }
+        const result = await this.chatModel.generateContent(this.buildPrompt(query, texts));
+        const raw = result?.response?.text?.() || '';
+        const match = raw.match(/\[[\s\S]*\]/);
+        if (!match) {
+            throw new Error('Gemini reranker returned no score array');
+        }
+        const scores = JSON.parse(match[0]);
+        return sortResults(
+            texts.map((_, index) => ({ index, score: Number(scores[index]) / 10 })),
+            topN
+        );
+    }
+}
+
+
+export function createReranker(name, deps = {}) {
+    switch (normalizeRerankerName(name)) {
+        case 'cohere':
+            return new CohereReranker(deps);
+        case 'cross-encoder':
+            return new CrossEncoderReranker(deps);
+        case 'gemini':
+            return new GeminiReranker(deps);
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,180 @@
+// Structure-aware chunking for ingestion items. Items carry `blocks` (heading
+// sections, tables, PDF pages). Blocks become parents: chunks never span two
+// PDF pages, short neighbouring sections share a parent with their headings
+// inline, and tables are split by row groups with the header row repeated.
+// Parents are then cut into small children for embedding; every chunk starts
+// with a "title — section (PDF p. N)" line so it stays meaningful on its own.
+
+import { hashString, tableToLines } from './ragUtils.js';
+
+// Bump when the chunk layout changes so the ledger re-chunks existing pages.
+export const CHUNKER_VERSION = 'structured-v2';
+
+export function readChunkingConfig(env = process.env) {
+    const num = (value, fallback, min) => {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) && parsed >= min ? Math.floor(parsed) : fallback;
+    };
+    const chunkSize = num(env.CHUNK_SIZE, 500, 200);
+    return {
+        chunkSize,
+        chunkOverlap: Math.min(num(env.CHUNK_OVERLAP, 100, 0), Math.floor(chunkSize / 2)),
+        parentSize: Math.max(chunkSize, num(env.PARENT_CHUNK_SIZE, 3000, 200)),
+    };
+}
+
+// Pages usually open with an h1 repeating the title; don't say it twice
+function sectionLabel(title, section) {
+    if (section && title && section.startsWith(title)) {
+        return section.slice(title.length).replace(/^\s*>\s*/, '');
+    }
+    return section || '';
+}
+
+function chunkPrefix(title, section, pageNumber) {
+    let prefix = title || '';
+    const label = sectionLabel(title, section);
+    if (label) prefix += `${prefix ? ' — ' : ''}${label}`;
+    if (pageNumber) prefix += ` (PDF p. ${pageNumber})`;
+    return prefix.trim();
+}
+
+function withPrefix(prefix, body) {
+    return prefix ? `${prefix}\n${body}` : body;
+}
+
+// Groups table rows so each group fits the budget, repeating the header row.
+function splitTableLines(lines, budget) {
+    const [header, ...rows] = lines;
+    if (!rows.length) return [lines];
+    const pieces = [];
+    let current = [];
+    let size = header.length;
+    for (const row of rows) {
+        if (current.length && size + row.length + 1 > budget) {
+            pieces.push([header, ...current]);
+            current = [];
+            size = header.length;
+        }
+        current.push(row);
+        size += row.length + 1;
+    }
+    if (current.length) pieces.push([header, ...current]);
+    return pieces;
+}
+
+// Sections (merged or split to fit `parentSize`), table row groups and PDF
+// pages: the units handed to the prompt in place of the matched child.
+async function buildParents(item, blocks, splitter, { parentSize, chunkSize }) {
+    const parents = [];
+    let pending = null;
+
+    const flush = () => {
+        if (pending) parents.push(pending);
+        pending = null;
+    };
+
+    for (const block of blocks) {
+        const section = block.section || null;
+        const pageNumber = block.pageNumber || null;
+        const prefix = chunkPrefix(item.title, section, pageNumber);
+        const budget = Math.max(100, parentSize - prefix.length - 1);
+
+        if (block.table) {
+            flush();
+            const lines = tableToLines(block.table);
+            if (!lines.length) continue;
+            const groups = lines.join('\n').length <= budget ? [lines] : splitTableLines(lines, budget);
+            for (const group of groups) {
+                const body = group.join('\n');
+                if (body.length <= parentSize) {
+                    parents.push({ section, pageNumber, body, lines: group });
+                    continue;
+                }
+                // A single row longer than the budget still goes through the splitter
+                for (const part of await splitter.splitText(body)) {
+                    parents.push({ section, pageNumber, body: part });
+                }
+            }
+            continue;
+        }
+
+        const body = block.text.trim();
+        // Short sections of the same page share a parent; later headings stay inline.
+        // Longer ones start their own so their children carry the right section.
+        if (pending && !pending.lines && pending.pageNumber === pageNumber) {
+            const label = sectionLabel(item.title, section);
+            const addition = pending.section === section || !label ? body : `${label}\n${body}`;
+            if (addition.length <= chunkSize && pending.body.length + addition.length + 2 <= budget) {
+                pending.body += `\n\n${addition}`;
+                continue;
+            }
+        }
+        flush();
+
+        if (body.length <= budget) {
+            pending = { section, pageNumber, body };
+            continue;
+        }
+        for (const part of await splitter.splitText(body)) {
+            parents.push({ section, pageNumber, body: part });
+        }
+    }
+    flush();
+    return parents;
+}
+
+/**
+ * Splits an ingestion item into small child chunks for embedding, each
+ * pointing at its parent: `{ text, section, pageNumber, parentId, parentText }`.
+ * `parentText` is null when the parent is no bigger than the child itself.
+ * Items without `blocks` (virtual directory/stats items) are split by size only.
+ */
+export async function chunkIngestionItem(item, splitters, config = readChunkingConfig()) {
+    const { childSplitter, parentSplitter } = splitters;
+    const blocks = Array.isArray(item.blocks)
+        ? item.blocks.filter((block) => block?.table || block?.text?.trim())
+        : [];
+
+    let parents;
+    let usePrefix = true;
+    if (blocks.length) {
+        parents = await buildParents(item, blocks, parentSplitter, config);
+    } else {
+        usePrefix = false;
+        const splits = await parentSplitter.splitText((item.structuredText || '').trim());
+        parents = splits.map((body) => ({ section: null, pageNumber: null, body }));
+    }
+
+    const chunks = [];
+    for (const parent of parents) {
+        const prefix = usePrefix ? chunkPrefix(item.title, parent.section, parent.pageNumber) : '';
+        const budget = Math.max(100, config.chunkSize - prefix.length - 1);
+        const parentText = withPrefix(prefix, parent.body);
+        const parentId = hashString(`${item.url}\n${parentText}`).slice(0, 16);
+
+        let children;
+        if (parent.body.length <= budget) {
+            children = [parent.body];
+        } else if (parent.lines) {
+            children = [];
+            for (const group of splitTableLines(parent.lines, budget)) {
+                const body = group.join('\n');
+                children.push(...(body.length > config.chunkSize ? await childSplitter.splitText(body) : [body]));
+            }
+        } else {
+            children = await childSplitter.splitText(parent.body);
+        }
+
+        for (const child of children) {
+            chunks.push({
+                text: withPrefix(prefix, child),
+                section: parent.section,
+                pageNumber: parent.pageNumber,
+                parentId,
+                parentText: children.length > 1 ? parentText : null,
+            });
+        }
+    }
+    return chunks;
+}
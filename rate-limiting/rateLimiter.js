@@ -1,63 +1,302 @@
+import crypto from 'crypto';
+import { LRUCache } from 'lru-cache';
+
+// Layered token buckets. A policy (one per route family) has up to four
+// layers -- global, per IP, per session and per API key -- and a request is
+// admitted only when every applicable layer has a token; otherwise nothing is
+// consumed. Buckets live in Redis (one atomic Lua script) with an in-memory
+// fallback when Redis is absent or failing.
+
+const LAYERS = ['global', 'ip', 'session', 'apiKey'];
+
+const DEFAULT_POLICIES = {
+  chat: {
+    global: { capacity: 60, refillPerMinute: 60 },
+    ip: { capacity: 10, refillPerMinute: 10 },
+    session: { capacity: 4, refillPerMinute: 2 },
+    apiKey: { capacity: 30, refillPerMinute: 30 },
+  },
+  openai: {
+    global: { capacity: 60, refillPerMinute: 60 },
+    ip: { capacity: 10, refillPerMinute: 10 },
+    session: { capacity: 4, refillPerMinute: 2 },
+    apiKey: { capacity: 30, refillPerMinute: 30 },
+  },
+  login: {
+    ip: { capacity: 5, refillPerMinute: 1 },
+  },
+};
+
+// KEYS[i]: bucket of layer i. ARGV: now (ms), cost, then capacity and refill
+// rate (tokens/ms) per layer. Returns { blockedLayer (0 = admitted), tokens... }
+// with tokens as strings because Redis truncates Lua numbers to integers.
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local tokens = {}
+local blocked = 0
+for i = 1, #KEYS do
+  local capacity = tonumber(ARGV[1 + i * 2])
+  local rate = tonumber(ARGV[2 + i * 2])
+  local state = redis.call('HMGET', KEYS[i], 'tokens', 'ts')
+  local t = tonumber(state[1]) or capacity
+  local ts = tonumber(state[2]) or now
+  t = math.min(capacity, t + math.max(0, now - ts) * rate)
+  tokens[i] = t
+  if blocked == 0 and t < cost then
+    blocked = i
+  end
+end
+local result = { blocked }
+for i = 1, #KEYS do
+  local capacity = tonumber(ARGV[1 + i * 2])
+  local rate = tonumber(ARGV[2 + i * 2])
+  if blocked == 0 then
+    tokens[i] = tokens[i] - cost
+  end
+  redis.call('HSET', KEYS[i], 'tokens', tostring(tokens[i]), 'ts', tostring(now))
+  redis.call('PEXPIRE', KEYS[i], math.ceil(capacity / rate) + 1000)
+  result[i + 1] = tostring(tokens[i])
+end
+return result
+`;
+
+function normalizeLayer(spec) {
+  if (!spec) return null;
+  const capacity = Number(spec.capacity);
+  const refillPerMinute = Number(spec.refillPerMinute ?? spec.capacity);
+  if (!(capacity > 0) || !(refillPerMinute > 0)) return null;
+  return { capacity, refillPerMinute };
+}
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
 /**
- * Global-only rate limiter.
- * Uses Redis (or Upstash) if provided, else falls back to in-memory (dev only).
+ * Rate limit policies from env. RATE_LIMITS is JSON keyed by policy and layer,
+ * merged over the defaults; `null` switches a layer off, e.g.
+ * `{"chat":{"ip":{"capacity":20,"refillPerMinute":20},"session":null}}`.
  */
-export function createRateLimiter({
-  redis = null,
-  windowSeconds = 60,
-  maxRequests = 30, // global limit per window
-  maxGlobal = null, // optional override for clarity
-  prefix = 'rl:chat:v1:',
-} = {}) {
-  // in-memory fallback (dev only)
-  const memory = new Map();
-
-  const limit = Number.isFinite(maxGlobal) ? Number(maxGlobal) : Number(maxRequests);
-  const key = `${prefix}GLOBAL`;
-
-  return async function rateLimiter(req, res, next) {
-    // Redis/Upstash path
+export function readRateLimitConfig(env = process.env) {
+  let overrides = {};
+  if (env.RATE_LIMITS?.trim()) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMITS);
+    } catch (err) {
+      console.warn('[rateLimiter] RATE_LIMITS is not valid JSON; using defaults:', err?.message || err);
+    }
+  }
+
+  const policies = {};
+  for (const name of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides || {})])) {
+    const merged = { ...(DEFAULT_POLICIES[name] || {}), ...(overrides?.[name] || {}) };
+    policies[name] = {};
+    for (const layer of LAYERS) {
+      const spec = normalizeLayer(merged[layer]);
+      if (spec) policies[name][layer] = spec;
+    }
+  }
+
+  return {
+    policies,
+    allowlist: (env.RATE_LIMIT_ALLOWLIST || '')
+      .split(',')
+      .map((ip) => normalizeIp(ip.trim()))
+      .filter(Boolean),
+    adminBypass: (env.RATE_LIMIT_ADMIN_BYPASS || 'true').toLowerCase() !== 'false',
+    prefix: (env.RATE_LIMIT_PREFIX || 'rl:v2:').trim(),
+  };
+}
+
+function hashId(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 24);
+}
+
+function bearerToken(req) {
+  const header = req.headers?.authorization;
+  return typeof header === 'string' && /^bearer\s+/i.test(header) ? header.replace(/^bearer\s+/i, '').trim() : null;
+}
+
+/**
+ * Who a request counts against. `overrides` lets non-HTTP callers (WebSocket
+ * messages) supply the session id that HTTP routes read from the body.
+ */
+export function identifyRequest(req, overrides = {}) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const headerSession = req.headers?.['x-session-id'];
+  const sessionId =
+    overrides.sessionId || [body.sessionId, body.user, headerSession].find((v) => typeof v === 'string' && v);
+  const apiKey = overrides.apiKey ?? (req.headers?.['x-api-key'] || bearerToken(req));
+  return {
+    global: 'all',
+    ip: normalizeIp(req.ip || req.socket?.remoteAddress) || null,
+    session: sessionId ? hashId(sessionId) : null,
+    apiKey: apiKey ? hashId(apiKey) : null,
+  };
+}
+
+/**
+ * `getRedis()` is asked on every check, so a limiter picks Redis up once it
+ * becomes reachable (null means memory buckets for that request).
+ * `isAdmin(req)` resolves whether the request carries a live admin account;
+ * it is only consulted with `adminBypass` on.
+ */
+export class RateLimiter {
+  constructor({
+    getRedis = async () => null,
+    isAdmin = async () => false,
+    policy = 'chat',
+    layers = {},
+    allowlist = [],
+    adminBypass = true,
+    prefix = 'rl:v2:',
+  } = {}) {
+    this.getRedis = getRedis;
+    this.isAdmin = isAdmin;
+    this.policy = policy;
+    this.layers = layers;
+    this.allowlist = new Set(allowlist);
+    this.adminBypass = adminBypass;
+    this.prefix = prefix;
+    this.memory = new LRUCache({ max: 10000 });
+    this._scriptSha = null;
+  }
+
+
+  async _takeRedis(redis, keys, args) {
+    const options = { keys, arguments: args };
+    if (this._scriptSha) {
+      try {
+        return await redis.evalSha(this._scriptSha, options);
+      } catch (err) {
+        if (!String(err?.message || '').includes('NOSCRIPT')) throw err;
+      }
+    }
+    this._scriptSha = await redis.scriptLoad(TOKEN_BUCKET_SCRIPT);
+    return redis.evalSha(this._scriptSha, options);
+  }
+
+
+  // Same algorithm as TOKEN_BUCKET_SCRIPT, for a single process
+  _takeMemory(keys, specs, now, cost) {
+    const tokens = keys.map((key, i) => {
+      const { capacity, rate } = specs[i];
+      const state = this.memory.get(key);
+      const t = state ? state.tokens + Math.max(0, now - state.ts) * rate : capacity;
+      return Math.min(capacity, t);
+    });
+    const blockedIndex = tokens.findIndex((t) => t < cost);
+    keys.forEach((key, i) => {
+      if (blockedIndex === -1) tokens[i] -= cost;
+      const ttl = Math.ceil(specs[i].capacity / specs[i].rate) + 1000;
+      this.memory.set(key, { tokens: tokens[i], ts: now }, { ttl });
+    });
+    return [blockedIndex + 1, ...tokens];
+  }
+
+
+  /**
+   * Takes `cost` tokens from every applicable layer. Resolves to a decision:
+   * `{ allowed, bypassed?, layer, limit, remaining, resetSeconds, retryAfterSeconds, policies }`
+   * where `layer` is the one that blocked (or the tightest one when admitted).
+   */
+  async check(req, overrides = {}, cost = 1) {
+    if (this.allowlist.has(normalizeIp(req.ip || req.socket?.remoteAddress))) {
+      return { allowed: true, bypassed: 'allowlist' };
+    }
+    // The account is looked up like requireRole does, so a deleted or disabled admin loses the bypass
+    if (this.adminBypass && (await this.isAdmin(req).catch(() => false))) {
+      return { allowed: true, bypassed: 'admin' };
+    }
+
+    const ids = identifyRequest(req, overrides);
+    const active = LAYERS.filter((layer) => this.layers[layer] && ids[layer]);
+    if (active.length === 0) {
+      return { allowed: true };
+    }
+    const specs = active.map((layer) => ({
+      ...this.layers[layer],
+      rate: this.layers[layer].refillPerMinute / 60000,
+    }));
+    const keys = active.map((layer) => `${this.prefix}${this.policy}:${layer}:${ids[layer]}`);
+    const now = Date.now();
+
+    let raw = null;
+    const redis = await Promise.resolve(this.getRedis()).catch(() => null);
     if (redis) {
       try {
-        const count = await redis.incr(key);
-        if (count === 1) {
-          await redis.expire(key, windowSeconds);
-        }
-        if (count > limit) {
-          const ttl = await redis.ttl(key);
-          return res.status(429).json({
-            success: false,
-            error: 'Rate limit exceeded. Please try again later.',
-            retryAfterSeconds: ttl > 0 ? ttl : windowSeconds,
-            limitType: 'global',
-          });
-        }
-        return next();
+        const args = [String(now), String(cost)];
+        for (const spec of specs) args.push(String(spec.capacity), String(spec.rate));
+        raw = await this._takeRedis(redis, keys, args);
       } catch (err) {
         console.warn('[rateLimiter] redis failed, falling back to in-memory', err?.message || err);
-        // fall through
       }
     }
+    if (!raw) {
+      raw = this._takeMemory(keys, specs, now, cost);
+    }
 
-    // In-memory fallback
-    const now = Date.now();
-    let bucket = memory.get(key);
-    if (!bucket || now > bucket.resetAt) {
-      bucket = { count: 1, resetAt: now + windowSeconds * 1000 };
-      memory.set(key, bucket);
-      return next();
-    }
-    if (bucket.count >= limit) {
-      const retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded. Pleasee try again later.',
-        retryAfterSeconds: retryAfter,
-        limitType: 'global',
-      });
-    }
-    bucket.count += 1;
-    return next();
+    const blocked = Number(raw[0]);
+    const states = active.map((layer, i) => {
+      const tokens = Number(raw[i + 1]);
+      const { capacity, rate } = specs[i];
+      return {
+        layer,
+        limit: capacity,
+        remaining: Math.max(0, Math.floor(tokens)),
+        resetSeconds: Math.ceil(Math.max(0, capacity - tokens) / rate / 1000),
+        retryAfterSeconds: Math.max(1, Math.ceil(Math.max(0, cost - tokens) / rate / 1000)),
+      };
+    });
+    const reported = blocked > 0 ? states[blocked - 1] : states.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    return {
+      allowed: blocked === 0,
+      ...reported,
+      policies: active.map((layer, i) => `${specs[i].capacity};w=${Math.round((specs[i].capacity / specs[i].refillPerMinute) * 60)}`),
+    };
+  }
+
+
+  // IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers)
+  setHeaders(res, decision) {
+    if (decision.bypassed || decision.limit === undefined) return;
+    res.setHeader('RateLimit-Limit', String(decision.limit));
+    res.setHeader('RateLimit-Remaining', String(decision.remaining));
+    res.setHeader('RateLimit-Reset', String(decision.resetSeconds));
+    res.setHeader('RateLimit-Policy', decision.policies.join(', '));
+    if (!decision.allowed) {
+      res.setHeader('Retry-After', String(decision.retryAfterSeconds));
+    }
+  }
+
+
+  async handle(req, res, next) {
+    const decision = await this.check(req);
+    this.setHeaders(res, decision);
+    if (decision.allowed) return next();
+    return res.status(429).json(rateLimitBody(decision));
+  }
+}
+
+
+export function rateLimitBody(decision) {
+  return {
+    success: false,
+    error: 'Rate limit exceeded. Please try again later.',
+    retryAfterSeconds: decision.retryAfterSeconds,
+    limitType: decision.layer,
   };
 }
 
+
+/**
+ * Express middleware for a named policy, using the limiter from
+ * `server.getRateLimiter(policy)`.
+ */
+export function rateLimit(server, policy) {
+  return async (req, res, next) => {
+    const limiter = await server.getRateLimiter(policy);
+    return limiter.handle(req, res, next);
+  };
+}
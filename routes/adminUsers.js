@@ -0,0 +1,70 @@
+import { requireRole } from '../config/auth.js';
+import { sendAdminUserError } from './auth.js';
+
+
+export function setupAdminUserRoutes(app, server) {
+    const ownerOnly = requireRole(server, 'owner');
+
+    app.get('/admin/users', ownerOnly, async (req, res) => {
+        try {
+            const users = await server.adminUsers.list();
+            res.json({ success: true, users });
+        } catch (error) {
+            sendAdminUserError(res, error);
+        }
+    });
+
+
+
+    // { username, password, role }
+    app.post('/admin/users', ownerOnly, async (req, res) => {
+        try {
+            const { username, password, role } = req.body || {};
+            // The env admin stops working once an account exists, so that account must be able to take over
+            if (req.user.source === 'env' && role !== 'owner') {
+                return res.status(400).json({ success: false, error: 'The first account must be an owner' });
+            }
+            const user = await server.adminUsers.create({ username, password, role }, req.user.username);
+            res.status(201).json({ success: true, user });
+        } catch (error) {
+            sendAdminUserError(res, error);
+        }
+    });
+
+
+
+    // { role?, disabled? }
+    app.patch('/admin/users/:username', ownerOnly, async (req, res) => {
+        try {
+            const { role, disabled } = req.body || {};
+            const user = await server.adminUsers.update(req.params.username, { role, disabled }, req.user.username);
+            res.json({ success: true, user });
+        } catch (error) {
+            sendAdminUserError(res, error);
+        }
+    });
+
+
+
+    app.delete('/admin/users/:username', ownerOnly, async (req, res) => {
+        try {
+            await server.adminUsers.remove(req.params.username, req.user.username);
+            res.json({ success: true });
+        } catch (error) {
+            sendAdminUserError(res, error);
+        }
+    });
+
+
+
+    // One-time token, valid for an hour, for the user to redeem at POST /auth/reset-password
+    app.post('/admin/users/:username/reset-password', ownerOnly, async (req, res) => {
+        try {
+            const reset = await server.adminUsers.issueReset(req.params.username, req.user.username);
+            res.json({ success: true, ...reset });
+        } catch (error) {
+            sendAdminUserError(res, error);
+        }
+    });
+
+}
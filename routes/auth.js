@@ -1,11 +1,32 @@
 import express from 'express';
-import { login, verifyToken, authenticateAdmin } from '../config/auth.js';
+import { login, signToken, requireRole } from '../config/auth.js';
+import { rateLimit } from '../rate-limiting/rateLimiter.js';
 
 const router = express.Router();
 
-export function setupAuthRoutes(app) {
-    // login
-    app.post('/auth/login', async (req, res) => {
+function setSessionCookie(res, token) {
+    res.cookie('adminToken', token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: 24 * 60 * 60 * 1000
+    });
+}
+
+
+export function sendAdminUserError(res, error) {
+    if (!error?.status) {
+        console.error('[admin-users] error:', error);
+    }
+    res.status(error?.status || 500).json({
+        success: false,
+        error: error?.message || 'Internal server error',
+        code: error?.code || null,
+    });
+}
+
+export function setupAuthRoutes(app, server) {
+    // login (rate limited per IP against password guessing)
+    app.post('/auth/login', rateLimit(server, 'login'), async (req, res) => {
         try {
             const { username, password } = req.body;
 
@@ -13,21 +34,18 @@ export function setupAuthRoutes(app) {
                 return res.status(400).json({ error: 'Username and password required' });
             }
 
-            const result = await login(username, password);
+            const result = await login(server.adminUsers, username, password);
 
             if (!result.success) {
                 return res.status(401).json({ error: result.error });
             }
 
-            res.cookie('adminToken', result.token, {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                maxAge: 24 * 60 * 60 * 1000
-            });
+            setSessionCookie(res, result.token);
 
             res.json({
                 success: true,
                 token: result.token,
+                user: result.user,
                 message: 'Login successful'
             });
         } catch (error) {
@@ -38,30 +56,57 @@ export function setupAuthRoutes(app) {
 
 
 
-    // verify token
-    app.post('/auth/verify', authenticateAdmin, (req, res) => {
-        const token = req.body.token || req.cookies?.adminToken;
-
-        if (!token) {
-            return res.status(401).json({ valid: false });
-        }
-
-        const result = verifyToken(token);
-        res.json(result);
+    // verify token - the signed-in account and its current role
+    app.post('/auth/verify', requireRole(server, 'viewer'), (req, res) => {
+        res.json({ valid: true, user: req.user });
     });
 
 
 
     // logout
-    app.post('/auth/logout', authenticateAdmin, (req, res) => {
+    app.post('/auth/logout', requireRole(server, 'viewer'), (req, res) => {
         res.clearCookie('adminToken');
         res.json({ success: true, message: 'Logged out successfully' });
     });
 
 
 
+    // change own password; other sessions of the account are signed out
+    app.post('/auth/password', requireRole(server, 'viewer'), async (req, res) => {
+        const { currentPassword, newPassword } = req.body || {};
+        if (req.user.source === 'env') {
+            return res.status(400).json({ success: false, error: 'The ADMIN_USERNAME account is set from env; create an account under /admin/users instead' });
+        }
+        try {
+            const account = await server.adminUsers.changePassword(req.user.username, currentPassword, newPassword);
+            const token = signToken(account);
+            setSessionCookie(res, token);
+            res.json({ success: true, token, message: 'Password changed' });
+        } catch (error) {
+            sendAdminUserError(res, error);
+        }
+    });
+
+
+
+    // redeem a reset token issued by an owner (POST /admin/users/:username/reset-password)
+    app.post('/auth/reset-password', rateLimit(server, 'login'), async (req, res) => {
+        const { username, token, newPassword } = req.body || {};
+        if (!username || !token || !newPassword) {
+            return res.status(400).json({ success: false, error: 'username, token and newPassword are required' });
+        }
+        try {
+            await server.adminUsers.completeReset(username, token, newPassword);
+            res.json({ success: true, message: 'Password reset; log in with the new password' });
+        } catch (error) {
+            sendAdminUserError(res, error);
+        }
+    });
+
+
+
     // testing
-    // app.get('/admin/dashboard', authenticateAdmin, (req, res) => {
+    // app.get('/admin/dashboard', requireRole(server, 'viewer'), (req, res) => {
     //     res.json({
     //         success: true,
     //         message: `Welcome, ${req.user.username}!`,
@@ -0,0 +1,163 @@
+import { requireRole } from '../config/auth.js';
+import { hasRole } from '../config/adminUsers.js';
+import { boundedInt } from '../utils/helpers.js';
+
+// Cache inspection for the request's tenant: cached answers (list, search,
+// delete, pin, curate) and flushing the response, embedding or history caches.
+
+const FLUSH_NAMESPACES = ['responses', 'embeddings', 'history'];
+
+function requireResponseCache(req, res) {
+    if (!req.site.responseCache) {
+        res.status(503).json({ success: false, error: 'Response cache unavailable' });
+        return null;
+    }
+    return req.site.responseCache;
+}
+
+
+export function setupCacheRoutes(app, server) {
+
+    // Stats for every cache the tenant uses
+    app.get('/admin/cache', requireRole(server, 'viewer'), (req, res) => {
+        res.json({
+            success: true,
+            tenant: req.site.tenant.id,
+            responses: req.site.responseCache?.getStats?.() || null,
+            embeddings: req.site.ragSystem.embeddingCache?.getStats?.() || null,
+            history: req.site.chatHistory?.getStats?.() || null,
+        });
+    });
+
+
+
+    // GET /admin/cache/answers?search=&pinned=true&limit=50&offset=0
+    app.get('/admin/cache/answers', requireRole(server, 'viewer'), async (req, res) => {
+        const cache = requireResponseCache(req, res);
+        if (!cache) return;
+        try {
+            const pinned = req.query.pinned === undefined ? null : req.query.pinned === 'true';
+            const result = await cache.listItems({
+                search: req.query.search,
+                pinned,
+                limit: boundedInt(req.query.limit, 50, 500, 1),
+                offset: boundedInt(req.query.offset, 0, 100000),
+            });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('[cache] list failed:', error?.message || error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    app.get('/admin/cache/answers/:id', requireRole(server, 'viewer'), async (req, res) => {
+        const cache = requireResponseCache(req, res);
+        if (!cache) return;
+        try {
+            const item = await cache.getItem(req.params.id);
+            if (!item) {
+                return res.status(404).json({ success: false, error: 'Cached answer not found' });
+            }
+            res.json({ success: true, item });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    app.delete('/admin/cache/answers/:id', requireRole(server, 'editor'), async (req, res) => {
+        const cache = requireResponseCache(req, res);
+        if (!cache) return;
+        try {
+            const deleted = await cache.deleteItem(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({ success: false, error: 'Cached answer not found' });
+            }
+            console.log(`[cache] ${req.user.username} deleted answer ${req.params.id}`);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // { "pinned": true|false } -- pinned answers survive TTL expiry and eviction
+    app.post('/admin/cache/answers/:id/pin', requireRole(server, 'editor'), async (req, res) => {
+        const cache = requireResponseCache(req, res);
+        if (!cache) return;
+        try {
+            const pinned = req.body?.pinned !== false;
+            const item = await cache.setPinned(req.params.id, pinned, req.user.username);
+            if (!item) {
+                return res.status(404).json({ success: false, error: 'Cached answer not found' });
+            }
+            console.log(`[cache] ${req.user.username} ${pinned ? 'pinned' : item.dropped ? 'unpinned and dropped stale' : 'unpinned'} answer ${req.params.id}`);
+            res.json({ success: true, item });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // { "answer": "..." } -- replace with a curated answer (pinned)
+    app.put('/admin/cache/answers/:id', requireRole(server, 'editor'), async (req, res) => {
+        const cache = requireResponseCache(req, res);
+        if (!cache) return;
+        const answer = req.body?.answer;
+        if (typeof answer !== 'string' || !answer.trim()) {
+            return res.status(400).json({ success: false, error: 'answer is required' });
+        }
+        try {
+            const item = await cache.curate(req.params.id, answer, req.user.username);
+            if (!item) {
+                return res.status(404).json({ success: false, error: 'Cached answer not found' });
+            }
+            console.log(`[cache] ${req.user.username} curated answer ${req.params.id}`);
+            res.json({ success: true, item });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // { "namespace": "responses"|"embeddings"|"history", "includePinned": false }
+    app.post('/admin/cache/flush', requireRole(server, 'editor'), async (req, res) => {
+        const { namespace, includePinned = false } = req.body || {};
+        if (!FLUSH_NAMESPACES.includes(namespace)) {
+            return res.status(400).json({ success: false, error: `namespace must be one of ${FLUSH_NAMESPACES.join(', ')}` });
+        }
+        // Curated answers are hand-written; only owners may throw them away
+        if (namespace === 'responses' && includePinned && !hasRole(req.user, 'owner')) {
+            return res.status(403).json({ error: 'owner role required' });
+        }
+        try {
+            if (namespace === 'responses') {
+                const cache = requireResponseCache(req, res);
+                if (!cache) return;
+                await cache.clear({ keepPinned: !includePinned });
+            } else if (namespace === 'embeddings') {
+                await req.site.ragSystem.embeddingCache?.clear();
+            } else {
+                await req.site.chatHistory?.clearAll();
+            }
+            console.log(`[cache] ${req.user.username} flushed ${namespace} for tenant ${req.site.tenant.id}`);
+            res.json({
+                success: true,
+                namespace,
+                // The embedding cache holds query vectors for every tenant
+                sharedAcrossTenants: namespace === 'embeddings',
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            console.error('[cache] flush failed:', error?.message || error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+}
@@ -1,20 +1,8 @@
-import { createRateLimiter } from '../rate-limiting/rateLimiter.js';
-import { getMessage, languageManager } from '../utils/language.js'
-
-/**
- * Extracts and validates chat response fields from the final response object.
- * Ensures consistency between chat route and responseCache logic.
- */
-function extractChatResponseFields(finalResponse) {
-    const answerText = typeof finalResponse?.answer === 'string' ? finalResponse.answer.trim() : '';
-    const sources = Array.isArray(finalResponse?.sources) ? finalResponse.sources : [];
-    const relevantLinks = Array.isArray(finalResponse?.relevantLinks) ? finalResponse.relevantLinks : [];
-    const confidence =
-        typeof finalResponse?.confidence === 'number' && Number.isFinite(finalResponse.confidence)
-            ? finalResponse.confidence
-            : null;
-    return { answerText, sources, relevantLinks, confidence };
-}
+import { getMessage } from '../utils/language.js'
+import { isAbortError } from '../rag-system/ragUtils.js';
+import { requestUser } from '../config/auth.js';
+import { rateLimit } from '../rate-limiting/rateLimiter.js';
+import { ChatRequestError, abortOnDisconnect, assertSiteReady, parseChatRequest, runChatTurn } from './chatPipeline.js';
 
 
 export function setupChatRoutes(app, server) {
@@ -102,227 +90,102 @@ export function setupChatRoutes(app, server) {
 
 
     // streaming responses with bilingual support
-    app.post(
-        '/chat-stream',
-        async (req, res, next) => {
-            if (!server._chatRateLimiter) {
-                const redis = await server.dbManager.connectRedis().catch(() => null);
-                server._chatRateLimiter = createRateLimiter({
-                    redis,
-                    windowSeconds: 60,
-                    maxGlobal: 10,
-                    maxPerSession: 2,
-                    prefix: 'rl:chat:v1:',
-                });
-            }
-            return server._chatRateLimiter(req, res, next);
-        },
+    app.post('/chat-stream', rateLimit(server, 'chat'), async (req, res) => {
+        const site = req.site;
+        let request;
+        try {
+            request = parseChatRequest(req.body, req.headers, { admin: Boolean(await requestUser(server, req)) });
+        } catch (error) {
+            return res.status(error.status || 400).json({ success: false, error: error.message });
+        }
+        const { sessionId, language: userLanguage } = request;
 
-        async (req, res) => {
-            const { question, sessionId: clientSessionId, language: clientLanguage } = req.body || {};
+        if (request.languageChange) {
+            console.log(`[chat-stream] Language change requested for session ${sessionId}`);
 
-            if (!question || question.trim().length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Question is required and cannot be empty'
-                });
-            }
+            return res.json({
+                success: true,
+                requiresLanguageSelection: true,
+                sessionId: sessionId,
+                message: getMessage('languageSelection', 'bilingual')
+            });
+        }
 
-            const headerSessionId =
-                typeof req.headers['x-session-id'] === 'string' ? req.headers['x-session-id'] : undefined;
-            const sessionId =
-                clientSessionId ||
-                headerSessionId ||
-                `anon-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+        try {
+            assertSiteReady(site, userLanguage);
+        } catch (error) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
 
-            // Get language from request (client sends it with each request)
-            const userLanguage = clientLanguage || 'english';
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        if (typeof res.flushHeaders === 'function') {
+            res.flushHeaders();
+        }
 
-            if (languageManager.isLanguageChangeRequest(question)) {
-                console.log(`[chat-stream] Language change requested for session ${sessionId}`);
+        const send = (event, data) => {
+            res.write(`event: ${event}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        };
 
-                return res.json({
-                    success: true,
-                    requiresLanguageSelection: true,
-                    sessionId: sessionId,
-                    message: getMessage('languageSelection', 'bilingual')
-                });
-            }
+        // Stop generating (and skip history) once the browser disconnects
+        const signal = abortOnDisconnect(res);
 
-            if (!['english', 'hindi'].includes(userLanguage)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid language parameter. Must be "english" or "hindi"'
-                });
+        try {
+            const { answer, ...end } = await runChatTurn(server, site, request, {
+                onChunk: (chunkText) => send('chunk', { text: chunkText }),
+                signal,
+            });
+            send('end', end);
+            res.end();
+        } catch (error) {
+            if (isAbortError(error) && signal.aborted) {
+                console.log(`[chat-stream] client disconnected; stopped session ${sessionId}`);
+                return;
             }
+            console.error('chat-stream error:', error);
+            const errorMsg = getMessage('error', userLanguage);
+            send('error', {
+                error: error?.message || errorMsg,
+                language: userLanguage
+            });
+            res.end();
+        }
+    });
 
-            const history = server.chatHistory ? await server.chatHistory.getHistory(sessionId) : [];
 
-            const recordHistory = async (assistantText) => {
-                if (!server.chatHistory) return;
-                try {
-                    await server.chatHistory.appendMessage(sessionId, {
-                        role: 'user',
-                        content: question,
-                        at: new Date().toISOString(),
-                    });
-                    await server.chatHistory.appendMessage(sessionId, {
-                        role: 'assistant',
-                        content: assistantText || '',
-                        at: new Date().toISOString(),
-                    });
-                } catch (historyError) {
-                    console.warn('[ChatHistory] append failed:', historyError?.message || historyError);
-                }
-            };
 
-            if (!server.isInitialized) {
-                const errorMsg = getMessage('systemNotInitialized', userLanguage);
-                return res.status(503).json({
-                    success: false,
-                    error: errorMsg,
+    // Same pipeline as /chat-stream, answered as one JSON document
+    app.post('/chat', rateLimit(server, 'chat'), async (req, res) => {
+        const signal = abortOnDisconnect(res);
+        let request;
+        try {
+            request = parseChatRequest(req.body, req.headers, { admin: Boolean(await requestUser(server, req)) });
+            if (request.languageChange) {
+                return res.json({
+                    success: true,
+                    requiresLanguageSelection: true,
+                    sessionId: request.sessionId,
+                    message: getMessage('languageSelection', 'bilingual'),
                 });
             }
 
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-            if (typeof res.flushHeaders === 'function') {
-                res.flushHeaders();
-            }
-
-            const send = (event, data) => {
-                res.write(`event: ${event}\n`);
-                res.write(`data: ${JSON.stringify(data)}\n\n`);
-            };
-
-            let _cacheVector = null;
-
-            try {
-                // Check response cache (skip cache if history exists to ensure context-aware responses)
-                if (
-                    history.length === 0 &&
-                    server.responseCache &&
-                    server.ragSystem?.embeddingCache &&
-                    server.ragSystem?.embeddings
-                ) {
-                    const vector = await server.ragSystem.embeddingCache.getQueryEmbedding(
-                        question,
-                        async (q) => await server.ragSystem.embeddings.embedQuery(q)
-                    );
-                    _cacheVector = vector;
-                    const result = await server.responseCache.getSimilar(vector);
-
-                    if (result?.hit && result.item?.responseText) {
-                        // Check if cached response is in the same language
-                        const cachedLanguage = result.item.metadata?.language;
-
-                        if (cachedLanguage === userLanguage) {
-                            if (
-                                typeof server.responseCache.isUsableHit === 'function' &&
-                                server.responseCache.isUsableHit(result)
-                            ) {
-                                const meta = result.item.metadata || {};
-                                console.log(
-                                    `[ResponseCache] HIT sim=${result.similarity?.toFixed?.(
-                                        4
-                                    )} language=${userLanguage} → streaming cached answer`
-                                );
-                                send('chunk', { text: result.item.responseText });
-                                send('end', {
-                                    success: true,
-                                    question,
-                                    sources: meta.sources || [],
-                                    relevantLinks: Array.isArray(meta.relevantLinks) ? meta.relevantLinks : [],
-                                    confidence: meta.confidence,
-                                    language: userLanguage,
-                                    fromCache: true,
-                                });
-                                await recordHistory(result.item.responseText || '');
-                                return res.end();
-                            }
-                        } else {
-                            console.log(
-                                `[ResponseCache] HIT skipped → language mismatch (cached: ${cachedLanguage}, requested: ${userLanguage})`
-                            );
-                        }
-                    }
-                } else if (history.length > 0) {
-                    console.log('[ResponseCache] Skipping cache due to conversation history');
-                }
-            } catch (error) {
-                console.warn('[ResponseCache] lookup (stream) failed:', error?.message || error);
+            const result = await runChatTurn(server, req.site, request, { signal });
+            res.json({ ...result, sessionId: request.sessionId });
+        } catch (error) {
+            if (isAbortError(error) && signal.aborted) {
+                return;
             }
-
-            try {
-                console.log(`[chat-stream] Processing question in ${userLanguage} for session ${sessionId} (history: ${history.length} messages)`);
-
-                const finalResponse = await server.ragSystem.chatStream(
-                    question,
-                    _cacheVector || null,
-                    (chunkText) => {
-                        if (chunkText) {
-                            send('chunk', { text: chunkText });
-                        }
-                    },
-                    history,
-                    userLanguage
-                );
-
-                const { answerText, sources, relevantLinks, confidence } =
-                    extractChatResponseFields(finalResponse);
-
-                // Cache the response only if no history (to avoid caching context-dependent responses)
-                try {
-                    if (
-                        history.length === 0 &&
-                        server.responseCache &&
-                        _cacheVector &&
-                        answerText &&
-                        sources.length > 0 &&
-                        confidence !== null &&
-                        confidence > 0
-                    ) {
-                        await server.responseCache.put(_cacheVector, {
-                            responseText: answerText,
-                            question,
-                            metadata: {
-                                sources,
-                                relevantLinks,
-                                confidence,
-                                success: true,
-                                language: userLanguage,
-                                cachedAt: new Date().toISOString(),
-                            },
-                        });
-                        console.log(`[ResponseCache] Cached response for language: ${userLanguage}`);
-                    }
-                } catch (cacheError) {
-                    console.warn('[ResponseCache] put (stream) failed:', cacheError?.message || cacheError);
-                }
-
-                send('end', {
-                    success: true,
-                    question,
-                    sources,
-                    relevantLinks,
-                    confidence: confidence ?? 0,
-                    language: userLanguage,
-                    usedHistory: history.length > 0,
-                    historyLength: history.length,
-                });
-                await recordHistory(answerText || '');
-                res.end();
-            } catch (error) {
-                console.error('chat-stream error:', error);
-                const errorMsg = getMessage('error', userLanguage);
-                send('error', {
-                    error: error?.message || errorMsg,
-                    language: userLanguage
-                });
-                res.end();
+            if (error instanceof ChatRequestError) {
+                return res.status(error.status).json({ success: false, error: error.message });
             }
+            console.error('[chat] error:', error);
+            res.status(500).json({
+                success: false,
+                error: error?.message || getMessage('error', request?.language || 'english'),
+            });
         }
-    );
+    });
 
 }
\ No newline at end of file
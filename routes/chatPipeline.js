@@ -0,0 +1,368 @@
+import { getMessage, languageManager } from '../utils/language.js';
+import { normalizeQueryFilters } from '../rag-system/queryFilters.js';
+import { abortable, isAbortError } from '../rag-system/ragUtils.js';
+import { recordUsage } from '../usage/usageMeter.js';
+import { conversationContextHash } from '../caching/responseCache.js';
+
+// One chat turn, shared by every chat transport (SSE, JSON, WebSocket, OpenAI-compatible):
+// query rewrite, curated FAQs, response cache, retrieval + generation, history.
+
+export class ChatRequestError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'ChatRequestError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+
+/**
+ * Extracts and validates chat response fields from the final response object.
+ * Ensures consistency between chat routes and responseCache logic.
+ */
+function extractChatResponseFields(finalResponse) {
+    const answerText = typeof finalResponse?.answer === 'string' ? finalResponse.answer.trim() : '';
+    const sources = Array.isArray(finalResponse?.sources) ? finalResponse.sources : [];
+    const relevantLinks = Array.isArray(finalResponse?.relevantLinks) ? finalResponse.relevantLinks : [];
+    const confidence =
+        typeof finalResponse?.confidence === 'number' && Number.isFinite(finalResponse.confidence)
+            ? finalResponse.confidence
+            : null;
+    return { answerText, sources, relevantLinks, confidence };
+}
+
+
+/**
+ * Validates a chat request body (`question`, `sessionId`, `language`,
+ * `retrievalMode`, `reranker`, `filters`, `autoFilters`). Throws
+ * ChatRequestError(400) on bad input. `languageChange` is set when the
+ * question asks to switch language instead of being a question.
+ * `reranker` costs a rerank call per question, so it is only honoured for
+ * `admin` requests; everyone else gets the configured RERANKER.
+ */
+export function parseChatRequest(body = {}, headers = {}, { admin = false } = {}) {
+    const {
+        question,
+        sessionId: clientSessionId,
+        language: clientLanguage,
+        retrievalMode,
+        reranker,
+        filters: rawFilters,
+        autoFilters,
+    } = body || {};
+
+    if (!question || typeof question !== 'string' || question.trim().length === 0) {
+        throw new ChatRequestError('Question is required and cannot be empty');
+    }
+
+    const headerSessionId = typeof headers['x-session-id'] === 'string' ? headers['x-session-id'] : undefined;
+    const sessionId =
+        clientSessionId ||
+        headerSessionId ||
+        `anon-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+    let filters = null;
+    try {
+        filters = normalizeQueryFilters(rawFilters);
+    } catch (filterError) {
+        throw new ChatRequestError(filterError.message);
+    }
+
+    // Get language from request (client sends it with each request)
+    const language = clientLanguage || 'english';
+    const languageChange = languageManager.isLanguageChangeRequest(question);
+    if (!languageChange && !['english', 'hindi'].includes(language)) {
+        throw new ChatRequestError('Invalid language parameter. Must be "english" or "hindi"');
+    }
+
+    return {
+        question,
+        sessionId,
+        language,
+        retrievalMode,
+        reranker: admin ? reranker : undefined,
+        filters,
+        autoFilters,
+        languageChange,
+    };
+}
+
+
+/**
+ * Signal that aborts when the client goes away before `res` is finished, so
+ * HTTP transports stop generating for nobody. (`req` 'close' fires as soon as
+ * the body is read, so it is the response that is watched.)
+ */
+export function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+}
+
+
+export function assertSiteReady(site, language = 'english') {
+    if (!site.initialized) {
+        throw new ChatRequestError(getMessage('systemNotInitialized', language), 503);
+    }
+}
+
+
+/**
+ * Answers one question for `site`. `onChunk(text)` receives the answer as it
+ * streams (a cache hit arrives as one chunk). History is read from and
+ * written to the site's ChatHistory unless the caller passes `history`
+ * itself (OpenAI clients send the whole conversation), in which case nothing
+ * is recorded. Aborting `signal` stops the turn with an AbortError; a
+ * cancelled turn is neither cached nor written to history. Model and
+ * embedding usage is recorded per tenant and session (see UsageTracker); once
+ * a daily budget is spent, only FAQ and cached answers are served. A matching
+ * curated FAQ (see FaqStore) answers before the cache and retrieval, and its
+ * result carries `source: 'faq'`. Completed turns are also kept as durable
+ * transcripts (see TranscriptStore).
+ */
+export async function runChatTurn(server, site, request, options = {}) {
+    const startedAt = Date.now();
+    const result = server?.usage
+        ? await server.usage.track({ tenant: site.tenant.id, sessionId: request.sessionId }, () =>
+              answerTurn(server, site, request, options)
+          )
+        : await answerTurn(server, site, request, options);
+    // Not awaited: a slow transcript write should not hold up the answer
+    server?.transcripts?.record(site.tenant.id, request, result, { latencyMs: Date.now() - startedAt });
+    return result;
+}
+
+
+async function answerTurn(server, site, request, { onChunk = null, history: clientHistory = null, signal = null } = {}) {
+    const { question, sessionId, language: userLanguage, retrievalMode, reranker, filters, autoFilters } = request;
+    const emit = (text) => {
+        if (text && typeof onChunk === 'function') onChunk(text);
+    };
+
+    const history = clientHistory || (site.chatHistory ? await site.chatHistory.getHistory(sessionId) : []);
+
+    const recordHistory = async (assistantText) => {
+        if (!site.chatHistory || clientHistory) return;
+        try {
+            await site.chatHistory.appendMessage(sessionId, {
+                role: 'user',
+                content: question,
+                at: new Date().toISOString(),
+            });
+            await site.chatHistory.appendMessage(sessionId, {
+                role: 'assistant',
+                content: assistantText || '',
+                at: new Date().toISOString(),
+            });
+        } catch (historyError) {
+            console.warn('[ChatHistory] append failed:', historyError?.message || historyError);
+        }
+    };
+
+    assertSiteReady(site, userLanguage);
+    recordUsage({ questions: 1 });
+
+    // Over budget: no model calls (rewrite, generation), cached answers only
+    const budget = server?.usage ? await server.usage.budgetStatus(site.tenant.id, sessionId) : null;
+    const cacheOnly = Boolean(budget?.exceeded);
+
+    let _cacheVector = null;
+
+    // Condense follow-ups into a standalone question before anything is embedded.
+    let rewrite = { query: question, rewritten: false };
+    if (history.length > 0 && !cacheOnly) {
+        try {
+            rewrite = await site.ragSystem.rewriteQuery(question, history, { signal });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn('[query-rewrite] failed:', error?.message || error);
+        }
+    }
+    const retrievalQuestion = rewrite.query || question;
+    const rewrittenQuery = rewrite.rewritten ? retrievalQuestion : null;
+
+    // Explicit filters narrow retrieval, so those answers are never cached.
+    // A follow-up rewritten into a standalone question is cached like a first
+    // turn; one that could not be rewritten is cached under a hash of the
+    // turns it may refer to, so it is only reused in the same conversation state.
+    const followUp = history.length > 0;
+    const standalone = !followUp || rewrite.rewritten;
+    const cacheable = !filters;
+    const cacheScope = {
+        language: userLanguage,
+        context: standalone
+            ? null
+            : conversationContextHash(history, site.ragSystem?.queryRewriteConfig?.maxTurns),
+        turn: followUp ? 'followUp' : 'firstTurn',
+    };
+    const canEmbed = Boolean(site.ragSystem?.embeddingCache && site.ragSystem?.embeddings);
+    const questionVector = async () => {
+        _cacheVector ||= await abortable(
+            site.ragSystem.embeddingCache.getQueryEmbedding(
+                retrievalQuestion,
+                async (q) => await site.ragSystem.embeddings.embedQuery(q, { signal })
+            ),
+            signal
+        );
+        return _cacheVector;
+    };
+
+    // Curated answers win over cached and generated ones
+    try {
+        if (standalone && server?.faqs && canEmbed) {
+            const match = await server.faqs.match(site, await questionVector(), userLanguage);
+            if (match) {
+                console.log(`[faq] HIT ${match.faq.id} sim=${match.similarity.toFixed(4)} language=${userLanguage}`);
+                signal?.throwIfAborted();
+                recordUsage({ faqAnswers: 1 });
+                emit(match.answer);
+                await recordHistory(match.answer);
+                return {
+                    success: true,
+                    question,
+                    answer: match.answer,
+                    sources: [],
+                    relevantLinks: match.faq.links || [],
+                    confidence: match.similarity,
+                    language: userLanguage,
+                    source: 'faq',
+                    faq: { id: match.faq.id, matchedQuestion: match.matchedQuestion, similarity: match.similarity },
+                    rewrittenQuery,
+                };
+            }
+        }
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn('[faq] lookup failed:', error?.message || error);
+    }
+
+    try {
+        if (cacheable && site.responseCache && canEmbed) {
+            const vector = await questionVector();
+            const result = await site.responseCache.getSimilar(vector, cacheScope);
+
+            if (result?.hit && result.item?.responseText && site.responseCache.isUsableHit(result.item)) {
+                const meta = result.item.metadata || {};
+                console.log(
+                    `[ResponseCache] HIT sim=${result.similarity?.toFixed?.(4)} language=${userLanguage} turn=${cacheScope.turn}${
+                        cacheScope.context ? ' (context-keyed)' : ''
+                    } → serving cached answer`
+                );
+                signal?.throwIfAborted();
+                recordUsage({ responseCacheHits: 1, followUpCacheHits: followUp ? 1 : 0 });
+                emit(result.item.responseText);
+                await recordHistory(result.item.responseText || '');
+                return {
+                    success: true,
+                    question,
+                    answer: result.item.responseText,
+                    sources: meta.sources || [],
+                    relevantLinks: Array.isArray(meta.relevantLinks) ? meta.relevantLinks : [],
+                    confidence: meta.confidence,
+                    language: userLanguage,
+                    fromCache: true,
+                    rewrittenQuery,
+                };
+            }
+            recordUsage({ responseCacheMisses: 1, followUpCacheMisses: followUp ? 1 : 0 });
+        }
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn('[ResponseCache] lookup failed:', error?.message || error);
+    }
+
+    if (cacheOnly) {
+        console.warn(`[usage] ${budget.exceeded} budget spent for tenant ${site.tenant.id}; cache miss not answered`);
+        const answer = getMessage('budgetExceeded', userLanguage);
+        recordUsage({ degradedAnswers: 1 });
+        emit(answer);
+        return {
+            success: true,
+            question,
+            answer,
+            sources: [],
+            relevantLinks: [],
+            confidence: 0,
+            language: userLanguage,
+            degraded: 'budget',
+            budgetExceeded: budget.exceeded,
+            usedHistory: history.length > 0,
+            historyLength: history.length,
+            rewrittenQuery,
+        };
+    }
+
+    console.log(
+        `[chat] Processing question in ${userLanguage} for session ${sessionId} (history: ${history.length} messages)`
+    );
+
+    const finalResponse = await site.ragSystem.chatStream(
+        question,
+        _cacheVector || null,
+        emit,
+        history,
+        userLanguage,
+        {
+            retrievalMode,
+            reranker,
+            filters,
+            inferFilters: autoFilters !== false,
+            retrievalQuery: retrievalQuestion,
+            signal,
+        }
+    );
+    // The client may have gone away after the last chunk
+    signal?.throwIfAborted();
+
+    const { answerText, sources, relevantLinks, confidence } = extractChatResponseFields(finalResponse);
+
+    // Cached under the same language and context partition it was looked up in
+    try {
+        if (
+            cacheable &&
+            site.responseCache &&
+            _cacheVector &&
+            answerText &&
+            sources.length > 0 &&
+            confidence !== null &&
+            confidence > 0
+        ) {
+            await site.responseCache.put(_cacheVector, {
+                responseText: answerText,
+                question: retrievalQuestion,
+                context: cacheScope.context,
+                metadata: {
+                    sources,
+                    relevantLinks,
+                    confidence,
+                    success: true,
+                    language: userLanguage,
+                    cachedAt: new Date().toISOString(),
+                },
+            });
+            console.log(`[ResponseCache] Cached response for language: ${userLanguage}`);
+        }
+    } catch (cacheError) {
+        console.warn('[ResponseCache] put failed:', cacheError?.message || cacheError);
+    }
+
+    await recordHistory(answerText || '');
+    return {
+        success: true,
+        question,
+        answer: answerText,
+        sources,
+        relevantLinks,
+        confidence: confidence ?? 0,
+        language: userLanguage,
+        usedHistory: history.length > 0,
+        historyLength: history.length,
+        retrievalMode: finalResponse?.retrievalMode,
+        rerank: finalResponse?.rerank || null,
+        filters: finalResponse?.filters || { applied: null, source: null },
+        rewrittenQuery,
+    };
+}
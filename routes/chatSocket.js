@@ -0,0 +1,213 @@
+import { WebSocketServer } from 'ws';
+import cookieParser from 'cookie-parser';
+import { getMessage } from '../utils/language.js';
+import { isAbortError } from '../rag-system/ragUtils.js';
+import { requestUser } from '../config/auth.js';
+import { rateLimitBody } from '../rate-limiting/rateLimiter.js';
+import { ChatRequestError, assertSiteReady, parseChatRequest, runChatTurn } from './chatPipeline.js';
+
+// WebSocket chat transport. One connection carries any number of questions,
+// each tagged with a client-chosen `id`, so answers can interleave and each
+// one can be cancelled on its own. Closing the socket cancels everything.
+//
+// client -> server
+//   { type: 'ask', id, question, sessionId?, language?, retrievalMode?, reranker?, filters?, autoFilters? }
+//   { type: 'cancel', id }
+//   { type: 'ping' }
+// server -> client
+//   { type: 'ready', tenant, maxInFlight }
+//   { type: 'chunk', id, text }
+//   { type: 'end', id, ...result without `answer` }   (same fields as /chat-stream `end`)
+//   { type: 'cancelled', id }
+//   { type: 'language-selection', id, sessionId, message }
+//   { type: 'error', id?, status, error }
+//   { type: 'pong' }
+
+export function readChatSocketConfig(env = process.env) {
+    const maxInFlight = Math.floor(Number(env.CHAT_WS_MAX_IN_FLIGHT));
+    return {
+        path: (env.CHAT_WS_PATH || '/ws/chat').trim(),
+        maxInFlight: Number.isFinite(maxInFlight) && maxInFlight > 0 ? maxInFlight : 4,
+        heartbeatMs: 30000,
+        maxPayloadBytes: 64 * 1024,
+    };
+}
+
+const parseCookies = cookieParser();
+
+// The upgrade request skips Express, so give it what the rate limiter reads
+// on HTTP routes: req.ip (X-Forwarded-For under TRUST_PROXY, via Express's
+// request prototype) and req.cookies (admin bypass with the adminToken cookie).
+function asExpressRequest(req, app) {
+    if (app?.request) {
+        Object.setPrototypeOf(req, app.request);
+    }
+    parseCookies(req, null, () => {});
+    return req;
+}
+
+function rejectUpgrade(socket, status, reason) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+
+function handleConnection(ws, req, site, server, config) {
+    const inFlight = new Map();
+
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+    const sendError = (id, status, error) => send({ type: 'error', ...(id !== null ? { id } : {}), status, error });
+
+    const ask = async (message) => {
+        const id = typeof message.id === 'string' || typeof message.id === 'number' ? String(message.id) : null;
+        if (!id) {
+            return sendError(null, 400, 'Each question needs an "id"');
+        }
+        if (inFlight.has(id)) {
+            return sendError(id, 409, `Question "${id}" is already in flight`);
+        }
+        if (inFlight.size >= config.maxInFlight) {
+            return sendError(id, 429, `At most ${config.maxInFlight} questions can be in flight per connection`);
+        }
+
+        // Registered before the first await so a cancel or duplicate id is seen right away
+        const controller = new AbortController();
+        inFlight.set(id, controller);
+        let request;
+        try {
+            const limiter = await server.getRateLimiter('chat');
+            const decision = await limiter.check(req, {
+                sessionId: typeof message.sessionId === 'string' ? message.sessionId : undefined,
+            });
+            if (!decision.allowed) {
+                return send({ type: 'error', id, status: 429, ...rateLimitBody(decision) });
+            }
+
+            request = parseChatRequest(message, req.headers, { admin: Boolean(await requestUser(server, req)) });
+            if (request.languageChange) {
+                return send({
+                    type: 'language-selection',
+                    id,
+                    sessionId: request.sessionId,
+                    message: getMessage('languageSelection', 'bilingual'),
+                });
+            }
+            assertSiteReady(site, request.language);
+            controller.signal.throwIfAborted();
+
+            const { answer, ...end } = await runChatTurn(server, site, request, {
+                onChunk: (text) => send({ type: 'chunk', id, text }),
+                signal: controller.signal,
+            });
+            send({ type: 'end', id, ...end, sessionId: request.sessionId });
+        } catch (error) {
+            if (isAbortError(error) && controller.signal.aborted) {
+                return send({ type: 'cancelled', id });
+            }
+            if (error instanceof ChatRequestError) {
+                return sendError(id, error.status, error.message);
+            }
+            console.error('[chat-ws] error:', error);
+            sendError(id, 500, error?.message || getMessage('error', request?.language || 'english'));
+        } finally {
+            inFlight.delete(id);
+        }
+    };
+
+    ws.on('message', (data, isBinary) => {
+        let message;
+        try {
+            message = isBinary ? null : JSON.parse(data.toString());
+        } catch {
+            message = null;
+        }
+        if (!message || typeof message !== 'object') {
+            return sendError(null, 400, 'Messages must be JSON objects');
+        }
+
+        switch (message.type) {
+            case 'ask':
+                ask(message);
+                break;
+            case 'cancel':
+                // Cancelling a question that already finished is not an error
+                inFlight.get(String(message.id))?.abort();
+                break;
+            case 'ping':
+                send({ type: 'pong' });
+                break;
+            default:
+                sendError(message.id ?? null, 400, `Unknown message type "${message.type}"`);
+        }
+    });
+
+    const abortAll = () => {
+        for (const controller of inFlight.values()) {
+            controller.abort();
+        }
+    };
+
+    ws.on('close', abortAll);
+
+    // Oversized or malformed frames surface here; unhandled, they would crash the process
+    ws.on('error', (error) => {
+        console.warn('[chat-ws] connection error:', error?.code || error?.message || error);
+        abortAll();
+    });
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    send({ type: 'ready', tenant: site.tenant.id, maxInFlight: config.maxInFlight });
+}
+
+
+/**
+ * Serves WebSocket chat on `config.path` of the HTTP server. The tenant comes
+ * from `?tenant=` (browsers cannot set headers on a WebSocket), else the
+ * tenant header or host as for HTTP routes.
+ */
+export function setupChatSocket(httpServer, server, config = readChatSocketConfig()) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: config.maxPayloadBytes });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== config.path) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+        const requested = url.searchParams.get('tenant');
+        const tenant = requested ? server.tenants.get(requested) : server.tenants.resolve(req);
+        if (!tenant) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+        const site = server.site(tenant.id);
+        asExpressRequest(req, server.app);
+        wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, req, site, server, config));
+    });
+
+    // Drop connections that stopped answering pings (sleeping laptops, dead proxies)
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, config.heartbeatMs);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+    wss.on('error', (error) => {
+        console.error('[chat-ws] server error:', error?.message || error);
+    });
+
+    console.log(`[chat-ws] WebSocket chat on ${config.path}`);
+    return wss;
+}
@@ -2,7 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { authenticateAdmin } from "../config/auth.js";
+import { requireRole } from "../config/auth.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,28 +21,25 @@ const summarizePageCategories = (pages = []) => {
 export function setupDataRoutes(app, server) {
 
     // Get system statistics
-    app.get('/stats', authenticateAdmin, async (req, res) => {
+    app.get('/stats', requireRole(server, 'viewer'), async (req, res) => {
         try {
-            const indexStats = await server.ragSystem.getIndexStats();
+            const { ragSystem, tenant } = req.site;
+            const indexStats = await ragSystem.getIndexStats();
             const mongoSummary = {
                 status: server.dbManager.mongo.status,
                 db: server.dbManager.mongo.dbName,
-                pagesCollection: server.dbManager.mongo.pagesName,
-                chunksCollection: server.dbManager.mongo.chunksName,
+                pagesCollection: `${tenant.collectionPrefix}${server.dbManager.mongo.pagesName}`,
+                chunksCollection: `${tenant.collectionPrefix}${server.dbManager.mongo.chunksName}`,
                 lastError: server.dbManager.mongo.lastError,
                 totals: null,
             };
 
-            if (
-                server.dbManager.mongo.status === 'connected' &&
-                server.dbManager.mongo.pagesColl &&
-                server.dbManager.mongo.chunksColl
-            ) {
+            if (server.dbManager.mongo.status === 'connected' && ragSystem.mongoAvailable()) {
                 try {
                     const [pagesTotal, pagesActive, chunksTotal] = await Promise.all([
-                        server.dbManager.mongo.pagesColl.estimatedDocumentCount(),
-                        server.dbManager.mongo.pagesColl.countDocuments({ deleted: false }),
-                        server.dbManager.mongo.chunksColl.estimatedDocumentCount(),
+                        ragSystem.pagesColl.estimatedDocumentCount(),
+                        ragSystem.pagesColl.countDocuments({ deleted: false }),
+                        ragSystem.chunksColl.estimatedDocumentCount(),
                     ]);
                     mongoSummary.totals = {
                         pages: pagesTotal,
@@ -56,7 +53,7 @@ export function setupDataRoutes(app, server) {
             }
 
             // Get available scraped data files
-            const dataDir = path.join(dirname(__dirname), 'scraped_data');
+            const dataDir = path.join(dirname(__dirname), 'scraped_data', tenant.dataDir);
             let dataFiles = [];
             try {
                 const files = await fs.readdir(dataDir);
@@ -71,12 +68,14 @@ export function setupDataRoutes(app, server) {
             res.json({
                 success: true,
                 statistics: {
-                    initialized: server.isInitialized,
+                    tenant: tenant.id,
+                    initialized: req.site.initialized,
                     aiProvider: 'Google Gemini',
+                    providers: req.site.ragSystem.describeProviders(),
                     pineconeIndex: process.env.PINECONE_INDEX_NAME?.trim(),
                     pineconeEnvironment: process.env.PINECONE_ENVIRONMENT?.trim(),
                     vectorDatabase: indexStats,
-                    embeddingCache: server.ragSystem?.embeddingCache?.getStats?.() || null,
+                    embeddingCache: req.site.ragSystem.embeddingCache?.getStats?.() || null,
                     mongo: mongoSummary,
                     scrapedDataFiles: dataFiles.length,
                     latestDataFile: dataFiles[0]?.filename || 'None',
@@ -95,7 +94,7 @@ export function setupDataRoutes(app, server) {
     // Get data sources with link information
     app.get('/sources', async (req, res) => {
         try {
-            const dataDir = path.join(dirname(__dirname), 'scraped_data');
+            const dataDir = path.join(dirname(__dirname), 'scraped_data', req.site.tenant.dataDir);
             const files = await fs.readdir(dataDir).catch(() => []);
 
             const sources = [];
@@ -136,12 +135,12 @@ export function setupDataRoutes(app, server) {
         try {
             const { type = 'all' } = req.query;
 
-            if (!server.isInitialized) {
+            if (!req.site.initialized) {
                 return res.status(503).json({ success: false, error: 'System not initialized' });
             }
 
             const allLinks = [];
-            for (const [key, link] of server.ragSystem.linkDatabase.entries()) {
+            for (const [key, link] of req.site.ragSystem.linkDatabase.entries()) {
                 if (type === 'all' || link.type === type) {
                     allLinks.push({ key: key, ...link });
                 }
@@ -0,0 +1,107 @@
+import { requireRole } from '../config/auth.js';
+import { FAQ_LANGUAGES } from '../faq/faqStore.js';
+
+// Curated FAQ answers for the request's tenant (see FaqStore). Editors manage
+// them; viewers can list them and try a question against them.
+
+function sendFaqError(res, error) {
+    if (!error?.status) {
+        console.error('[faq] error:', error);
+    }
+    res.status(error?.status || 500).json({
+        success: false,
+        error: error?.message || 'Internal server error',
+        code: error?.code || null,
+    });
+}
+
+
+export function setupFaqRoutes(app, server) {
+
+    // GET /admin/faqs?search=&includeExpired=false
+    app.get('/admin/faqs', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const faqs = await server.faqs.list(req.site.tenant.id, {
+                search: req.query.search,
+                includeExpired: req.query.includeExpired !== 'false',
+            });
+            res.json({ success: true, faqs, stats: server.faqs.getStats(req.site.tenant.id) });
+        } catch (error) {
+            sendFaqError(res, error);
+        }
+    });
+
+
+
+    app.get('/admin/faqs/:id', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const faq = await server.faqs.get(req.site.tenant.id, req.params.id);
+            res.json({ success: true, faq });
+        } catch (error) {
+            sendFaqError(res, error);
+        }
+    });
+
+
+
+    // { variants: { english: { questions: [...], answer }, hindi?: {...} }, links?, expiresAt?, enabled? }
+    app.post('/admin/faqs', requireRole(server, 'editor'), async (req, res) => {
+        try {
+            const faq = await server.faqs.create(req.site.tenant.id, req.body || {}, req.user.username);
+            res.status(201).json({ success: true, faq });
+        } catch (error) {
+            sendFaqError(res, error);
+        }
+    });
+
+
+
+    // Any of { variants, links, expiresAt, enabled }
+    app.put('/admin/faqs/:id', requireRole(server, 'editor'), async (req, res) => {
+        try {
+            const faq = await server.faqs.update(req.site.tenant.id, req.params.id, req.body || {}, req.user.username);
+            res.json({ success: true, faq });
+        } catch (error) {
+            sendFaqError(res, error);
+        }
+    });
+
+
+
+    app.delete('/admin/faqs/:id', requireRole(server, 'editor'), async (req, res) => {
+        try {
+            await server.faqs.remove(req.site.tenant.id, req.params.id, req.user.username);
+            res.json({ success: true });
+        } catch (error) {
+            sendFaqError(res, error);
+        }
+    });
+
+
+
+    // { question, language } -- which FAQ, if any, would answer this question
+    app.post('/admin/faqs/match', requireRole(server, 'viewer'), async (req, res) => {
+        const { question, language = 'english' } = req.body || {};
+        if (typeof question !== 'string' || !question.trim()) {
+            return res.status(400).json({ success: false, error: 'question is required' });
+        }
+        if (!FAQ_LANGUAGES.includes(language)) {
+            return res.status(400).json({ success: false, error: `language must be one of ${FAQ_LANGUAGES.join(', ')}` });
+        }
+        const { ragSystem } = req.site;
+        if (!req.site.initialized || !ragSystem.embeddingCache || !ragSystem.embeddings) {
+            return res.status(503).json({ success: false, error: 'RAG system not initialized' });
+        }
+        try {
+            const vector = await ragSystem.embeddingCache.getQueryEmbedding(
+                question.trim(),
+                async (q) => await ragSystem.embeddings.embedQuery(q)
+            );
+            const match = await server.faqs.match(req.site, vector, language, { recordHit: false });
+            res.json({ success: true, match, threshold: server.faqs.config.threshold });
+        } catch (error) {
+            sendFaqError(res, error);
+        }
+    });
+
+}
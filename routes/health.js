@@ -1,27 +1,30 @@
-import { authenticateAdmin } from "../config/auth.js";
+import { requireRole } from "../config/auth.js";
 
 export function setupHealthRoutes(app, server) {
 
     // Health check endpoint
     app.get('/health', async (req, res) => {
         try {
-            const indexStats = await server.ragSystem.getIndexStats();
+            const indexStats = await req.site.ragSystem.getIndexStats();
             res.json({
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
-                initialized: server.isInitialized,
+                tenant: req.site.tenant.id,
+                tenants: server.tenants.list().map((tenant) => tenant.id),
+                initialized: req.site.initialized,
                 vectorDatabase: indexStats,
-                embeddingCache: server.ragSystem?.embeddingCache?.getStats?.() || null,
-                responseCache: server.responseCache?.getStats?.() || null,
+                embeddingCache: req.site.ragSystem.embeddingCache?.getStats?.() || null,
+                responseCache: req.site.responseCache?.getStats?.() || null,
                 mongo: {
                     status: server.dbManager.mongo.status,
                     db: server.dbManager.mongo.dbName,
-                    pagesCollection: server.dbManager.mongo.pagesName,
-                    chunksCollection: server.dbManager.mongo.chunksName,
+                    pagesCollection: `${req.site.tenant.collectionPrefix}${server.dbManager.mongo.pagesName}`,
+                    chunksCollection: `${req.site.tenant.collectionPrefix}${server.dbManager.mongo.chunksName}`,
                     lastError: server.dbManager.mongo.lastError,
                 },
                 environment: process.env.NODE_ENV || 'development',
                 aiProvider: 'Google Gemini',
+                providers: req.site.ragSystem.describeProviders(),
                 pineconeIndex: process.env.PINECONE_INDEX_NAME?.trim() || 'Not configured',
             });
         } catch (error) {
@@ -32,7 +35,7 @@ export function setupHealthRoutes(app, server) {
 
 
     // Test Gemini connection
-    app.get('/test-gemini', authenticateAdmin, async (req, res) => {
+    app.get('/test-gemini', requireRole(server, 'viewer'), async (req, res) => {
         try {
             const { GoogleGenerativeAI } = await import('@google/generative-ai');
             const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -63,7 +66,7 @@ export function setupHealthRoutes(app, server) {
 
 
     // Test Pinecone connection
-    app.get('/test-pinecone', authenticateAdmin, async (req, res) => {
+    app.get('/test-pinecone', requireRole(server, 'viewer'), async (req, res) => {
         try {
             const { Pinecone } = await import('@pinecone-database/pinecone');
             const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY.trim() });
@@ -4,13 +4,38 @@ import { setupChatRoutes } from './chat.js';
 import { setupScrapeRoutes } from './scrape.js';
 import { setupDataRoutes } from './data.js';
 import { setupStaticRoutes } from './static.js';
+import { setupJobRoutes } from './jobs.js';
+import { setupLedgerRoutes } from './ledger.js';
+import { setupOpenAICompatRoutes } from './openaiCompat.js';
+import { setupUsageRoutes } from './usage.js';
+import { setupAdminUserRoutes } from './adminUsers.js';
+import { setupCacheRoutes } from './cache.js';
+import { setupFaqRoutes } from './faq.js';
+import { setupTranscriptRoutes } from './transcripts.js';
 
 
 export function setupRoutes(app, server) {
+    // Every request is served for one tenant (site): header, host or the default
+    app.use((req, res, next) => {
+        req.site = server.siteFor(req);
+        if (!req.site) {
+            return res.status(404).json({ success: false, error: 'Unknown tenant' });
+        }
+        next();
+    });
+
     setupHealthRoutes(app, server);
     setupSystemRoutes(app, server);
     setupChatRoutes(app, server);
+    setupOpenAICompatRoutes(app, server);
     setupScrapeRoutes(app, server);
     setupDataRoutes(app, server);
+    setupJobRoutes(app, server);
+    setupLedgerRoutes(app, server);
+    setupUsageRoutes(app, server);
+    setupAdminUserRoutes(app, server);
+    setupCacheRoutes(app, server);
+    setupFaqRoutes(app, server);
+    setupTranscriptRoutes(app, server);
     setupStaticRoutes(app, server);
 }
\ No newline at end of file
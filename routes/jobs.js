@@ -0,0 +1,135 @@
+import { requireRole } from "../config/auth.js";
+import { hasRole } from '../config/adminUsers.js';
+import { TERMINAL_STATUSES } from '../jobs/ingestionJobs.js';
+
+
+export function sendJobError(res, error) {
+    const status = error?.status || 500;
+    res.status(status).json({
+        success: false,
+        error: error?.message || 'Job request failed',
+        code: error?.code || null,
+        ...(error?.details || {}),
+    });
+}
+
+
+export function jobLinks(jobId) {
+    return {
+        statusUrl: `/jobs/${jobId}`,
+        eventsUrl: `/jobs/${jobId}/events`,
+        cancelUrl: `/jobs/${jobId}/cancel`,
+    };
+}
+
+
+export function setupJobRoutes(app, server) {
+
+    // List recent ingestion jobs
+    app.get('/jobs', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const jobs = await server.jobs.list({ limit: req.query.limit });
+            res.json({ success: true, jobs });
+        } catch (error) {
+            sendJobError(res, error);
+        }
+    });
+
+
+
+    app.get('/jobs/:id', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const job = await server.jobs.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+            res.json({ success: true, job });
+        } catch (error) {
+            sendJobError(res, error);
+        }
+    });
+
+
+
+    // SSE progress stream: `progress` events until the job reaches a final state
+    app.get('/jobs/:id/events', requireRole(server, 'viewer'), async (req, res) => {
+        let job;
+        try {
+            job = await server.jobs.get(req.params.id);
+        } catch (error) {
+            return sendJobError(res, error);
+        }
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        if (typeof res.flushHeaders === 'function') {
+            res.flushHeaders();
+        }
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const isFinal = (snapshot) =>
+            TERMINAL_STATUSES.includes(snapshot.status) || snapshot.status === 'interrupted';
+
+        send('progress', job);
+        // Jobs not running in this process will not emit further updates
+        if (isFinal(job) || server.jobs.active?.id !== job.id) {
+            send('end', job);
+            return res.end();
+        }
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        const onUpdate = (snapshot) => {
+            if (snapshot.id !== job.id) return;
+            send('progress', snapshot);
+            if (isFinal(snapshot)) {
+                send('end', snapshot);
+                cleanup();
+                res.end();
+            }
+        };
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            server.jobs.off('update', onUpdate);
+        };
+
+        server.jobs.on('update', onUpdate);
+        req.on('close', cleanup);
+    });
+
+
+
+    app.post('/jobs/:id/cancel', requireRole(server, 'editor'), async (req, res) => {
+        try {
+            const job = await server.jobs.cancel(req.params.id);
+            res.json({ success: true, job });
+        } catch (error) {
+            sendJobError(res, error);
+        }
+    });
+
+
+
+    // Re-run an interrupted/failed/cancelled job; committed batches are skipped
+    app.post('/jobs/:id/resume', requireRole(server, 'editor'), async (req, res) => {
+        try {
+            // Resuming a scrape needs the same role as starting one
+            const existing = await server.jobs.get(req.params.id);
+            if (existing?.type === 'scrape-and-embed' && !hasRole(req.user, 'owner')) {
+                return res.status(403).json({ error: 'owner role required' });
+            }
+            const job = await server.jobs.resume(req.params.id);
+            res.status(202).json({ success: true, job, ...jobLinks(job.id) });
+        } catch (error) {
+            sendJobError(res, error);
+        }
+    });
+
+}
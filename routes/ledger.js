@@ -0,0 +1,106 @@
+import { requireRole } from "../config/auth.js";
+import { sendJobError } from "./jobs.js";
+
+export function setupLedgerRoutes(app, server) {
+
+    const requireMongo = async (res) => {
+        const mongoReady = await server.dbManager.ensureMongoConnected();
+        if (!mongoReady) {
+            res.status(503).json({ success: false, error: 'MongoDB not connected' });
+        }
+        return mongoReady;
+    };
+
+
+    // Browse ledger pages: GET /ledger/pages?search=placement&limit=50&skip=0
+    app.get('/ledger/pages', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            if (!(await requireMongo(res))) return;
+            const { total, pages } = await req.site.ragSystem.listLedgerPages({
+                search: req.query.search,
+                limit: req.query.limit,
+                skip: req.query.skip,
+                includeDeleted: req.query.includeDeleted === 'true',
+            });
+            res.json({ success: true, total, pages });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // One page's structuredText and full chunk texts: GET /ledger/page?url=<page url>
+    app.get('/ledger/page', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const url = String(req.query.url || '').trim();
+            if (!url) {
+                return res.status(400).json({ success: false, error: 'Query parameter "url" is required' });
+            }
+            if (!(await requireMongo(res))) return;
+            const ledger = await req.site.ragSystem.getLedgerPage(url);
+            if (!ledger) {
+                return res.status(404).json({ success: false, error: 'Page not found in ledger' });
+            }
+            res.json({ success: true, ...ledger });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // Substring search over stored chunk text: GET /ledger/chunks/search?q=hostel&url=<optional>
+    app.get('/ledger/chunks/search', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const q = String(req.query.q || '').trim();
+            if (!q) {
+                return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
+            }
+            if (!(await requireMongo(res))) return;
+            const results = await req.site.ragSystem.searchChunks(q, {
+                url: req.query.url ? String(req.query.url) : null,
+                limit: req.query.limit,
+            });
+            res.json({ success: true, count: results.length, results });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // Re-embed stored chunks without re-scraping. Body: { "url" } or { "chunkId" }
+    app.post('/ledger/reembed', requireRole(server, 'editor'), async (req, res) => {
+        try {
+            const { url, chunkId } = req.body || {};
+            if (!url && !chunkId) {
+                return res.status(400).json({ success: false, error: 'Provide "url" or "chunkId"' });
+            }
+            if (!(await requireMongo(res))) return;
+
+            // Same slot as ingestion jobs: 409 while one (or a rollback) runs
+            const result = await server.jobs.runExclusive('re-embed', () =>
+                req.site.ragSystem.reembedChunks({
+                    url: url ? String(url) : null,
+                    chunkId: chunkId ? String(chunkId) : null,
+                })
+            );
+            if (!result.matched) {
+                return res.status(404).json({ success: false, error: 'No stored chunks matched' });
+            }
+            res.json({
+                success: result.failed.length === 0,
+                reembed: result,
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            if (error?.code === 'JOB_ACTIVE') {
+                return sendJobError(res, error);
+            }
+            console.error('[reembed] Failed:', error?.message || error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+}
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import { isAbortError } from '../rag-system/ragUtils.js';
+import { requestUser } from '../config/auth.js';
+import { rateLimit } from '../rate-limiting/rateLimiter.js';
+import { ChatRequestError, abortOnDisconnect, assertSiteReady, parseChatRequest, runChatTurn } from './chatPipeline.js';
+
+// OpenAI-compatible Chat Completions API over the RAG pipeline, so existing
+// OpenAI clients and chat UIs can point their base URL at this server.
+// RAG details (sources, links, confidence, cache) ride along in `rag`.
+
+const MODEL_ID = 'nitjsr-rag';
+
+function sendOpenAIError(res, status, message, type = 'invalid_request_error') {
+    res.status(status).json({ error: { message, type, code: null } });
+}
+
+function messageText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .filter((part) => part?.type === 'text' && typeof part.text === 'string')
+            .map((part) => part.text)
+            .join('\n');
+    }
+    return '';
+}
+
+/**
+ * Splits OpenAI `messages` into the question (last user message) and the
+ * conversation before it. System messages are ignored: the tenant persona
+ * is the system prompt.
+ */
+function splitMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new ChatRequestError('"messages" must be a non-empty array');
+    }
+    const turns = messages
+        .filter((message) => message?.role === 'user' || message?.role === 'assistant')
+        .map((message) => ({ role: message.role, content: messageText(message.content).trim() }))
+        .filter((message) => message.content);
+    const last = turns[turns.length - 1];
+    if (!last || last.role !== 'user') {
+        throw new ChatRequestError('The last message must be a user message with text content');
+    }
+    return { question: last.content, history: turns.slice(0, -1) };
+}
+
+function ragExtension(result) {
+    const { answer, question, success, ...rest } = result;
+    return rest;
+}
+
+
+export function setupOpenAICompatRoutes(app, server) {
+
+    app.get('/v1/models', (req, res) => {
+        res.json({
+            object: 'list',
+            data: [{ id: MODEL_ID, object: 'model', created: 0, owned_by: req.site.tenant.id }],
+        });
+    });
+
+
+
+    // Body: standard Chat Completions fields, plus optional language / retrievalMode /
+    // reranker / filters / autoFilters as in /chat
+    app.post('/v1/chat/completions', rateLimit(server, 'openai'), async (req, res) => {
+        const body = req.body || {};
+        const id = `chatcmpl-${crypto.randomUUID()}`;
+        const created = Math.floor(Date.now() / 1000);
+        const model = typeof body.model === 'string' && body.model ? body.model : MODEL_ID;
+
+        let request;
+        let history;
+        try {
+            const split = splitMessages(body.messages);
+            history = split.history;
+            request = parseChatRequest(
+                {
+                    question: split.question,
+                    sessionId: typeof body.user === 'string' ? body.user : undefined,
+                    language: body.language,
+                    retrievalMode: body.retrievalMode,
+                    reranker: body.reranker,
+                    filters: body.filters,
+                    autoFilters: body.autoFilters,
+                },
+                req.headers,
+                { admin: Boolean(await requestUser(server, req)) }
+            );
+            if (request.languageChange) {
+                throw new ChatRequestError('Language changes are not supported here; pass "language" instead');
+            }
+            assertSiteReady(req.site, request.language);
+        } catch (error) {
+            const status = error.status || 400;
+            return sendOpenAIError(res, status, error.message, status === 503 ? 'server_error' : undefined);
+        }
+
+        const signal = abortOnDisconnect(res);
+
+        if (!body.stream) {
+            try {
+                const result = await runChatTurn(server, req.site, request, { history, signal });
+                return res.json({
+                    id,
+                    object: 'chat.completion',
+                    created,
+                    model,
+                    choices: [
+                        {
+                            index: 0,
+                            message: { role: 'assistant', content: result.answer },
+                            finish_reason: 'stop',
+                        },
+                    ],
+                    rag: ragExtension(result),
+                });
+            } catch (error) {
+                if (isAbortError(error) && signal.aborted) return;
+                console.error('[v1/chat/completions] error:', error);
+                return sendOpenAIError(res, 500, error?.message || 'Chat completion failed', 'server_error');
+            }
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        if (typeof res.flushHeaders === 'function') {
+            res.flushHeaders();
+        }
+
+        const sendChunk = (delta, finishReason = null, extra = {}) => {
+            const chunk = {
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model,
+                choices: [{ index: 0, delta, finish_reason: finishReason }],
+                ...extra,
+            };
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        };
+
+        try {
+            sendChunk({ role: 'assistant', content: '' });
+            const result = await runChatTurn(server, req.site, request, {
+                history,
+                onChunk: (text) => sendChunk({ content: text }),
+                signal,
+            });
+            sendChunk({}, 'stop', { rag: ragExtension(result) });
+        } catch (error) {
+            if (isAbortError(error) && signal.aborted) return;
+            console.error('[v1/chat/completions] stream error:', error);
+            res.write(
+                `data: ${JSON.stringify({ error: { message: error?.message || 'Chat completion failed', type: 'server_error', code: null } })}\n\n`
+            );
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+    });
+
+}
@@ -1,21 +1,12 @@
 import fs from 'fs/promises';
-import path from 'path';
-import { authenticateAdmin } from "../config/auth.js";
-
-const summarizePageCategories = (pages = []) => {
-    const counts = pages.reduce((acc, page) => {
-        const key = page?.category || 'general';
-        acc[key] = (acc[key] || 0) + 1;
-        return acc;
-    }, {});
-    return Object.entries(counts).map(([name, count]) => ({ name, count }));
-};
+import { requireRole } from "../config/auth.js";
+import { jobLinks, sendJobError } from "./jobs.js";
 
 
 export function setupScrapeRoutes(app, server) {
 
     // Scrape fresh data endpoint
-    app.post('/scrape', authenticateAdmin, async (req, res) => {
+    app.post('/scrape', requireRole(server, 'owner'), async (req, res) => {
         try {
             if (!server.scraperEnabled) {
                 return res.status(503).json({ success: false, error: 'Scraper is disabled' });
@@ -29,7 +20,7 @@ export function setupScrapeRoutes(app, server) {
             if (hasOverrides) {
                 console.log('[scrape] Runtime overrides:', scrapeOptions);
             }
-            const scraper = await server.ensureScraper();
+            const scraper = await server.ensureScraper(req.site.tenant);
             const scrapeResult = await scraper.scrapeComprehensive(scrapeOptions);
 
             // Load and process the scraped data
@@ -38,7 +29,7 @@ export function setupScrapeRoutes(app, server) {
             // Clear existing data if force flag is set
             if (force) {
                 console.log('Clearing existing vector data...');
-                await server.ragSystem.clearIndex();
+                await server.jobs.runExclusive('reset-storage', () => req.site.ragSystem.clearIndex());
             }
 
             await server.dbManager.ensureMongoConnected();
@@ -52,6 +43,9 @@ export function setupScrapeRoutes(app, server) {
                 aiProvider: 'Google Gemini',
             });
         } catch (error) {
+            if (error?.code === 'JOB_ACTIVE') {
+                return sendJobError(res, error);
+            }
             console.error('Scrape error:', error);
             res.status(500).json({ success: false, error: error.message });
         }
@@ -59,88 +53,34 @@ export function setupScrapeRoutes(app, server) {
 
 
 
-    // Combined scrape and embed endpoint
-    app.post('/scrape-and-embed', authenticateAdmin, async (req, res) => {
+    // Combined scrape and embed endpoint (background job)
+    app.post('/scrape-and-embed', requireRole(server, 'owner'), async (req, res) => {
         try {
             if (!server.scraperEnabled) {
                 return res.status(503).json({ success: false, error: 'Scraper is disabled' });
             }
             const payload = req.body || {};
-            const { force = false } = payload;
             const scrapeOptions = server.buildScrapeOptions(payload);
-            const hasOverrides = Object.keys(scrapeOptions).length > 0;
+            const params = { ...scrapeOptions, force: Boolean(payload.force) };
 
-            console.log('[scrape-and-embed] Starting combined scrape + embed...');
-            if (hasOverrides) {
+            console.log('[scrape-and-embed] Queuing combined scrape + embed job...');
+            if (Object.keys(scrapeOptions).length > 0) {
                 console.log('[scrape-and-embed] Runtime overrides:', scrapeOptions);
             }
 
-            const scraper = await server.ensureScraper();
-            const scrapeResult = await scraper.scrapeComprehensive(scrapeOptions);
-            console.log(
-                '[scrape-and-embed] Scrape completed:',
-                scrapeResult?.summary || 'No summary available'
-            );
-
-            const scrapedData = JSON.parse(await fs.readFile(scrapeResult.filepath, 'utf8'));
-
-            // Build a brief summary for logs/response
-            const brief = {
-                pagesScraped: scrapedData.pages?.length || 0,
-                pdfsProcessed: scrapedData.documents?.pdfs?.length || 0,
-                totalLinks: scrapedData.statistics?.totalLinks || 0,
-                pdfLinks: scrapedData.links?.pdf?.length || 0,
-                internalLinks: scrapedData.links?.internal?.length || 0,
-                categories: summarizePageCategories(scrapedData.pages || []),
-                timestamp: scrapedData.metadata?.timestamp || new Date().toISOString(),
-                scrapeType: scrapedData.metadata?.scrapeType || 'unknown',
-                filename: path.basename(scrapeResult.filepath),
-            };
-
-            console.log('[scrape-and-embed] Summary:', {
-                pagesScraped: brief.pagesScraped,
-                pdfsProcessed: brief.pdfsProcessed,
-                totalLinks: brief.totalLinks,
-                categories: brief.categories?.length || 0,
-                file: brief.filename,
-            });
-
-            if (force) {
-                console.log('[scrape-and-embed] Force flag set — clearing existing vector index...');
-                await server.ragSystem.clearIndex();
-            }
-
-            await server.ragSystem.initialize();
-
-            console.log('[scrape-and-embed] Embedding scraped data into vector store...');
-            const embedResult = await server.ragSystem.processAndStoreDocuments(scrapedData);
-            console.log(
-                '[scrape-and-embed] Embedding completed:',
-                embedResult?.stats || 'No stats available'
-            );
-
-            server.isInitialized = true;
-
-            res.json({
+            const job = await server.jobs.create('scrape-and-embed', params, { tenant: req.site.tenant.id });
+            res.status(202).json({
                 success: true,
-                message: 'Comprehensive data scraped and embedded successfully',
-                timestamp: new Date().toISOString(),
-                aiProvider: 'Google Gemini',
+                message: 'Scrape + embed started in the background.',
+                jobId: job.id,
+                job,
+                ...jobLinks(job.id),
                 options: scrapeOptions,
-                scrape: {
-                    summary: scrapeResult.summary,
-                    brief,
-                },
-                embed: {
-                    runStartedAt: embedResult?.runStartedAt || null,
-                    stats: embedResult?.stats || null,
-                    ledger: Boolean(embedResult?.ledger),
-                },
+                timestamp: new Date().toISOString(),
             });
-
         } catch (error) {
             console.error('[scrape-and-embed] Error:', error);
-            res.status(500).json({ success: false, error: error.message });
+            sendJobError(res, error);
         }
     });
 
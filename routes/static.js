@@ -1,5 +1,5 @@
 import path from 'path';
-import { authenticateAdmin } from "../config/auth.js";
+import { requireRole } from "../config/auth.js";
 
 export function setupStaticRoutes(app, server) {
 
@@ -9,7 +9,7 @@ export function setupStaticRoutes(app, server) {
     });
 
     // admin panel or dashboard whatever...
-    app.get('/admin/dashboard', authenticateAdmin, (req, res) => {
+    app.get('/admin/dashboard', requireRole(server, 'viewer'), (req, res) => {
         res.sendFile(path.join(server.__dirname, 'public', 'admin.html'));
     });
 
@@ -1,4 +1,5 @@
-import { authenticateAdmin } from "../config/auth.js";
+import { requireRole } from "../config/auth.js";
+import { jobLinks, sendJobError } from "./jobs.js";
 
 export function setupSystemRoutes(app, server) {
 
@@ -27,74 +28,63 @@ export function setupSystemRoutes(app, server) {
 
 
 
-    // Embed latest scraped dataset into Pinecone + Mongo ledger
-    app.post('/embed-latest', authenticateAdmin, async (req, res) => {
+    // Embed latest scraped dataset into Pinecone + Mongo ledger (background job)
+    app.post('/embed-latest', requireRole(server, 'editor'), async (req, res) => {
         try {
-            const mongoReady = await server.dbManager.ensureMongoConnected();
-            if (!mongoReady) {
-                return res.status(503).json({
-                    success: false,
-                    error: 'MongoDB not connected. Check configuration before embedding.',
-                });
-            }
-
-            await server.ragSystem.initialize();
-
-            const latestBundle = await server.loadLatestScrapedData();
+            const latestBundle = await server.loadLatestScrapedData(req.site.tenant);
             if (!latestBundle?.data) {
                 return res
                     .status(404)
                     .json({ success: false, error: 'No scraped data found. Run scraper first.' });
             }
 
-            const result = await server.ragSystem.processAndStoreDocuments(latestBundle.data);
-            server.isInitialized = true;
-
-            res.json({
+            const job = await server.jobs.create('embed-latest', {}, { tenant: req.site.tenant.id });
+            res.status(202).json({
                 success: true,
-                message: 'Embedded latest scraped dataset successfully.',
-                filename: latestBundle.filename,
-                runStartedAt: result?.runStartedAt || null,
-                stats: result?.stats || null,
-                ledger: Boolean(result?.ledger),
+                message: `Embedding ${latestBundle.filename} in the background.`,
+                jobId: job.id,
+                job,
+                ...jobLinks(job.id),
                 timestamp: new Date().toISOString(),
             });
         } catch (error) {
             console.error('[embed-latest] Failed:', error?.message || error);
-            res.status(500).json({
-                success: false,
-                error: error?.message || 'Failed to embed latest scraped dataset.',
-            });
+            sendJobError(res, error);
         }
     });
 
 
 
     // Admin: reset vector store (Pinecone) + Mongo collections
-    app.post('/reset-storage', authenticateAdmin, async (req, res) => {
+    app.post('/reset-storage', requireRole(server, 'owner'), async (req, res) => {
         try {
-            // make sure RAG system is ready so clearIndex() has an index
-            await server.ragSystem.initialize();
-
-            console.log('[reset-storage] Clearing Pinecone index...');
-            await server.ragSystem.clearIndex();
-            console.log('[reset-storage] Pinecone cleared.');
-
-            // clear Mongo, if connected
-            const mongoReady = await server.dbManager.ensureMongoConnected();
-            if (mongoReady && server.dbManager.mongo.pagesColl && server.dbManager.mongo.chunksColl) {
-                console.log('[reset-storage] Clearing Mongo pages/chunks...');
-                await server.dbManager.mongo.pagesColl.deleteMany({});
-                await server.dbManager.mongo.chunksColl.deleteMany({});
-                console.log('[reset-storage] Mongo collections cleared.');
-            }
+            const { ragSystem } = req.site;
+            // Holds the ingestion slot, so no job is left writing rows for wiped vectors (409 while one runs)
+            await server.jobs.runExclusive('reset-storage', async () => {
+                // make sure RAG system is ready so clearIndex() has an index
+                await ragSystem.initialize();
+
+                console.log('[reset-storage] Clearing Pinecone index...');
+                await ragSystem.clearIndex();
+                console.log('[reset-storage] Pinecone cleared.');
+
+                // clear Mongo, if connected
+                const mongoReady = await server.dbManager.ensureMongoConnected();
+                if (mongoReady && ragSystem.mongoAvailable()) {
+                    console.log('[reset-storage] Clearing Mongo pages/chunks...');
+                    await ragSystem.pagesColl.deleteMany({});
+                    await ragSystem.chunksColl.deleteMany({});
+                    console.log('[reset-storage] Mongo collections cleared.');
+                }
+            });
 
             // since we just wiped everything, mark server as not initialized
-            server.isInitialized = false;
+            req.site.initialized = false;
 
-            // optionally clear response cache if the class has it
-            if (server.responseCache && typeof server.responseCache.clear === 'function') {
-                server.responseCache.clear();
+            // cached answers cite pages that no longer exist
+            if (req.site.responseCache) {
+                console.log('[reset-storage] Flushing response cache...');
+                await req.site.responseCache.clear();
             }
 
             res.json({
@@ -103,6 +93,9 @@ export function setupSystemRoutes(app, server) {
                 timestamp: new Date().toISOString(),
             });
         } catch (error) {
+            if (error?.code === 'JOB_ACTIVE') {
+                return sendJobError(res, error);
+            }
             console.error('[reset-storage] Failed:', error);
             res.status(500).json({
                 success: false,
@@ -114,7 +107,7 @@ export function setupSystemRoutes(app, server) {
 
 
     // Preview diff without embedding
-    app.get('/reindex/preview', authenticateAdmin, async (req, res) => {
+    app.get('/reindex/preview', requireRole(server, 'viewer'), async (req, res) => {
         try {
             const mongoReady = await server.dbManager.ensureMongoConnected();
             if (!mongoReady) {
@@ -128,7 +121,7 @@ export function setupSystemRoutes(app, server) {
                 });
             }
 
-            const latest = await server.loadLatestScrapedData();
+            const latest = await server.loadLatestScrapedData(req.site.tenant);
             if (!latest) {
                 return res.status(404).json({
                     success: false,
@@ -136,7 +129,7 @@ export function setupSystemRoutes(app, server) {
                 });
             }
 
-            const preview = await server.ragSystem.previewIngestion(latest.data);
+            const preview = await req.site.ragSystem.previewIngestion(latest.data);
             res.json({
                 success: true,
                 timestamp: new Date().toISOString(),
@@ -148,4 +141,109 @@ export function setupSystemRoutes(app, server) {
         }
     });
 
+
+
+    // Ledger run history (one snapshot per ingestion or rollback)
+    app.get('/runs', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            await server.dbManager.ensureMongoConnected();
+            const runs = await req.site.ragSystem.listRuns({ limit: req.query.limit });
+            res.json({ success: true, runs });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // Audit what changed between two runs: GET /runs/diff?from=run-3&to=run-5
+    app.get('/runs/diff', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const { from, to } = req.query;
+            if (!from || !to) {
+                return res
+                    .status(400)
+                    .json({ success: false, error: 'Query parameters "from" and "to" are required' });
+            }
+            await server.dbManager.ensureMongoConnected();
+            const diff = await req.site.ragSystem.diffRuns(String(from), String(to));
+            if (!diff) {
+                return res.status(404).json({ success: false, error: 'Run not found' });
+            }
+            res.json({ success: true, diff });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // Roll the vector index + ledger back to a recorded run; { "dryRun": true } only plans
+    app.post('/runs/:runId/rollback', requireRole(server, 'owner'), async (req, res) => {
+        try {
+            const mongoReady = await server.dbManager.ensureMongoConnected();
+            if (!mongoReady) {
+                return res.status(503).json({ success: false, error: 'MongoDB not connected' });
+            }
+
+            const dryRun = Boolean(req.body?.dryRun);
+            // Holds the ingestion slot, so no job starts while the ledger is rewritten (409 while one runs)
+            const result = await server.jobs.runExclusive('rollback', () =>
+                req.site.ragSystem.rollbackToRun(req.params.runId, { dryRun })
+            );
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'Run not found' });
+            }
+            res.json({ success: true, rollback: result, timestamp: new Date().toISOString() });
+        } catch (error) {
+            if (error?.code === 'JOB_ACTIVE') {
+                return sendJobError(res, error);
+            }
+            console.error('[rollback] Failed:', error?.message || error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // Active vs configured embedding model and how many chunks each covers
+    app.get('/embeddings/status', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            await server.dbManager.ensureMongoConnected();
+            const status = await req.site.ragSystem.getEmbeddingStatus();
+            res.json({ success: true, ...status });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+
+
+    // Re-embed every stored chunk with the configured model into a new space, then switch (background job)
+    app.post('/embeddings/migrate', requireRole(server, 'editor'), async (req, res) => {
+        try {
+            await server.dbManager.ensureMongoConnected();
+            const status = await req.site.ragSystem.getEmbeddingStatus();
+            if (!status.modelChanged) {
+                return res.status(409).json({
+                    success: false,
+                    error: `${status.active.modelKey} is already the active embedding model`,
+                });
+            }
+
+            const job = await server.jobs.create('embedding-migration', {}, { tenant: req.site.tenant.id });
+            res.status(202).json({
+                success: true,
+                message: `Migrating embeddings ${status.active.modelKey} -> ${status.configured.modelKey} in the background.`,
+                jobId: job.id,
+                job,
+                ...jobLinks(job.id),
+                timestamp: new Date().toISOString(),
+            });
+        } catch (error) {
+            console.error('[embeddings/migrate] Failed:', error?.message || error);
+            sendJobError(res, error);
+        }
+    });
+
 }
\ No newline at end of file
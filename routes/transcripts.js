@@ -0,0 +1,154 @@
+import { requireRole } from '../config/auth.js';
+import { parseDateRange } from '../transcripts/transcriptStore.js';
+import { boundedInt } from '../utils/helpers.js';
+
+// Durable chat transcripts for the request's tenant (see TranscriptStore):
+// search sessions by date and keyword, read one transcript, export turns as
+// JSONL or CSV, delete a session on request.
+
+const CSV_COLUMNS = [
+    'sessionId',
+    'at',
+    'language',
+    'question',
+    'rewrittenQuery',
+    'answer',
+    'sources',
+    'confidence',
+    'latencyMs',
+    'fromCache',
+    'source',
+    'faqId',
+];
+
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run cells that start like a formula
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(turn) {
+    return CSV_COLUMNS.map((column) =>
+        csvCell(column === 'sources' ? turn.sources.map((s) => s.url).join(' ') : turn[column])
+    ).join(',');
+}
+
+// True once `res` can take more data, false if the client disconnected first
+function drained(res) {
+    if (res.destroyed) return Promise.resolve(false);
+    return new Promise((resolve) => {
+        const done = (ok) => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            resolve(ok);
+        };
+        const onDrain = () => done(true);
+        const onClose = () => done(false);
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+function sendTranscriptError(res, error) {
+    if (!error?.status) {
+        console.error('[transcripts] error:', error);
+    }
+    res.status(error?.status || 500).json({
+        success: false,
+        error: error?.message || 'Internal server error',
+        code: error?.code || null,
+    });
+}
+
+function readFilters(query) {
+    return {
+        ...parseDateRange(query),
+        q: typeof query.q === 'string' ? query.q : null,
+        language: typeof query.language === 'string' && query.language ? query.language : null,
+    };
+}
+
+
+export function setupTranscriptRoutes(app, server) {
+
+    // GET /admin/transcripts?from=2026-10-01&to=2026-10-19&q=hostel&language=hindi&limit=50&offset=0
+    app.get('/admin/transcripts', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const result = await server.transcripts.listSessions(req.site.tenant.id, {
+                ...readFilters(req.query),
+                limit: boundedInt(req.query.limit, 50, 500, 1),
+                offset: boundedInt(req.query.offset, 0, 100000),
+            });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendTranscriptError(res, error);
+        }
+    });
+
+
+
+    // GET /admin/transcripts/export?format=jsonl|csv&from=&to=&q=&language= -- one line per turn
+    app.get('/admin/transcripts/export', requireRole(server, 'viewer'), async (req, res) => {
+        const format = req.query.format || 'jsonl';
+        if (!['jsonl', 'csv'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be jsonl or csv' });
+        }
+        let turns;
+        try {
+            const filters = readFilters(req.query);
+            turns = server.transcripts.exportTurns(req.site.tenant.id, filters);
+            // Surface a Mongo outage or bad filter as JSON before the download starts
+            const first = await turns.next();
+            const stamp = new Date().toISOString().slice(0, 10);
+            res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="transcripts-${req.site.tenant.id}-${stamp}.${format}"`);
+            if (format === 'csv') res.write(`${CSV_COLUMNS.join(',')}\n`);
+            let exported = 0;
+            for (let item = first; !item.done; item = await turns.next()) {
+                const line = format === 'csv' ? csvRow(item.value) : JSON.stringify(item.value);
+                if (!res.write(`${line}\n`) && !(await drained(res))) {
+                    // Client went away: close the cursor and stop
+                    await turns.return();
+                    console.log(`[transcripts] export for ${req.user.username} aborted by the client after ${exported} turns`);
+                    return;
+                }
+                exported++;
+            }
+            res.end();
+            console.log(`[transcripts] ${req.user.username} exported ${exported} turns as ${format} for tenant ${req.site.tenant.id}`);
+        } catch (error) {
+            await turns?.return?.();
+            if (res.headersSent) {
+                console.error('[transcripts] export failed:', error?.message || error);
+                return res.destroy(error);
+            }
+            sendTranscriptError(res, error);
+        }
+    });
+
+
+
+    // The stored (anonymized) session ID or the client's original one
+    app.get('/admin/transcripts/:sessionId', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const transcript = await server.transcripts.getTranscript(req.site.tenant.id, req.params.sessionId);
+            res.json({ success: true, ...transcript });
+        } catch (error) {
+            sendTranscriptError(res, error);
+        }
+    });
+
+
+
+    // Erase a conversation, e.g. on a user's request
+    app.delete('/admin/transcripts/:sessionId', requireRole(server, 'owner'), async (req, res) => {
+        try {
+            const result = await server.transcripts.removeSession(req.site.tenant.id, req.params.sessionId, req.user.username);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendTranscriptError(res, error);
+        }
+    });
+
+}
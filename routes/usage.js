@@ -0,0 +1,26 @@
+import { requireRole } from '../config/auth.js';
+import { boundedInt } from '../utils/helpers.js';
+
+
+export function setupUsageRoutes(app, server) {
+
+    // Token, embedding and cost usage for the request's tenant: GET /usage?days=7&sessions=20&runs=20
+    app.get('/usage', requireRole(server, 'viewer'), async (req, res) => {
+        try {
+            const mongoReady = await server.dbManager.ensureMongoConnected();
+            if (!mongoReady) {
+                return res.status(503).json({ success: false, error: 'MongoDB not connected' });
+            }
+            const report = await server.usage.report(req.site.tenant.id, {
+                days: boundedInt(req.query.days, 7, 90, 1),
+                sessions: boundedInt(req.query.sessions, 20, 200, 1),
+                runs: boundedInt(req.query.runs, 20, 200, 1),
+            });
+            res.json({ success: true, ...report, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.error('[usage] report failed:', error?.message || error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+}
@@ -37,6 +37,8 @@ export class PageExtractor {
                     keywords: '',
                 },
                 tables: [],
+                tableContexts: [],
+                sections: [],
                 lists: [],
             };
 
@@ -86,6 +88,51 @@ export class PageExtractor {
                 });
             });
 
+            // Heading-delimited sections in document order. Tables are kept whole
+            // elsewhere; here we only note which heading trail each one sits under.
+            const tableContextByEl = new Map();
+            const headingTrail = [];
+            let currentSection = { heading: '', level: 0, path: [], text: [] };
+            data.sections.push(currentSection);
+            document
+                .querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, dd, table')
+                .forEach((element) => {
+                    if (element.tagName === 'TABLE') {
+                        tableContextByEl.set(element, currentSection.path.join(' > '));
+                        return;
+                    }
+                    if (element.closest('table')) return;
+                    if (/^H[1-6]$/.test(element.tagName)) {
+                        const text = element.textContent.replace(/\s+/g, ' ').trim();
+                        if (!text) return;
+                        const level = parseInt(element.tagName.charAt(1));
+                        while (
+                            headingTrail.length &&
+                            headingTrail[headingTrail.length - 1].level >= level
+                        ) {
+                            headingTrail.pop();
+                        }
+                        headingTrail.push({ level, text });
+                        currentSection = {
+                            heading: text,
+                            level,
+                            path: headingTrail.map((h) => h.text),
+                            text: [],
+                        };
+                        data.sections.push(currentSection);
+                        return;
+                    }
+                    // Nested blocks are already part of their parent's text
+                    if (element.parentElement?.closest('li, blockquote, dd')) return;
+                    const text = element.textContent.replace(/\s+/g, ' ').trim();
+                    if (text) {
+                        currentSection.text.push(element.tagName === 'LI' ? `- ${text}` : text);
+                    }
+                });
+            data.sections = data.sections
+                .filter((section) => section.text.length > 0)
+                .map((section) => ({ ...section, text: section.text.join('\n') }));
+
             document.querySelectorAll('table').forEach((table) => {
                 const tableData = [];
                 table.querySelectorAll('tr').forEach((row) => {
@@ -95,7 +142,10 @@ export class PageExtractor {
                     });
                     if (rowData.length > 0) tableData.push(rowData);
                 });
-                if (tableData.length > 0) data.tables.push(tableData);
+                if (tableData.length > 0) {
+                    data.tables.push(tableData);
+                    data.tableContexts.push(tableContextByEl.get(table) || '');
+                }
             });
 
             document.querySelectorAll('ul, ol').forEach((list) => {
@@ -142,6 +192,8 @@ export class PageExtractor {
                 keywords: metadata.keywords || '',
             },
             tables: Array.isArray(source.tables) ? source.tables : [],
+            tableContexts: Array.isArray(source.tableContexts) ? source.tableContexts : [],
+            sections: Array.isArray(source.sections) ? source.sections : [],
             lists: Array.isArray(source.lists) ? source.lists : [],
         };
     }
@@ -119,11 +119,33 @@ async function downloadPdfBuffer(pdfUrl) {
   return Buffer.from(response.data);
 }
 
+// Same line reconstruction as pdf-parse's default renderer, but the text of
+// each page is also kept so chunks can cite page numbers.
+function collectPageText(pageTexts) {
+  return (pageData) =>
+    pageData
+      .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then((textContent) => {
+        let lastY;
+        let text = "";
+        for (const item of textContent.items) {
+          text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        const pageIndex = Number.isInteger(pageData.pageIndex)
+          ? pageData.pageIndex
+          : pageTexts.length;
+        pageTexts[pageIndex] = text;
+        return text;
+      });
+}
+
 async function extractPdfText(buffer, pdfUrl = "") {
   let text = "";
   let pages = 0;
+  const pageTexts = [];
   try {
-    const parsed = await pdfParse(buffer);
+    const parsed = await pdfParse(buffer, { pagerender: collectPageText(pageTexts) });
     text = parsed.text || "";
     pages = parsed.numpages || 0;
   } catch (error) {
@@ -131,7 +153,12 @@ async function extractPdfText(buffer, pdfUrl = "") {
   }
 
   const needsOCR = !text || text.trim().length < 40;
-  return { text, pages, needsOCR };
+  return {
+    text,
+    pages,
+    pageTexts: needsOCR ? [] : Array.from(pageTexts, (page) => page || ""),
+    needsOCR,
+  };
 }
 
 async function ocrPdfBuffer(buffer, pdfUrl = "") {
@@ -192,7 +219,7 @@ async function ocrPdfBuffer(buffer, pdfUrl = "") {
   }
 }
 
-function buildPdfDoc(helper, pdfUrl, pdfText, pdfPages, existingDoc, linkInfo) {
+function buildPdfDoc(helper, pdfUrl, pdfText, pdfPages, existingDoc, linkInfo, pageTexts = []) {
   const timestamp = new Date().toISOString();
   const special = helper.specialPdfCategory(pdfUrl);
   const finalCategory =
@@ -239,6 +266,7 @@ function buildPdfDoc(helper, pdfUrl, pdfText, pdfPages, existingDoc, linkInfo) {
     url: pdfUrl,
     title: title.trim(),
     text: finalText,
+    pageTexts: pageTexts.length ? pageTexts : existingDoc?.pageTexts || [],
     pages: pdfPages || existingDoc?.pages || 0,
     category: finalCategory || "general",
     timestamp,
@@ -265,6 +293,7 @@ function upsertPdfDoc(scrapedData, pdfDoc) {
       wordCount: pdfDoc.wordCount || existing.wordCount || 0,
       pages: pdfDoc.pages || existing.pages || 0,
       text: pdfDoc.text || existing.text || "",
+      pageTexts: pdfDoc.pageTexts?.length ? pdfDoc.pageTexts : existing.pageTexts || [],
       category: pdfDoc.category || existing.category || "general",
       timestamp: pdfDoc.timestamp || existing.timestamp,
       parentPageUrl: pdfDoc.parentPageUrl || existing.parentPageUrl,
@@ -325,10 +354,12 @@ async function processPdfs(cliPath) {
 
     let pdfText = "";
     let pdfPages = 0;
+    let pageTexts = [];
     if (buffer) {
       const parsed = await extractPdfText(buffer, pdfUrl);
       pdfText = parsed.text;
       pdfPages = parsed.pages;
+      pageTexts = parsed.pageTexts;
       // keep the same behavior as before (run OCR regardless)
     }
 
@@ -337,6 +368,8 @@ async function processPdfs(cliPath) {
       const ocrText = await ocrPdfBuffer(buffer, pdfUrl);
       if (ocrText && ocrText.length > 0) {
         pdfText = ocrText;
+        // OCR only covers the first page
+        if (!pageTexts.length) pageTexts = [ocrText];
       }
     }
 
@@ -347,7 +380,8 @@ async function processPdfs(cliPath) {
         pdfText,
         pdfPages,
         existingDoc,
-        linkInfo
+        linkInfo,
+        pageTexts
       );
       const finalDoc = upsertPdfDoc(scrapedData, pdfDoc);
       console.log(
@@ -24,7 +24,11 @@ class NITJSRScraper {
         this.maxPages = options.maxPages || 650;
         this.maxDepth = options.maxDepth || 3;
         this.delay = options.delay || 1500;
-        this.baseUrl = 'https://nitjsr.ac.in';
+        // One scraper per site (tenant); the defaults are the NIT Jamshedpur site
+        this.baseUrl = (options.baseUrl || 'https://nitjsr.ac.in').replace(/\/+$/, '');
+        this.siteName = options.siteName || 'NIT Jamshedpur';
+        this.tenantId = options.tenantId || 'default';
+        this.dataDir = options.dataDir || '';
         this.priorityUrls = Array.isArray(options.priorityUrls) ? options.priorityUrls : [];
         this.priorityQueue = [];
         this.excludeUrls = new Set();
@@ -53,7 +57,9 @@ class NITJSRScraper {
         this.scrapedData = {
             metadata: {
                 timestamp: new Date().toISOString(),
-                source: 'NIT Jamshedpur Official Website',
+                source: `${this.siteName} Official Website`,
+                siteName: this.siteName,
+                tenant: this.tenantId,
                 baseUrl: this.baseUrl,
                 scrapeType: 'enhanced_comprehensive',
                 maxPages: this.maxPages,
@@ -298,6 +304,8 @@ class NITJSRScraper {
                 content: allContent,
                 rawContent: pageData.content,
                 tables: extractedTables,
+                tableContexts: pageData.tableContexts,
+                sections: pageData.sections,
                 lists: pageData.lists,
                 metadata: pageData.metadata,
                 xhrResponses: xhrEntries,
@@ -411,7 +419,7 @@ class NITJSRScraper {
                 }
             });
 
-            const startUrls = ['https://nitjsr.ac.in/'];
+            const startUrls = [`${this.baseUrl}/`];
 
             // Add starting URLs to visit queue
             startUrls.forEach((url) => {
@@ -529,8 +537,9 @@ class NITJSRScraper {
 
     async saveData() {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '_');
-        const filename = `nitjsr_enhanced_comprehensive_${timestamp}.json`;
-        const filepath = path.resolve(__dirname, '..', 'scraped_data', filename);
+        const filePrefix = this.dataDir ? this.tenantId : 'nitjsr';
+        const filename = `${filePrefix}_enhanced_comprehensive_${timestamp}.json`;
+        const filepath = path.resolve(__dirname, '..', 'scraped_data', this.dataDir, filename);
 
         // Ensure directory exists
         await fs.mkdir(path.dirname(filepath), { recursive: true });
@@ -1,6 +1,23 @@
 export class UrlHelpers {
     constructor(baseUrl = 'https://nitjsr.ac.in') {
         this.baseUrl = baseUrl;
+        this.domain = new URL(baseUrl).hostname.replace(/^www\./, '');
+    }
+
+
+    // The domain itself or a subdomain of it; not lookalikes such as nitjsr.ac.in.evil.com
+    isSiteHost(hostname) {
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+        return host === this.domain || host.endsWith(`.${this.domain}`);
+    }
+
+
+    isSiteUrl(url) {
+        try {
+            return this.isSiteHost(new URL(url, this.baseUrl).hostname);
+        } catch {
+            return false;
+        }
     }
 
     isValidUrl(url) {
@@ -8,8 +25,8 @@ export class UrlHelpers {
             const urlObj = new URL(url, this.baseUrl);
             const normalizedHref = urlObj.href.toLowerCase();
 
-            // Only scrape nitjsr.ac.in domain
-            if (!urlObj.hostname.includes('nitjsr.ac.in')) {
+            // Only scrape the site's own domain
+            if (!this.isSiteHost(urlObj.hostname)) {
                 return false;
             }
 
@@ -0,0 +1,93 @@
+import 'dotenv/config';
+import readline from 'readline';
+import { DatabaseManager } from '../config/db.js';
+import { AdminUserStore } from '../config/adminUsers.js';
+
+// Admin accounts from the command line, for when nobody can sign in yet:
+//   npm run admin:users -- create-owner <username> [--password <pw>]
+//   npm run admin:users -- set-password <username> [--password <pw>]
+//   npm run admin:users -- list
+// Without --password (or ADMIN_BOOTSTRAP_PASSWORD) the password is prompted for.
+
+function parseArgs(argv) {
+  const args = { command: null, username: null, password: process.env.ADMIN_BOOTSTRAP_PASSWORD || null };
+  const positional = [];
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if ((a === '--password' || a === '-p') && argv[i + 1]) { args.password = argv[++i]; }
+    else positional.push(a);
+  }
+  [args.command, args.username] = positional;
+  return args;
+}
+
+// Reads a line from the terminal without echoing it
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function readPassword(args) {
+  if (args.password) return args.password;
+  if (!process.stdin.isTTY) {
+    throw new Error('No terminal to prompt on; pass --password or set ADMIN_BOOTSTRAP_PASSWORD');
+  }
+  const password = await promptHidden('Password: ');
+  const again = await promptHidden('Repeat password: ');
+  if (password !== again) throw new Error('Passwords do not match');
+  return password;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!['create-owner', 'set-password', 'list'].includes(args.command) || (args.command !== 'list' && !args.username)) {
+    console.error('Usage: node scripts/adminUsers.js create-owner|set-password <username> [--password <pw>] | list');
+    process.exit(2);
+  }
+
+  const dbManager = new DatabaseManager();
+  if (!(await dbManager.ensureMongoConnected())) {
+    console.error('[admin-users] MongoDB not connected; set MONGODB_URI.');
+    process.exit(1);
+  }
+  const users = new AdminUserStore({ dbManager, envAdmin: null });
+
+  try {
+    if (args.command === 'list') {
+      for (const user of await users.list()) {
+        console.log(`${user.username}\t${user.role}${user.disabled ? '\t(disabled)' : ''}`);
+      }
+      return;
+    }
+
+    if (args.command === 'create-owner') {
+      // Bootstrap only; later owners are added by an owner through /admin/users
+      const owners = (await users.list()).filter((user) => user.role === 'owner');
+      if (owners.length > 0) {
+        throw new Error(`An owner already exists (${owners.map((user) => user.username).join(', ')}); use set-password to recover access`);
+      }
+      const user = await users.create({ username: args.username, password: await readPassword(args), role: 'owner' });
+      console.log(`[admin-users] Created owner "${user.username}". Log in at /admin/login.`);
+      return;
+    }
+
+    await users.setPassword(args.username, await readPassword(args));
+    console.log(`[admin-users] Password set for "${args.username}"; their existing sessions are signed out.`);
+  } finally {
+    await dbManager.closeMongo();
+  }
+}
+
+main().catch((e) => {
+  console.error('[admin-users] Failed:', e?.message || e);
+  process.exit(1);
+});
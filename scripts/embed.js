@@ -88,7 +88,7 @@ async function main() {
     }
 
     console.log('[embed] Processing and uploading embeddings to Pinecone...');
-    await rag.processAndStoreDocuments(scrapedData);
+    await rag.processAndStoreDocuments(scrapedData, { source: path.basename(dataPath) });
 
     const stats = await rag.getIndexStats();
     console.log('[embed] Done. Index stats:', stats);
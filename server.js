@@ -10,7 +10,21 @@ import { ChatHistory } from './caching/chatHistory.js';
 import { DatabaseManager } from './config/db.js';
 import { setupMiddleware, setupErrorHandler } from './config/middleware.js';
 import { setupRoutes } from './routes/index.js';
-import { buildScrapeOptions, loadLatestScrapedData, validateEnvironment } from './utils/helpers.js';
+import { setupChatSocket } from './routes/chatSocket.js';
+import { RateLimiter, readRateLimitConfig } from './rate-limiting/rateLimiter.js';
+import { UsageTracker } from './usage/usageTracker.js';
+import { AdminUserStore } from './config/adminUsers.js';
+import { requestUser } from './config/auth.js';
+import { FaqStore } from './faq/faqStore.js';
+import { TranscriptStore } from './transcripts/transcriptStore.js';
+import { IngestionJobManager } from './jobs/ingestionJobs.js';
+import { DEFAULT_TENANT_ID, TenantRegistry, readTenantConfig } from './config/tenants.js';
+import {
+    buildScrapeOptions,
+    loadLatestScrapedData,
+    loadScrapedDataFile,
+    validateEnvironment,
+} from './utils/helpers.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -27,75 +41,186 @@ class NITJSRServer {
         // Initialize database manager
         this.dbManager = new DatabaseManager();
 
-        // Initialize RAG system with database reference
-        this.ragSystem = new NITJSRRAGSystem({ mongo: this.dbManager.mongo });
+        // Sites (tenants) served by this deployment, picked per request by header or subdomain
+        this.tenants = new TenantRegistry(readTenantConfig());
+        this.sites = new Map();
+        this.scrapers = new Map();
+
+        // The default tenant's RAG system, response cache and chat history
+        const defaultTenant = this.tenants.get(DEFAULT_TENANT_ID);
+        this.ragSystem = new NITJSRRAGSystem({ mongo: this.dbManager.mongo, tenant: defaultTenant });
+        this.responseCache = this._createResponseCache(this.ragSystem, defaultTenant);
+        this.chatHistory = this._createChatHistory(defaultTenant);
+        const server = this;
+        this.sites.set(DEFAULT_TENANT_ID, {
+            tenant: defaultTenant,
+            ragSystem: this.ragSystem,
+            responseCache: this.responseCache,
+            chatHistory: this.chatHistory,
+            get initialized() {
+                return server.isInitialized;
+            },
+            set initialized(value) {
+                server.isInitialized = value;
+            },
+        });
+
+        // Background scrape/embed jobs (persisted in Mongo)
+        this.jobs = new IngestionJobManager({ server: this });
+
+        // Admin accounts and roles (viewer / editor / owner)
+        this.adminUsers = new AdminUserStore({ dbManager: this.dbManager });
+
+        // Curated FAQ answers that take precedence over retrieval
+        this.faqs = new FaqStore({ dbManager: this.dbManager });
+
+        // Durable chat transcripts for admin search and export
+        this.transcripts = new TranscriptStore({ dbManager: this.dbManager });
+
+        // Token/embedding usage per day, session and run, and the daily budgets;
+        // sessions are stored under the same ID as their transcripts
+        this.usage = new UsageTracker({
+            dbManager: this.dbManager,
+            sessionKey: (sessionId) => this.transcripts.sessionKey(sessionId),
+        });
 
-        // Initialize semantic response cache
+        // Scraper is optional and only loaded when enabled
+        this.scraperEnabled = (process.env.ENABLE_SCRAPER || '').toLowerCase() === 'true';
+
+        this.isInitialized = false;
+        this.rateLimitConfig = readRateLimitConfig();
+        this._rateLimiters = new Map();
+
+        // Setup middleware and routes
+        setupMiddleware(this.app, this.__dirname);
+        setupAuthRoutes(this.app, this);
+        setupRoutes(this.app, this);
+        setupErrorHandler(this.app);
+    }
+
+    _createResponseCache(ragSystem, tenant) {
         try {
-            const embedModel = process.env.COHERE_EMBED_MODEL || 'embed-english-v3.0';
-            const modelKey = `cohere:${embedModel}:1024`;
-            this.responseCache = new ResponseCache({ modelKey });
-            const rc = this.responseCache.getStats();
+            // Cached answers are keyed to the tenant and the active embedding space
+            const responseCache = new ResponseCache({
+                namespace: `resp:v1${tenant.cacheSuffix}`,
+                modelKey: ragSystem.embeddingModelKey,
+            });
+            const rc = responseCache.getStats();
             console.log(
-                `[ResponseCache] initialized backend=${rc.backend} ttlSeconds=${rc.ttlSeconds} bits=${rc.lshBits} radius=${rc.hammingRadius} threshold=${rc.threshold} modelKey=${rc.modelKey}`
+                `[ResponseCache] initialized tenant=${tenant.id} backend=${rc.backend} ttlSeconds=${rc.ttlSeconds} bits=${rc.lshBits} radius=${rc.hammingRadius} threshold=${rc.threshold} modelKey=${rc.modelKey}`
             );
-        } catch (_) {}
+            // Roll the cache over whenever initialization or a migration switches spaces
+            ragSystem.onEmbeddingSpaceChange((activeKey) => responseCache.setModelKey(activeKey));
+            // Drop answers built on pages that an ingestion or rollback changed or deleted
+            ragSystem.onPagesChanged((urls) => responseCache.invalidateUrls(urls));
+            return responseCache;
+        } catch (_) {
+            return null;
+        }
+    }
+
 
-        // Initialize chat history
+    _createChatHistory(tenant) {
         try {
-            this.chatHistory = new ChatHistory();
+            const chatHistory = new ChatHistory({ namespace: `chat:v1${tenant.cacheSuffix}` });
             console.log(
-                `[ChatHistory] initialized backend=${this.chatHistory.backend} limit=${this.chatHistory.perSessionLimit} namespace=${this.chatHistory.namespace}`
+                `[ChatHistory] initialized tenant=${tenant.id} backend=${chatHistory.backend} limit=${chatHistory.perSessionLimit} namespace=${chatHistory.namespace}`
             );
+            return chatHistory;
         } catch (error) {
-            this.chatHistory = null;
             console.warn('[ChatHistory] initialization failed:', error?.message || error);
+            return null;
         }
+    }
 
-        // Scraper is optional and only loaded when enabled
-        this.scraper = null;
-        this.scraperEnabled = (process.env.ENABLE_SCRAPER || '').toLowerCase() === 'true';
 
-        this.isInitialized = false;
-        this._chatRateLimiter = null;
+    /**
+     * RAG system, response cache and chat history of one tenant, created on
+     * first use. Returns null for an unknown tenant id.
+     */
+    site(tenantId = DEFAULT_TENANT_ID) {
+        const tenant = this.tenants.get(tenantId);
+        if (!tenant) return null;
+        if (!this.sites.has(tenant.id)) {
+            const ragSystem = new NITJSRRAGSystem({ mongo: this.dbManager.mongo, tenant });
+            this.sites.set(tenant.id, {
+                tenant,
+                ragSystem,
+                responseCache: this._createResponseCache(ragSystem, tenant),
+                chatHistory: this._createChatHistory(tenant),
+                initialized: false,
+            });
+        }
+        return this.sites.get(tenant.id);
+    }
 
-        // Setup middleware and routes
-        setupMiddleware(this.app, this.__dirname);
-        setupAuthRoutes(this.app);
-        setupRoutes(this.app, this);
-        setupErrorHandler(this.app);
+
+    // One limiter per policy, created on first use. They share the Redis
+    // connection, resolved again on each check so an outage at startup is not kept
+    getRateLimiter(policy) {
+        if (!this._rateLimiters.has(policy)) {
+            this._rateLimiters.set(
+                policy,
+                new RateLimiter({
+                    getRedis: () => this.dbManager.connectRedis(),
+                    isAdmin: async (req) => Boolean(await requestUser(this, req)),
+                    policy,
+                    layers: this.rateLimitConfig.policies[policy] || {},
+                    allowlist: this.rateLimitConfig.allowlist,
+                    adminBypass: this.rateLimitConfig.adminBypass,
+                    prefix: this.rateLimitConfig.prefix,
+                })
+            );
+        }
+        return this._rateLimiters.get(policy);
+    }
+
+
+    siteFor(req) {
+        const tenant = this.tenants.resolve(req);
+        return tenant ? this.site(tenant.id) : null;
     }
 
+
     // Helper methods
     buildScrapeOptions(payload) {
         return buildScrapeOptions(payload);
     }
 
-    async loadLatestScrapedData() {
-        return loadLatestScrapedData(this.__dirname);
+    async loadLatestScrapedData(tenant = this.tenants.get(DEFAULT_TENANT_ID)) {
+        return loadLatestScrapedData(this.__dirname, tenant.dataDir);
+    }
+
+    async loadScrapedData(filename, tenant = this.tenants.get(DEFAULT_TENANT_ID)) {
+        return loadScrapedDataFile(this.__dirname, filename, tenant.dataDir);
     }
 
     validateEnvironment() {
         return validateEnvironment();
     }
 
-    async ensureScraper() {
+    async ensureScraper(tenant = this.tenants.get(DEFAULT_TENANT_ID)) {
         if (!this.scraperEnabled) {
             throw new Error('Scraper is disabled');
         }
-        if (this.scraper) {
-            return this.scraper;
+        if (this.scrapers.has(tenant.id)) {
+            return this.scrapers.get(tenant.id);
         }
         const { NITJSRScraper } = await import('./scraper/scraper.js');
         const defaultDelay = Number(process.env.SCRAPE_DELAY) || 1500;
         const defaultMaxPages = Number(process.env.SCRAPE_MAX_PAGES) || 650;
         const defaultMaxDepth = Number(process.env.SCRAPE_MAX_DEPTH) || 3;
-        this.scraper = new NITJSRScraper({
+        const scraper = new NITJSRScraper({
             maxPages: defaultMaxPages,
             maxDepth: defaultMaxDepth,
             delay: defaultDelay,
+            baseUrl: tenant.baseUrl,
+            siteName: tenant.name,
+            tenantId: tenant.id,
+            dataDir: tenant.dataDir,
         });
-        return this.scraper;
+        this.scrapers.set(tenant.id, scraper);
+        return scraper;
     }
 
 
@@ -116,6 +241,18 @@ class NITJSRServer {
             // Initialize RAG system (clients, models, index handle)
             await this.ragSystem.initialize();
 
+            // Other tenants share the clients' config but have their own ledger and namespace
+            for (const tenant of this.tenants.list()) {
+                if (tenant.id === DEFAULT_TENANT_ID) continue;
+                const site = this.site(tenant.id);
+                try {
+                    await site.ragSystem.initialize();
+                    site.initialized = true;
+                } catch (error) {
+                    console.error(`[tenants] ${tenant.id} initialization failed:`, error.message);
+                }
+            }
+
             this.isInitialized = true;
             console.log('Gemini RAG system initialization completed successfully!');
         } catch (error) {
@@ -128,9 +265,15 @@ class NITJSRServer {
     async start(port = process.env.PORT || 3000) {
         try {
             await this.dbManager.connectMongo();
+            if (this.dbManager.mongo.status === 'connected') {
+                await this.jobs.recoverInterrupted().catch((error) => {
+                    console.warn('[jobs] Could not recover interrupted jobs:', error?.message || error);
+                });
+            }
             this.server = this.app.listen(port, async () => {
                 console.log(`Server listening on port ${port}`);
-                console.log('AI Provider: Google Gemini');
+                const providers = this.ragSystem.describeProviders();
+                console.log(`AI Provider: ${providers.llm.provider} (${providers.llm.model}), embeddings: ${providers.modelKey}`);
 
                 // Auto-initialize on startup (configurable)
                 const shouldAutoInit = (process.env.AUTO_INIT || 'true').toLowerCase() !== 'false';
@@ -148,6 +291,7 @@ class NITJSRServer {
                     console.log('Auto-initialization disabled. Initialize manually via POST /initialize');
                 }
             });
+            this.chatSocket = setupChatSocket(this.server, this);
 
             // Graceful shutdown
             process.on('SIGTERM', () => this.shutdown());
@@ -164,6 +308,13 @@ class NITJSRServer {
         await this.dbManager.closeMongo();
         await this.dbManager.closeRedis();
 
+        if (this.chatSocket) {
+            for (const ws of this.chatSocket.clients) {
+                ws.close(1001, 'Server shutting down');
+            }
+            this.chatSocket.close();
+        }
+
         if (this.server) {
             this.server.close(() => {
                 console.log('Server shutdown complete');
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import { MongoCollection, ServiceError } from '../utils/mongoStore.js';
+
+// Durable chat transcripts in Mongo, independent of the short-lived
+// ChatHistory. One collection holds two kinds of documents:
+//   session -- one per tenant and session: first/last activity, turn count, languages, cache hits
+//   turn    -- one per answered question: question, answer, sources cited, language,
+//              latency, whether it came from the cache or an FAQ
+// Both expire TRANSCRIPT_RETENTION_DAYS after the session's last turn (0 keeps
+// them forever). Session IDs are stored as a keyed hash unless
+// TRANSCRIPT_SESSION_IDS=plain.
+
+const SEARCH_SCAN_LIMIT = 5000;
+
+export class TranscriptError extends ServiceError {}
+
+export function readTranscriptConfig(env = process.env) {
+    const retentionDays = Number(env.TRANSCRIPT_RETENTION_DAYS ?? 90);
+    const sessionIds = (env.TRANSCRIPT_SESSION_IDS || 'hash').trim().toLowerCase();
+    if (!['hash', 'plain'].includes(sessionIds)) {
+        console.warn(`[transcripts] TRANSCRIPT_SESSION_IDS="${sessionIds}" is not hash or plain; hashing session IDs`);
+    }
+    return {
+        enabled: (env.TRANSCRIPTS_ENABLED || 'true').toLowerCase() !== 'false',
+        collection: (env.MONGO_TRANSCRIPTS_COLL || 'transcripts').trim(),
+        retentionDays: Number.isFinite(retentionDays) && retentionDays > 0 ? retentionDays : null,
+        anonymize: sessionIds !== 'plain',
+        hashSecret: env.TRANSCRIPT_HASH_SECRET || env.JWT_SECRET || '',
+    };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalizes `from`/`to` query values to ISO strings. A date without a time
+ * as `to` covers that whole day.
+ */
+export function parseDateRange({ from, to } = {}) {
+    const parse = (value, field, endOfDay) => {
+        if (value === undefined || value === null || value === '') return null;
+        const text = String(value);
+        const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+        if (Number.isNaN(date.getTime())) {
+            throw new TranscriptError(`${field} must be an ISO date`, 'INVALID_QUERY', 400);
+        }
+        return date.toISOString();
+    };
+    return { from: parse(from, 'from', false), to: parse(to, 'to', true) };
+}
+
+function toPublicSession(doc) {
+    if (!doc) return null;
+    const { _id, kind, expiresAt, ...rest } = doc;
+    return rest;
+}
+
+function toPublicTurn(doc) {
+    const { _id, kind, expiresAt, ...rest } = doc;
+    return { id: _id, ...rest };
+}
+
+function resultSource(result) {
+    if (result?.source === 'faq') return 'faq';
+    if (result?.fromCache) return 'cache';
+    if (result?.degraded) return 'degraded';
+    return 'rag';
+}
+
+
+export class TranscriptStore {
+    constructor({ dbManager, config = readTranscriptConfig() } = {}) {
+        this.dbManager = dbManager;
+        this.config = config;
+        this._warnedNoMongo = false;
+        // An unkeyed hash of a guessable session ID is no anonymization at all
+        if (config.anonymize && !config.hashSecret) {
+            throw new Error(
+                '[transcripts] Hashed session IDs need TRANSCRIPT_HASH_SECRET or JWT_SECRET; set one, or TRANSCRIPT_SESSION_IDS=plain'
+            );
+        }
+        this.collection = new MongoCollection({
+            dbManager,
+            name: config.collection,
+            label: 'transcripts',
+            createIndexes: (coll) => Promise.all([
+                coll.createIndex({ kind: 1, tenant: 1, lastAt: -1 }),
+                coll.createIndex({ kind: 1, tenant: 1, sessionId: 1, at: 1 }),
+                coll.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+            ]),
+            unavailable: () => new TranscriptError('MongoDB not connected; transcripts unavailable', 'MONGO_UNAVAILABLE', 503),
+        });
+    }
+
+
+    // The session ID as stored: a keyed hash, or the ID itself when anonymization is off
+    sessionKey(sessionId) {
+        const id = String(sessionId || '');
+        if (!this.config.anonymize) return id;
+        return `s_${crypto.createHmac('sha256', this.config.hashSecret).update(id).digest('hex').slice(0, 24)}`;
+    }
+
+
+    /**
+     * Stores one answered chat turn. Never throws; a transcript that cannot be
+     * written only costs a warning.
+     */
+    async record(tenant, request, result, { latencyMs = null } = {}) {
+        if (!this.config.enabled || !result?.success) return;
+        try {
+            const coll = await this.collection.get();
+            if (!coll) {
+                if (!this._warnedNoMongo) {
+                    this._warnedNoMongo = true;
+                    console.warn('[transcripts] MongoDB not connected; transcripts are not stored');
+                }
+                return;
+            }
+            const now = new Date();
+            const at = now.toISOString();
+            const sessionId = this.sessionKey(request.sessionId);
+            const expiresAt = this.config.retentionDays
+                ? new Date(now.getTime() + this.config.retentionDays * 86400000)
+                : null;
+            const source = resultSource(result);
+            const sources = (Array.isArray(result.sources) ? result.sources : [])
+                .filter((s) => s?.url)
+                .map((s) => ({ title: s.title || null, url: s.url }));
+
+            await coll.insertOne({
+                _id: crypto.randomUUID(),
+                kind: 'turn',
+                tenant,
+                sessionId,
+                at,
+                language: result.language || request.language || null,
+                question: request.question,
+                rewrittenQuery: result.rewrittenQuery || null,
+                answer: result.answer || '',
+                sources,
+                confidence: typeof result.confidence === 'number' ? result.confidence : null,
+                latencyMs,
+                fromCache: Boolean(result.fromCache),
+                source,
+                faqId: result.faq?.id || null,
+                expiresAt,
+            });
+            // Older turns expire with the session, so a transcript is kept or dropped whole
+            if (expiresAt) {
+                await coll.updateMany({ kind: 'turn', tenant, sessionId }, { $set: { expiresAt } });
+            }
+            await coll.updateOne(
+                { _id: `session:${tenant}:${sessionId}` },
+                {
+                    $setOnInsert: { kind: 'session', tenant, sessionId, startedAt: at, firstQuestion: request.question },
+                    $set: { lastAt: at, lastLanguage: result.language || null, expiresAt },
+                    $inc: { turns: 1, cacheHits: result.fromCache ? 1 : 0, faqAnswers: source === 'faq' ? 1 : 0 },
+                    $addToSet: { languages: result.language || 'english' },
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            console.warn('[transcripts] record failed:', error?.message || error);
+        }
+    }
+
+
+    _turnFilter(tenant, { from = null, to = null, q = null, language = null } = {}) {
+        const filter = { kind: 'turn', tenant };
+        if (from || to) {
+            filter.at = {};
+            if (from) filter.at.$gte = from;
+            if (to) filter.at.$lte = to;
+        }
+        if (language) filter.language = language;
+        const keyword = typeof q === 'string' ? q.trim() : '';
+        if (keyword) {
+            const regex = new RegExp(escapeRegex(keyword), 'i');
+            filter.$or = [{ question: regex }, { answer: regex }, { rewrittenQuery: regex }];
+        }
+        return filter;
+    }
+
+
+    /**
+     * Sessions of `tenant`, most recently active first. `from`/`to` keep
+     * sessions with a turn in that range; `q` (keyword) and `language` keep
+     * sessions with a matching turn, reported as `matchingTurns`.
+     */
+    async listSessions(tenant, { from = null, to = null, q = null, language = null, limit = 50, offset = 0 } = {}) {
+        const coll = await this.collection.require();
+        const keyword = typeof q === 'string' ? q.trim() : '';
+
+        if (!keyword && !language) {
+            const filter = { kind: 'session', tenant };
+            if (from) filter.lastAt = { $gte: from };
+            if (to) filter.startedAt = { $lte: to };
+            const [total, docs] = await Promise.all([
+                coll.countDocuments(filter),
+                coll.find(filter).sort({ lastAt: -1 }).skip(offset).limit(limit).toArray(),
+            ]);
+            return { total, sessions: docs.map(toPublicSession) };
+        }
+
+        // Matching turns, newest first, grouped by session
+        const turns = await coll
+            .find(this._turnFilter(tenant, { from, to, q: keyword, language }))
+            .project({ sessionId: 1, at: 1 })
+            .sort({ at: -1 })
+            .limit(SEARCH_SCAN_LIMIT)
+            .toArray();
+        const matches = new Map();
+        for (const turn of turns) matches.set(turn.sessionId, (matches.get(turn.sessionId) || 0) + 1);
+        const ids = [...matches.keys()];
+        const page = ids.slice(offset, offset + limit);
+        const docs = await coll.find({ kind: 'session', tenant, sessionId: { $in: page } }).toArray();
+        const byId = new Map(docs.map((doc) => [doc.sessionId, doc]));
+        return {
+            total: ids.length,
+            truncated: turns.length === SEARCH_SCAN_LIMIT,
+            sessions: page
+                .filter((id) => byId.has(id))
+                .map((id) => ({ ...toPublicSession(byId.get(id)), matchingTurns: matches.get(id) })),
+        };
+    }
+
+
+    // Accepts the stored session ID or, with anonymization on, the client's original one
+    async _resolveSession(coll, tenant, sessionId) {
+        for (const id of new Set([String(sessionId), this.sessionKey(sessionId)])) {
+            const doc = await coll.findOne({ _id: `session:${tenant}:${id}` });
+            if (doc) return doc;
+        }
+        throw new TranscriptError('Transcript not found', 'NOT_FOUND', 404);
+    }
+
+
+    async getTranscript(tenant, sessionId) {
+        const coll = await this.collection.require();
+        const session = await this._resolveSession(coll, tenant, sessionId);
+        const turns = await coll.find({ kind: 'turn', tenant, sessionId: session.sessionId }).sort({ at: 1 }).toArray();
+        return { session: toPublicSession(session), turns: turns.map(toPublicTurn) };
+    }
+
+
+    /** Turns matching the same filters as listSessions, oldest first, for export. */
+    async *exportTurns(tenant, filters = {}) {
+        const coll = await this.collection.require();
+        const cursor = coll.find(this._turnFilter(tenant, filters)).sort({ at: 1 });
+        try {
+            for await (const doc of cursor) yield toPublicTurn(doc);
+        } finally {
+            await cursor.close();
+        }
+    }
+
+
+    async removeSession(tenant, sessionId, actor = null) {
+        const coll = await this.collection.require();
+        const session = await this._resolveSession(coll, tenant, sessionId);
+        const { deletedCount } = await coll.deleteMany({ kind: 'turn', tenant, sessionId: session.sessionId });
+        await coll.deleteOne({ _id: session._id });
+        console.log(`[transcripts] ${actor || 'unknown'} deleted session ${session.sessionId} (${deletedCount} turns) for tenant ${tenant}`);
+        return { sessionId: session.sessionId, deletedTurns: deletedCount };
+    }
+}
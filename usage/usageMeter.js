@@ -0,0 +1,159 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Usage accounting for provider calls. Providers are metered where they are
+// created (see providers/index.js); what they report is added to the usage
+// scope of the surrounding chat turn or ingestion run, if there is one.
+
+export const USAGE_COUNTERS = [
+    'questions',
+    'llmCalls',
+    'promptTokens',
+    'completionTokens',
+    'estimatedCalls',
+    'embedCalls',
+    'embedTexts',
+    'embedTokens',
+    'embedCacheHits',
+    'embedCacheMisses',
+    'responseCacheHits',
+    'responseCacheMisses',
+    'followUpCacheHits',
+    'followUpCacheMisses',
+    'degradedAnswers',
+    'faqAnswers',
+];
+
+const scopes = new AsyncLocalStorage();
+
+// Rough token count for providers that do not report usage (~4 chars per token).
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+export function emptyUsage() {
+    const usage = { models: {} };
+    for (const counter of USAGE_COUNTERS) usage[counter] = 0;
+    return usage;
+}
+
+/**
+ * Adds `delta` to the current scope. Token counts are also kept per `model`
+ * (provider:model) so cost can be priced per model.
+ */
+export function recordUsage(delta) {
+    const usage = scopes.getStore()?.usage;
+    if (!usage) return;
+    for (const counter of USAGE_COUNTERS) {
+        if (delta[counter]) usage[counter] += delta[counter];
+    }
+    if (delta.model) {
+        const model = (usage.models[delta.model] ||= { promptTokens: 0, completionTokens: 0, embedTokens: 0 });
+        model.promptTokens += delta.promptTokens || 0;
+        model.completionTokens += delta.completionTokens || 0;
+        model.embedTokens += delta.embedTokens || 0;
+    }
+}
+
+export function runWithUsage(scope, fn) {
+    return scopes.run(scope, fn);
+}
+
+export function currentUsageScope() {
+    return scopes.getStore() || null;
+}
+
+
+function recordCompletion(model, prompt, response, completionText) {
+    // Gemini's usageMetadata shape; other providers fill it in via streaming.js
+    const meta = response?.usageMetadata;
+    const reported = Number.isFinite(meta?.promptTokenCount);
+    recordUsage({
+        model,
+        llmCalls: 1,
+        estimatedCalls: reported ? 0 : 1,
+        promptTokens: reported ? meta.promptTokenCount : estimateTokens(prompt),
+        completionTokens: reported ? meta.candidatesTokenCount || 0 : estimateTokens(completionText),
+    });
+}
+
+function chunkText(chunk) {
+    try {
+        return typeof chunk?.text === 'function' ? chunk.text() : chunk?.text || '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Wraps a chat provider's `generateContent` / `generateContentStream` in place.
+ * A stream is counted when it ends; one that is abandoned or aborted is
+ * counted from the text produced so far.
+ */
+export function meterLLM(llm) {
+    const model = `${llm.name}:${llm.model}`;
+    const generateContent = llm.generateContent.bind(llm);
+    const generateContentStream = llm.generateContentStream.bind(llm);
+
+    llm.generateContent = async (prompt, ...rest) => {
+        const result = await generateContent(prompt, ...rest);
+        let text = '';
+        try {
+            text = result?.response?.text?.() || '';
+        } catch {
+            // blocked responses throw from text()
+        }
+        recordCompletion(model, prompt, result?.response, text);
+        return result;
+    };
+
+    llm.generateContentStream = async (prompt, ...rest) => {
+        const result = await generateContentStream(prompt, ...rest);
+        if (!result?.stream) return result;
+
+        async function* metered() {
+            let text = '';
+            let finished = false;
+            try {
+                for await (const chunk of result.stream) {
+                    text += chunkText(chunk);
+                    yield chunk;
+                }
+                finished = true;
+            } finally {
+                // Only a drained stream settles `response`; otherwise estimate
+                const response = finished ? await result.response.catch(() => null) : null;
+                recordCompletion(model, prompt, response, text);
+            }
+        }
+        return { ...result, stream: metered() };
+    };
+
+    return llm;
+}
+
+
+// Wraps an embedding provider's `embedQuery` / `embedDocuments` in place.
+export function meterEmbeddings(embeddings) {
+    const model = `${embeddings.name}:${embeddings.model}`;
+    const embedQuery = embeddings.embedQuery.bind(embeddings);
+    const embedDocuments = embeddings.embedDocuments.bind(embeddings);
+
+    embeddings.embedQuery = async (text, options) => {
+        const vector = await embedQuery(text, options);
+        recordUsage({ model, embedCalls: 1, embedTexts: 1, embedTokens: estimateTokens(text) });
+        return vector;
+    };
+
+    embeddings.embedDocuments = async (texts) => {
+        const vectors = await embedDocuments(texts);
+        recordUsage({
+            model,
+            embedCalls: 1,
+            embedTexts: texts.length,
+            embedTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0),
+        });
+        return vectors;
+    };
+
+    return embeddings;
+}
@@ -0,0 +1,311 @@
+import { USAGE_COUNTERS, emptyUsage, runWithUsage } from './usageMeter.js';
+
+// Persists usage scopes (one chat turn, one ingestion job) as running totals in
+// Mongo -- per tenant and day, per session and day, per ingestion run -- prices
+// them, and answers whether today's budgets still allow model calls.
+
+// USD per 1M tokens, keyed by provider:model. Override or extend with USAGE_PRICES.
+const DEFAULT_PRICES = {
+    'gemini:gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini:gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'cohere:embed-english-v3.0': { input: 0.1 },
+    'cohere:embed-multilingual-v3.0': { input: 0.1 },
+};
+
+const BUDGET_CACHE_MS = 10000;
+
+function positiveNumber(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function readUsageConfig(env = process.env) {
+    let prices = { ...DEFAULT_PRICES };
+    if (env.USAGE_PRICES?.trim()) {
+        try {
+            prices = { ...prices, ...JSON.parse(env.USAGE_PRICES) };
+        } catch (error) {
+            console.warn('[usage] USAGE_PRICES is not valid JSON; using default prices:', error?.message || error);
+        }
+    }
+    return {
+        enabled: (env.USAGE_TRACKING || 'true').toLowerCase() !== 'false',
+        collection: (env.MONGO_USAGE_COLL || 'usage').trim(),
+        prices,
+        budgets: {
+            dailyTokens: positiveNumber(env.USAGE_DAILY_TOKEN_BUDGET),
+            dailyCostUsd: positiveNumber(env.USAGE_DAILY_COST_BUDGET_USD),
+            sessionDailyTokens: positiveNumber(env.USAGE_SESSION_DAILY_TOKEN_BUDGET),
+        },
+        sessionRetentionDays: positiveNumber(env.USAGE_SESSION_RETENTION_DAYS) || 30,
+    };
+}
+
+export function usageDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Mongo field names cannot contain dots (gemini-2.0-flash)
+function modelField(model) {
+    return model.replace(/\./g, '_').replace(/^\$/, '_');
+}
+
+function priceFor(prices, model) {
+    return prices[model] || prices[model.replace(/_/g, '.')] || null;
+}
+
+export function usageCost(usage, prices) {
+    let cost = 0;
+    for (const [model, tokens] of Object.entries(usage.models || {})) {
+        const price = priceFor(prices, model);
+        if (!price) continue;
+        cost +=
+            ((tokens.promptTokens || 0) + (tokens.embedTokens || 0)) * (price.input || 0) +
+            (tokens.completionTokens || 0) * (price.output || 0);
+    }
+    return cost / 1e6;
+}
+
+function llmTokens(doc) {
+    return (doc?.promptTokens || 0) + (doc?.completionTokens || 0);
+}
+
+function publicUsage(doc) {
+    if (!doc) return null;
+    const { _id, kind, expiresAt, ...rest } = doc;
+    return { ...rest, llmTokens: llmTokens(doc) };
+}
+
+
+export class UsageTracker {
+    // `sessionKey` maps a client session ID to the form stored and reported
+    // (the transcripts' keyed hash, see TranscriptStore.sessionKey)
+    constructor({ dbManager, config = readUsageConfig(), sessionKey = (sessionId) => String(sessionId) } = {}) {
+        this.dbManager = dbManager;
+        this.config = config;
+        this.sessionKey = sessionKey;
+        this._indexesReady = null;
+        this._budgetCache = new Map(); // doc _id -> { at, doc }
+        this._warnedNoMongo = false;
+    }
+
+
+    get coll() {
+        const db = this.dbManager.mongo.db;
+        return db ? db.collection(this.config.collection) : null;
+    }
+
+
+    async _coll() {
+        const coll = this.coll;
+        if (!coll) return null;
+        if (!this._indexesReady) {
+            this._indexesReady = Promise.all([
+                coll.createIndex({ kind: 1, tenant: 1, day: -1 }),
+                coll.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+            ]).catch((error) => {
+                this._indexesReady = null;
+                console.warn('[usage] index creation failed:', error?.message || error);
+            });
+        }
+        await this._indexesReady;
+        return coll;
+    }
+
+
+    /**
+     * Runs `fn(scope)` with provider calls counted into `scope.usage`, then
+     * records the totals (without delaying the caller). `context` is
+     * `{ tenant, sessionId?, runId?, jobType? }`.
+     */
+    async track(context, fn) {
+        const scope = { ...context, usage: emptyUsage() };
+        if (!this.config.enabled) return fn(scope);
+        try {
+            return await runWithUsage(scope, () => fn(scope));
+        } finally {
+            this.commit(scope).catch((error) => {
+                console.warn('[usage] failed to record usage:', error?.message || error);
+            });
+        }
+    }
+
+
+    summarize(usage) {
+        const summary = {};
+        for (const counter of USAGE_COUNTERS) summary[counter] = usage[counter];
+        summary.costUsd = usageCost(usage, this.config.prices);
+        return summary;
+    }
+
+
+    async commit(scope) {
+        const { usage } = scope;
+        if (!USAGE_COUNTERS.some((counter) => usage[counter] > 0)) return;
+        const coll = await this._coll();
+        if (!coll) {
+            if (!this._warnedNoMongo) {
+                console.warn('[usage] MongoDB not connected; usage is not recorded and budgets are not enforced.');
+                this._warnedNoMongo = true;
+            }
+            return;
+        }
+
+        const now = new Date();
+        const day = usageDay(now);
+        const inc = { costUsd: usageCost(usage, this.config.prices) };
+        for (const counter of USAGE_COUNTERS) {
+            if (usage[counter]) inc[counter] = usage[counter];
+        }
+        for (const [model, tokens] of Object.entries(usage.models)) {
+            for (const [field, value] of Object.entries(tokens)) {
+                if (value) inc[`models.${modelField(model)}.${field}`] = value;
+            }
+        }
+
+        const tenant = scope.tenant;
+        const docs = [{ _id: `day:${tenant}:${day}`, set: { kind: 'day', tenant, day } }];
+        if (scope.sessionId) {
+            const expiresAt = new Date(now.getTime() + this.config.sessionRetentionDays * 86400000);
+            const sessionId = this.sessionKey(scope.sessionId);
+            docs.push({
+                _id: `session:${tenant}:${day}:${sessionId}`,
+                set: { kind: 'session', tenant, day, sessionId, expiresAt },
+            });
+        }
+        if (scope.runId) {
+            docs.push({
+                _id: `run:${scope.runId}`,
+                set: { kind: 'run', tenant, runId: scope.runId, jobType: scope.jobType || null, day },
+            });
+        }
+
+        await coll.bulkWrite(
+            docs.map(({ _id, set }) => ({
+                updateOne: {
+                    filter: { _id },
+                    update: {
+                        $inc: inc,
+                        $set: { ...set, updatedAt: now.toISOString() },
+                        $setOnInsert: { createdAt: now.toISOString() },
+                    },
+                    upsert: true,
+                },
+            })),
+            { ordered: false }
+        );
+
+        // Keep cached budget totals current without another read
+        for (const { _id } of docs) {
+            const cached = this._budgetCache.get(_id);
+            if (!cached) continue;
+            const doc = { ...(cached.doc || {}) };
+            for (const counter of ['promptTokens', 'completionTokens', 'costUsd']) {
+                doc[counter] = (doc[counter] || 0) + (inc[counter] || 0);
+            }
+            cached.doc = doc;
+        }
+    }
+
+
+    async _budgetDoc(coll, _id) {
+        const cached = this._budgetCache.get(_id);
+        if (cached && Date.now() - cached.at < BUDGET_CACHE_MS) return cached.doc;
+        const doc = await coll.findOne({ _id });
+        this._budgetCache.set(_id, { at: Date.now(), doc });
+        if (this._budgetCache.size > 5000) {
+            this._budgetCache.delete(this._budgetCache.keys().next().value);
+        }
+        return doc;
+    }
+
+
+    /**
+     * Whether today's budgets allow more model calls for this tenant/session.
+     * `exceeded` names the first budget that ran out, or is null.
+     */
+    async budgetStatus(tenant, sessionId = null) {
+        const { budgets } = this.config;
+        const status = { exceeded: null, budgets, today: null, session: null };
+        if (!this.config.enabled || !Object.values(budgets).some(Boolean)) return status;
+        const coll = await this._coll();
+        if (!coll) return status;
+
+        const day = usageDay();
+        try {
+            const today = await this._budgetDoc(coll, `day:${tenant}:${day}`);
+            status.today = { llmTokens: llmTokens(today), costUsd: today?.costUsd || 0 };
+            if (budgets.dailyTokens && status.today.llmTokens >= budgets.dailyTokens) {
+                status.exceeded = 'dailyTokens';
+            } else if (budgets.dailyCostUsd && status.today.costUsd >= budgets.dailyCostUsd) {
+                status.exceeded = 'dailyCostUsd';
+            } else if (budgets.sessionDailyTokens && sessionId) {
+                const session = await this._budgetDoc(coll, `session:${tenant}:${day}:${this.sessionKey(sessionId)}`);
+                status.session = { llmTokens: llmTokens(session) };
+                if (status.session.llmTokens >= budgets.sessionDailyTokens) {
+                    status.exceeded = 'sessionDailyTokens';
+                }
+            }
+        } catch (error) {
+            // Budgets fail open: an unreadable counter must not take chat down
+            console.warn('[usage] budget check failed:', error?.message || error);
+        }
+        return status;
+    }
+
+
+    /**
+     * Usage report for one tenant: the last `days` days, the heaviest sessions
+     * over that window and the most recent ingestion runs.
+     */
+    async report(tenant, { days = 7, sessions = 20, runs = 20 } = {}) {
+        const coll = await this._coll();
+        if (!coll) return null;
+        const since = usageDay(new Date(Date.now() - (days - 1) * 86400000));
+
+        const [dayDocs, sessionDocs, runDocs, budget] = await Promise.all([
+            coll.find({ kind: 'day', tenant, day: { $gte: since } }).sort({ day: -1 }).toArray(),
+            coll
+                .aggregate([
+                    { $match: { kind: 'session', tenant, day: { $gte: since } } },
+                    {
+                        $group: {
+                            _id: '$sessionId',
+                            questions: { $sum: '$questions' },
+                            promptTokens: { $sum: '$promptTokens' },
+                            completionTokens: { $sum: '$completionTokens' },
+                            embedTexts: { $sum: '$embedTexts' },
+                            responseCacheHits: { $sum: '$responseCacheHits' },
+                            degradedAnswers: { $sum: '$degradedAnswers' },
+                            costUsd: { $sum: '$costUsd' },
+                            lastSeen: { $max: '$updatedAt' },
+                        },
+                    },
+                    { $addFields: { llmTokens: { $add: ['$promptTokens', '$completionTokens'] } } },
+                    { $sort: { llmTokens: -1 } },
+                    { $limit: sessions },
+                ])
+                .toArray(),
+            coll.find({ kind: 'run', tenant }).sort({ createdAt: -1 }).limit(runs).toArray(),
+            this.budgetStatus(tenant),
+        ]);
+
+        const totals = emptyUsage();
+        delete totals.models;
+        totals.costUsd = 0;
+        for (const doc of dayDocs) {
+            for (const counter of [...USAGE_COUNTERS, 'costUsd']) totals[counter] += doc[counter] || 0;
+        }
+
+        return {
+            tenant,
+            since,
+            totals: { ...totals, llmTokens: llmTokens(totals) },
+            budgets: { ...this.config.budgets, exceeded: budget.exceeded, today: budget.today },
+            days: dayDocs.map(publicUsage),
+            sessions: sessionDocs.map(({ _id, ...rest }) => ({ sessionId: _id, ...rest })),
+            runs: runDocs.map(publicUsage),
+        };
+    }
+}
@@ -1,5 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { readProviderConfig, requiredProviderEnv } from '../providers/index.js';
+import { readVectorStoreConfig, requiredVectorStoreEnv } from '../vector-store/index.js';
 
 export function buildScrapeOptions(payload = {}) {
     if (!payload || typeof payload !== 'object') {
@@ -31,8 +33,23 @@ export function buildScrapeOptions(payload = {}) {
 
 
 
-export async function loadLatestScrapedData(__dirname) {
-    const dataDir = path.join(__dirname, 'scraped_data');
+// Non-default tenants keep their scrapes in scraped_data/<tenant>/
+export async function loadScrapedDataFile(__dirname, filename, dataDir = '') {
+    // Only bare file names inside scraped_data/ are accepted
+    const safeName = path.basename(String(filename || ''));
+    if (!safeName.endsWith('.json')) return null;
+    const filePath = path.join(__dirname, 'scraped_data', dataDir, safeName);
+    try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return { data, filename: safeName, filepath: filePath };
+    } catch (error) {
+        return null;
+    }
+}
+
+
+export async function loadLatestScrapedData(__dirname, tenantDir = '') {
+    const dataDir = path.join(__dirname, 'scraped_data', tenantDir);
     try {
         const files = await fs.readdir(dataDir);
         const latestFile = files
@@ -50,13 +67,19 @@ export async function loadLatestScrapedData(__dirname) {
 
 
 
+// A query-string integer clamped to `max`; `fallback` when missing or below `min`
+export function boundedInt(value, fallback, max, min = 0) {
+    const n = Math.floor(Number(value));
+    return Number.isFinite(n) && n >= min ? Math.min(n, max) : fallback;
+}
+
+
+
 export function validateEnvironment() {
+    const vectorStoreConfig = readVectorStoreConfig();
     const required = [
-        'GEMINI_API_KEY',
-        'COHERE_API_KEY',
-        'PINECONE_API_KEY',
-        'PINECONE_INDEX_NAME',
-        'PINECONE_ENVIRONMENT',
+        ...requiredProviderEnv(readProviderConfig()),
+        ...requiredVectorStoreEnv(vectorStoreConfig),
     ];
     const missing = required.filter((key) => !process.env[key] || process.env[key].trim() === '');
 
@@ -65,6 +88,10 @@ export function validateEnvironment() {
     }
 
     console.log('Environment variables validated');
-    console.log(`Using Pinecone index: ${process.env.PINECONE_INDEX_NAME.trim()}`);
-    console.log(`Pinecone environment: ${process.env.PINECONE_ENVIRONMENT.trim()}`);
+    if (vectorStoreConfig.backend === 'pinecone') {
+        console.log(`Using Pinecone index: ${process.env.PINECONE_INDEX_NAME.trim()}`);
+        console.log(`Pinecone environment: ${process.env.PINECONE_ENVIRONMENT.trim()}`);
+    } else {
+        console.log(`Using local vector store: ${vectorStoreConfig.localPath}`);
+    }
 }
\ No newline at end of file
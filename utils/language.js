@@ -55,6 +55,11 @@ export const BilingualMessages = {
         hindi: 'सिस्टम प्रारंभ हो रहा है। कृपया एक क्षण प्रतीक्षा करें।',
     },
 
+    budgetExceeded: {
+        english: "The assistant has reached today's usage limit, so it can only repeat answers it has already given. Please try again tomorrow.",
+        hindi: 'सहायक आज की उपयोग सीमा तक पहुँच गया है, इसलिए वह केवल पहले दिए गए उत्तर ही दोहरा सकता है। कृपया कल पुनः प्रयास करें।',
+    },
+
     noInformation: {
         english: "I don't have specific information about that topic. Could you please rephrase your question?",
         hindi: "मेरे पास उस विषय के बारे में विशिष्ट जानकारी नहीं है। क्या आप कृपया अपना प्रश्न दोबारा बता सकते हैं?",
@@ -0,0 +1,57 @@
+// Shared plumbing for the Mongo-backed admin stores (accounts, FAQs,
+// transcripts, ingestion jobs).
+
+
+/** An error routes answer with `status`; `code` is machine-readable. */
+export class ServiceError extends Error {
+    constructor(message, code, status) {
+        super(message);
+        this.name = new.target.name;
+        this.code = code;
+        this.status = status;
+    }
+}
+
+
+/**
+ * A collection opened on demand. `get()` resolves to null while Mongo is
+ * unavailable; `require()` throws `unavailable()` instead. `createIndexes`
+ * runs once per store (again after a failure) and is not waited for.
+ */
+export class MongoCollection {
+    constructor({ dbManager, name, label, createIndexes = null, unavailable }) {
+        this.dbManager = dbManager;
+        this.name = name;
+        this.label = label;
+        this.createIndexes = createIndexes;
+        this.unavailable = unavailable;
+        this._indexesReady = null;
+    }
+
+
+    // The collection if a connection is already open; no reconnect attempt
+    get current() {
+        const db = this.dbManager.mongo.db;
+        return db ? db.collection(this.name) : null;
+    }
+
+
+    async get() {
+        const ready = await this.dbManager.ensureMongoConnected();
+        const coll = ready ? this.current : null;
+        if (coll && this.createIndexes && !this._indexesReady) {
+            this._indexesReady = Promise.resolve(this.createIndexes(coll)).catch((error) => {
+                this._indexesReady = null;
+                console.warn(`[${this.label}] index creation failed:`, error?.message || error);
+            });
+        }
+        return coll;
+    }
+
+
+    async require() {
+        const coll = await this.get();
+        if (!coll) throw this.unavailable();
+        return coll;
+    }
+}
@@ -0,0 +1,40 @@
+import { PineconeVectorStore } from './pineconeStore.js';
+import { LocalVectorStore } from './localStore.js';
+
+export const VECTOR_STORE_BACKENDS = ['pinecone', 'local'];
+
+export function readVectorStoreConfig(env = process.env) {
+    const backend = (env.VECTOR_STORE || 'pinecone').trim().toLowerCase();
+    if (!VECTOR_STORE_BACKENDS.includes(backend)) {
+        throw new Error(
+            `Unknown VECTOR_STORE "${env.VECTOR_STORE}". Expected one of: ${VECTOR_STORE_BACKENDS.join(', ')}`
+        );
+    }
+    return {
+        backend,
+        localPath: env.LOCAL_VECTOR_STORE_PATH?.trim() || 'vector_data/local-index.json',
+    };
+}
+
+/**
+ * `target` places the store inside an embedding space (see
+ * rag-system/embeddingSpaces.js); an empty target is the configured default.
+ */
+export function createVectorStore(config, { dimension, target = {} }) {
+    if (config.backend === 'local') {
+        return new LocalVectorStore({ filePath: target.filePath || config.localPath, dimension });
+    }
+    return new PineconeVectorStore({
+        dimension,
+        indexName: target.indexName || undefined,
+        namespace: target.namespace || '',
+        ownsIndex: Boolean(target.ownsIndex),
+    });
+}
+
+export function requiredVectorStoreEnv(config) {
+    if (config.backend === 'pinecone') {
+        return ['PINECONE_API_KEY', 'PINECONE_INDEX_NAME', 'PINECONE_ENVIRONMENT'];
+    }
+    return [];
+}
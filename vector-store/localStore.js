@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { matchesMetadataFilter } from './metadataFilter.js';
+
+// Flat (brute-force cosine) vector store persisted to a JSON file, for
+// development and CI runs without a Pinecone account. Fine for a few tens of
+// thousands of chunks; every query scans all records.
+
+function floatArrayToBase64(arr) {
+    return Buffer.from(new Float32Array(arr).buffer).toString('base64');
+}
+
+function base64ToFloat32(b64) {
+    const buf = Buffer.from(b64, 'base64');
+    return new Float32Array(buf.buffer, buf.byteOffset, Math.floor(buf.byteLength / 4));
+}
+
+function toUnit(values) {
+    const vec = Float32Array.from(values, Number);
+    let sum = 0;
+    for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+    const norm = Math.sqrt(sum) || 1e-12;
+    for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+    return vec;
+}
+
+function dot(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+    return s;
+}
+
+export class LocalVectorStore {
+    constructor({ filePath = 'vector_data/local-index.json', dimension = 1024 } = {}) {
+        this.backend = 'local';
+        this.filePath = path.resolve(filePath);
+        this.dimension = dimension;
+        this.records = new Map(); // id -> { values: Float32Array (unit), metadata }
+        this._loaded = false;
+        this._dirty = false;
+        this._writing = null;
+    }
+
+    async init() {
+        if (this._loaded) return;
+        try {
+            const raw = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            if (raw?.dimension && raw.dimension !== this.dimension) {
+                console.warn(
+                    `[vector-store] ${this.filePath} has dimension ${raw.dimension}, but embeddings require ${this.dimension}.`
+                );
+            }
+            for (const rec of raw?.records || []) {
+                this.records.set(rec.id, {
+                    values: base64ToFloat32(rec.values_b64),
+                    metadata: rec.metadata || {},
+                });
+            }
+            console.log(`[vector-store] Loaded ${this.records.size} vectors from ${this.filePath}`);
+        } catch (error) {
+            if (error?.code !== 'ENOENT') throw error;
+            console.log(`[vector-store] Starting empty local index at ${this.filePath}`);
+        }
+        this._loaded = true;
+    }
+
+    // Coalesces concurrent writes: at most one in flight, plus one follow-up.
+    persist() {
+        this._dirty = true;
+        if (!this._writing) {
+            this._writing = this._drain().finally(() => {
+                this._writing = null;
+            });
+        }
+        return this._writing;
+    }
+
+    async _drain() {
+        while (this._dirty) {
+            this._dirty = false;
+            const payload = {
+                dimension: this.dimension,
+                savedAt: new Date().toISOString(),
+                records: Array.from(this.records, ([id, rec]) => ({
+                    id,
+                    values_b64: floatArrayToBase64(rec.values),
+                    metadata: rec.metadata,
+                })),
+            };
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmp = `${this.filePath}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(payload), 'utf8');
+            await fs.rename(tmp, this.filePath);
+        }
+    }
+
+    async upsert(vectors = []) {
+        for (const vector of vectors) {
+            if (!vector?.id || !Array.isArray(vector.values)) continue;
+            if (vector.values.length !== this.dimension) {
+                throw new Error(
+                    `Vector dimension ${vector.values.length} does not match index dimension ${this.dimension}`
+                );
+            }
+            this.records.set(vector.id, {
+                values: toUnit(vector.values),
+                metadata: vector.metadata || {},
+            });
+        }
+        await this.persist();
+    }
+
+    async query({ vector, topK = 10, filter, includeMetadata = false, includeValues = false } = {}) {
+        const q = toUnit(vector || []);
+        const matches = [];
+        for (const [id, rec] of this.records) {
+            if (filter && !matchesMetadataFilter(rec.metadata, filter)) continue;
+            matches.push({ id, score: dot(q, rec.values), rec });
+        }
+        matches.sort((a, b) => b.score - a.score);
+        return {
+            matches: matches.slice(0, topK).map(({ id, score, rec }) => ({
+                id,
+                score,
+                ...(includeValues ? { values: Array.from(rec.values) } : {}),
+                ...(includeMetadata ? { metadata: rec.metadata } : {}),
+            })),
+        };
+    }
+
+    // Same contract as Pinecone: array -> delete by id, object -> delete by metadata filter.
+    async deleteMany(idsOrFilter) {
+        if (Array.isArray(idsOrFilter)) {
+            idsOrFilter.forEach((id) => this.records.delete(id));
+        } else if (idsOrFilter && typeof idsOrFilter === 'object') {
+            if (Object.keys(idsOrFilter).length === 0) {
+                throw new Error('deleteMany requires a non-empty filter');
+            }
+            for (const [id, rec] of this.records) {
+                if (matchesMetadataFilter(rec.metadata, idsOrFilter)) this.records.delete(id);
+            }
+        } else {
+            throw new Error('deleteMany expects an array of ids or a metadata filter');
+        }
+        await this.persist();
+    }
+
+    async deleteAll() {
+        this.records.clear();
+        await this.persist();
+    }
+
+    async drop() {
+        this.records.clear();
+        if (this._writing) await this._writing;
+        await fs.rm(this.filePath, { force: true });
+    }
+
+    async describeIndexStats() {
+        return {
+            dimension: this.dimension,
+            totalRecordCount: this.records.size,
+            indexFullness: 0,
+            namespaces: { '': { recordCount: this.records.size } },
+        };
+    }
+
+    describe() {
+        return { backend: this.backend, filePath: this.filePath };
+    }
+}
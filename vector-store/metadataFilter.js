@@ -0,0 +1,58 @@
+// Evaluates Pinecone's metadata filter language against a plain metadata object,
+// so non-Pinecone backends (and the lexical index) filter with identical semantics.
+// Supported: implicit $eq, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and, $or.
+
+function valueEquals(value, operand) {
+    // Pinecone treats list-valued metadata as matching when any element matches.
+    if (Array.isArray(value)) return value.includes(operand);
+    return value === operand;
+}
+
+function compare(value, operand, fn) {
+    return typeof value === 'number' && typeof operand === 'number' && fn(value, operand);
+}
+
+function matchesCondition(value, condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return valueEquals(value, condition);
+    }
+
+    return Object.entries(condition).every(([op, operand]) => {
+        switch (op) {
+            case '$eq':
+                return valueEquals(value, operand);
+            case '$ne':
+                return !valueEquals(value, operand);
+            case '$gt':
+                return compare(value, operand, (a, b) => a > b);
+            case '$gte':
+                return compare(value, operand, (a, b) => a >= b);
+            case '$lt':
+                return compare(value, operand, (a, b) => a < b);
+            case '$lte':
+                return compare(value, operand, (a, b) => a <= b);
+            case '$in':
+                return Array.isArray(operand) && operand.some((item) => valueEquals(value, item));
+            case '$nin':
+                return Array.isArray(operand) && !operand.some((item) => valueEquals(value, item));
+            case '$exists':
+                return (value !== undefined) === Boolean(operand);
+            default:
+                throw new Error(`Unsupported metadata filter operator: ${op}`);
+        }
+    });
+}
+
+export function matchesMetadataFilter(metadata = {}, filter) {
+    if (!filter || typeof filter !== 'object') return true;
+
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') {
+            return Array.isArray(condition) && condition.every((f) => matchesMetadataFilter(metadata, f));
+        }
+        if (key === '$or') {
+            return Array.isArray(condition) && condition.some((f) => matchesMetadataFilter(metadata, f));
+        }
+        return matchesCondition(metadata?.[key], condition);
+    });
+}
@@ -0,0 +1,111 @@
+import { Pinecone } from '@pinecone-database/pinecone';
+
+// VectorStore backed by a Pinecone serverless index. The method surface
+// (upsert / query / deleteMany / deleteAll / describeIndexStats) mirrors the
+// Pinecone Index API and is what every backend implements.
+
+export class PineconeVectorStore {
+    constructor({
+        apiKey = process.env.PINECONE_API_KEY,
+        indexName = process.env.PINECONE_INDEX_NAME,
+        environment = process.env.PINECONE_ENVIRONMENT,
+        dimension = 1024,
+        namespace = '',
+        ownsIndex = false,
+    } = {}) {
+        this.backend = 'pinecone';
+        this.apiKey = apiKey?.trim();
+        this.indexName = indexName?.trim();
+        this.environment = environment?.trim();
+        this.dimension = dimension;
+        // Tenants and embedding-space migrations write to their own namespace;
+        // a migration to a new dimension may get an index of its own (`ownsIndex`).
+        this.namespace = namespace || '';
+        this.ownsIndex = ownsIndex;
+        this.client = null;
+        this.index = null;
+    }
+
+    async init() {
+        if (this.index) return;
+        this.client = new Pinecone({ apiKey: this.apiKey });
+
+        try {
+            // Check if index exists
+            const indexList = await this.client.listIndexes();
+            const indexExists = indexList.indexes?.some((index) => index.name === this.indexName);
+
+            if (!indexExists) {
+                console.log(`Creating new Pinecone index: ${this.indexName}`);
+                await this.client.createIndex({
+                    name: this.indexName,
+                    dimension: this.dimension,
+                    metric: 'cosine',
+                    spec: {
+                        serverless: {
+                            cloud: 'aws',
+                            region: this.environment,
+                        },
+                    },
+                });
+
+                console.log('Waiting for index to be ready...');
+                await new Promise((resolve) => setTimeout(resolve, 60000));
+            }
+
+            const index = this.client.index(this.indexName);
+            this.index = this.namespace ? index.namespace(this.namespace) : index;
+            console.log(
+                `Connected to Pinecone index: ${this.indexName}${this.namespace ? ` (namespace ${this.namespace})` : ''}`
+            );
+        } catch (error) {
+            console.error('Pinecone index initialization failed:', error.message);
+            throw error;
+        }
+    }
+
+    upsert(vectors) {
+        return this.index.upsert(vectors);
+    }
+
+    query(options) {
+        return this.index.query(options);
+    }
+
+    // Array -> delete by record id; object -> delete by metadata filter.
+    deleteMany(idsOrFilter) {
+        return this.index.deleteMany(idsOrFilter);
+    }
+
+    deleteAll() {
+        return this.index.deleteAll();
+    }
+
+    // Index-wide stats, with the record count narrowed to this namespace
+    async describeIndexStats() {
+        const stats = await this.index.describeIndexStats();
+        if (!this.namespace) return stats;
+        return { ...stats, totalRecordCount: stats?.namespaces?.[this.namespace]?.recordCount ?? 0 };
+    }
+
+    // Removes this store's vectors for good: the whole index when it was
+    // created for a migration (unless the next space lives in it too),
+    // otherwise just this namespace's records.
+    async drop({ keepIndex = false } = {}) {
+        if (this.ownsIndex && !keepIndex) {
+            await this.client.deleteIndex(this.indexName);
+            this.index = null;
+            return;
+        }
+        await this.index.deleteAll();
+    }
+
+    describe() {
+        return {
+            backend: this.backend,
+            indexName: this.indexName,
+            namespace: this.namespace,
+            environment: this.environment,
+        };
+    }
+}